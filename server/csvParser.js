@@ -1,21 +1,59 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.parseCSV = parseCSV;
+/**
+ * Split one CSV line into fields, honouring quoted fields ("Smith, Jane")
+ * @param line One line of CSV
+ * @param delimiter Delimiter character
+ * @returns The trimmed field values
+ */
+function splitCSVLine(line, delimiter) {
+    var fields = [];
+    var field = '';
+    var inQuotes = false;
+    for (var i = 0; i < line.length; i++) {
+        var char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (char === '"') {
+                inQuotes = false;
+            }
+            else {
+                field += char;
+            }
+        }
+        else if (char === '"') {
+            inQuotes = true;
+        }
+        else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        }
+        else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
 /**
  * Parse CSV string into array of objects
  * @param csvString CSV content as string
  * @param delimiter Delimiter character (default: ',')
- * @returns Array of objects with column names as keys
+ * @returns Array of leads: the phone number plus the other columns as metadata
  */
 function parseCSV(csvString, delimiter) {
     if (delimiter === void 0) { delimiter = ','; }
     // Split into lines
-    var lines = csvString.trim().split('\n');
+    var lines = csvString.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
     if (lines.length === 0) {
         return [];
     }
     // Parse header
-    var header = lines[0].split(delimiter).map(function (field) { return field.trim(); });
+    var header = splitCSVLine(lines[0], delimiter);
     // Find phone column index
     var phoneColumnIndex = header.findIndex(function (column) {
         return column.toLowerCase() === 'phone' ||
@@ -27,16 +65,25 @@ function parseCSV(csvString, delimiter) {
     }
     // Parse data rows
     var records = [];
-    for (var i = 1; i < lines.length; i++) {
+    var _loop_1 = function (i) {
         var line = lines[i].trim();
         if (line) {
-            var values = line.split(delimiter).map(function (value) { return value.trim(); });
-            var phone = values[phoneColumnIndex];
+            var values_1 = splitCSVLine(line, delimiter);
+            var phone = values_1[phoneColumnIndex];
             // Basic phone number validation
             if (phone && phone.length >= 10) {
-                records.push({ phone: phone });
+                var metadata_1 = {};
+                header.forEach(function (column, index) {
+                    if (index !== phoneColumnIndex && column && values_1[index]) {
+                        metadata_1[column] = values_1[index];
+                    }
+                });
+                records.push({ phone: phone, metadata: metadata_1 });
             }
         }
+    };
+    for (var i = 1; i < lines.length; i++) {
+        _loop_1(i);
     }
     return records;
 }
@@ -38,6 +38,7 @@ var __generator = (this && this.__generator) || function (thisArg, body) {
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.DocumentService = void 0;
 var uuid_1 = require("uuid");
+var documentExtractor_1 = require("./utils/documentExtractor.js");
 var DocumentService = /** @class */ (function () {
     function DocumentService(mysqlPool) {
         this.mysqlPool = mysqlPool;
@@ -103,7 +104,7 @@ var DocumentService = /** @class */ (function () {
                 switch (_a.label) {
                     case 0:
                         _a.trys.push([0, 2, , 3]);
-                        query = 'SELECT id, user_id, agent_id, name, uploaded_at FROM documents WHERE user_id = ?';
+                        query = 'SELECT id, user_id, agent_id, name, file_type, file_size, uploaded_at FROM documents WHERE user_id = ?';
                         params = [userId];
                         if (agentId) {
                             query += ' AND (agent_id = ? OR agent_id IS NULL)';
@@ -157,18 +158,20 @@ var DocumentService = /** @class */ (function () {
     /**
      * Delete a document
      * @param documentId The ID of the document to delete
+     * @param userId The ID of the user who owns it
+     * @returns True if deleted, false if the user has no such document
      */
-    DocumentService.prototype.deleteDocument = function (documentId) {
+    DocumentService.prototype.deleteDocument = function (documentId, userId) {
         return __awaiter(this, void 0, void 0, function () {
-            var error_4;
+            var result, error_4;
             return __generator(this, function (_a) {
                 switch (_a.label) {
                     case 0:
                         _a.trys.push([0, 2, , 3]);
-                        return [4 /*yield*/, this.mysqlPool.execute('DELETE FROM documents WHERE id = ?', [documentId])];
+                        return [4 /*yield*/, this.mysqlPool.execute('DELETE FROM documents WHERE id = ? AND user_id = ?', [documentId, userId])];
                     case 1:
-                        _a.sent();
-                        return [3 /*break*/, 3];
+                        result = (_a.sent())[0];
+                        return [2 /*return*/, result.affectedRows > 0];
                     case 2:
                         error_4 = _a.sent();
                         console.error('Error deleting document:', error_4);
@@ -178,6 +181,102 @@ var DocumentService = /** @class */ (function () {
             });
         });
     };
+    /**
+     * Upload a file, extracting its text on the server.
+     * PDF, DOCX, HTML, Markdown, CSV and plain text files are supported.
+     * @param userId The ID of the user
+     * @param name The file name (its extension selects the extractor)
+     * @param data The file contents
+     * @param agentId Optional agent ID to associate with the document
+     * @returns The created document with its extracted text and page/section map
+     */
+    DocumentService.prototype.uploadFile = function (userId, name, data, agentId) {
+        return __awaiter(this, void 0, void 0, function () {
+            var extracted, maxContentLength, documentId, error_5;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        _a.trys.push([0, 3, , 4]);
+                        if (!userId) {
+                            throw new Error('User ID is required');
+                        }
+                        if (!name) {
+                            throw new Error('Document name is required');
+                        }
+                        if (!data || data.length === 0) {
+                            throw new Error("File \"".concat(name, "\" is empty"));
+                        }
+                        return [4 /*yield*/, (0, documentExtractor_1.extractDocument)(name, data)];
+                    case 1:
+                        extracted = _a.sent();
+                        maxContentLength = 5 * 1024 * 1024;
+                        if (extracted.content.length > maxContentLength) {
+                            throw new Error("Extracted text exceeds limit of 5MB. Current content length: ".concat((extracted.content.length / (1024 * 1024)).toFixed(2), "MB"));
+                        }
+                        documentId = (0, uuid_1.v4)();
+                        return [4 /*yield*/, this.mysqlPool.execute("INSERT INTO documents (id, user_id, agent_id, name, file_type, file_size, content, sections) \n         VALUES (?, ?, ?, ?, ?, ?, ?, ?)", [documentId, userId, agentId || null, name, extracted.fileType, data.length, extracted.content, JSON.stringify(extracted.sections)])];
+                    case 2:
+                        _a.sent();
+                        return [2 /*return*/, {
+                                id: documentId,
+                                name: name,
+                                userId: userId,
+                                agentId: agentId || null,
+                                fileType: extracted.fileType,
+                                fileSize: data.length,
+                                content: extracted.content,
+                                sections: extracted.sections
+                            }];
+                    case 3:
+                        error_5 = _a.sent();
+                        console.error('Error uploading file:', error_5);
+                        throw error_5;
+                    case 4: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * Get a document with its content and page/section map
+     * @param documentId The ID of the document
+     * @param userId The ID of the user who owns it
+     * @returns The document, or null if the user has no such document
+     */
+    DocumentService.prototype.getDocument = function (documentId, userId) {
+        return __awaiter(this, void 0, void 0, function () {
+            var rows, row, sections, error_6;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        _a.trys.push([0, 2, , 3]);
+                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, user_id, agent_id, name, file_type, file_size, content, sections, uploaded_at FROM documents WHERE id = ? AND user_id = ?', [documentId, userId])];
+                    case 1:
+                        rows = (_a.sent())[0];
+                        if (rows.length === 0) {
+                            return [2 /*return*/, null];
+                        }
+                        row = rows[0];
+                        sections = typeof row.sections === 'string' ? JSON.parse(row.sections) : row.sections;
+                        return [2 /*return*/, {
+                                id: row.id,
+                                name: row.name,
+                                userId: row.user_id,
+                                agentId: row.agent_id,
+                                fileType: row.file_type,
+                                fileSize: row.file_size,
+                                content: row.content,
+                                sections: sections || [],
+                                uploadedAt: row.uploaded_at
+                            }];
+                    case 2:
+                        error_6 = _a.sent();
+                        console.error('Error fetching document:', error_6);
+                        throw error_6;
+                    case 3: return [2 /*return*/];
+                }
+            });
+        });
+    };
     return DocumentService;
 }());
 exports.DocumentService = DocumentService;
@@ -40,7 +40,7 @@ exports.GoogleSheetsService = void 0;
 var googleapis_1 = require("googleapis");
 var google_auth_library_1 = require("google-auth-library");
 var dotenv_1 = require("dotenv");
-dotenv_1.default.config();
+dotenv_1.config();
 var GoogleSheetsService = /** @class */ (function () {
     function GoogleSheetsService() {
         // Check if Google service account credentials are available
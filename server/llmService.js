@@ -52,7 +52,6 @@ var LLMService = /** @class */ (function () {
     LLMService.prototype.generateContent = function (request) {
         return __awaiter(this, void 0, void 0, function () {
             var geminiClient, geminiRequest, result, responseText, candidate, error_1;
-            var _a;
             return __generator(this, function (_b) {
                 switch (_b.label) {
                     case 0:
@@ -65,19 +64,18 @@ var LLMService = /** @class */ (function () {
                         _b.trys.push([1, 3, , 4]);
                         geminiClient = this.geminiClient;
                         geminiRequest = {
+                            model: request.model,
                             contents: request.contents,
+                            config: request.config,
                         };
-                        if ((_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction) {
-                            geminiRequest.systemInstruction = request.config.systemInstruction;
-                        }
-                        return [4 /*yield*/, geminiClient.generateContent(geminiRequest)];
+                        return [4 /*yield*/, geminiClient.models.generateContent(geminiRequest)];
                     case 2:
                         result = _b.sent();
                         responseText = '';
                         if (result && result.candidates && Array.isArray(result.candidates) && result.candidates.length > 0) {
                             candidate = result.candidates[0];
                             if (candidate.content && candidate.content.parts && Array.isArray(candidate.content.parts) && candidate.content.parts.length > 0) {
-                                responseText = candidate.content.parts[0].text || responseText;
+                                responseText = candidate.content.parts.map(function (part) { return part.thought ? '' : (part.text || ''); }).join('') || responseText;
                             }
                         }
                         return [2 /*return*/, { text: responseText }];
@@ -17,14 +17,29 @@ const { ApiKeyService } = require('./services/apiKeyService.js');
 const { ExternalApiService } = require('./services/externalApiService.js');
 const { PhoneNumberService } = require('./services/phoneNumberService.js');
 const AgentService = require('./services/agentService.js');
-const { CampaignService } = require('./services/campaignService.js');
+const { CampaignService, parseMetadata } = require('./services/campaignService.js');
 const { AuthService } = require('./services/authService.js');
 const TwilioService = require('./services/twilioService.js');
 const { TwilioBasicService } = require('./services/twilioBasicService.js');
 const { MediaStreamHandler } = require('./services/mediaStreamHandler.js');
 const { ElevenLabsStreamHandler } = require('./services/elevenLabsStreamHandler.js');
+const { BrowserVoiceHandler } = require('./services/browserVoiceHandler.js');
+const { ConversationEngine } = require('./services/conversationEngine.js');
 const AdminService = require('./services/adminService.js');
 const WalletService = require('./services/walletService.js');
+const PostCallToolService = require('./services/postCallToolService.js');
+const { KnowledgeIndexService } = require('./services/knowledgeIndexService.js');
+const { DocumentService } = require('./documentService.js');
+const CallTranscriptService = require('./services/callTranscriptService.js');
+const { PrefetchDataService } = require('./services/prefetchDataService.js');
+const WebhookService = require('./services/webhookService.js');
+const { AmbientSoundService } = require('./services/ambientSoundService.js');
+const { RecordingService, parseRange } = require('./services/recordingService.js');
+const { LLMService } = require('./llmService.js');
+const { LlmProviderRegistry } = require('./services/llmProviders.js');
+const { TtsProviderRegistry } = require('./services/ttsProviders.js');
+const { decodeMulaw, encodeWav } = require('./utils/audio.js');
+const { LANGUAGES, resolveLanguage } = require('./utils/languages.js');
 const walletService = new WalletService(mysqlPool);
 
 // Init server
@@ -54,6 +69,13 @@ const authService = new AuthService(mysqlPool);
 const twilioService = new TwilioService();
 const twilioBasicService = new TwilioBasicService();
 const adminService = new AdminService(mysqlPool);
+const postCallToolService = new PostCallToolService(mysqlPool, new LLMService(process.env.GOOGLE_GEMINI_API_KEY));
+const documentService = new DocumentService(mysqlPool);
+const knowledgeIndexService = new KnowledgeIndexService(mysqlPool);
+const callTranscriptService = new CallTranscriptService(mysqlPool);
+const webhookService = new WebhookService(mysqlPool);
+const ambientSoundService = new AmbientSoundService(mysqlPool);
+const recordingService = new RecordingService(mysqlPool);
 //Import Google Sheets Service at the top of server.js
 const googleSheetsService = require('./services/googleSheetsService.js');
 // Initialize Google Sheets on server startup
@@ -61,6 +83,7 @@ googleSheetsService.initialize();
 // Initialize MediaStreamHandler for voice call pipeline
 let mediaStreamHandler = null;
 const agentService = new AgentService(mysqlPool);
+const prefetchDataService = new PrefetchDataService(agentService, campaignService, webhookService);
 console.log('✅ WebSocket support enabled on HTTP server');
 
 // === ADD THIS BLOCK ===
@@ -86,7 +109,8 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
 
-app.use(express.json());
+// Knowledge base uploads send the file base64-encoded in the JSON body (files up to 10MB)
+app.use(express.json({ limit: '15mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 
@@ -443,7 +467,8 @@ app.get('/api/voice-config-check', (req, res) => {
       expectedFormat: 'wss://your-domain.railway.app/api/call?callId=xxx&agentId=xxx&contactId=xxx',
       registeredEndpoints: {
         '/api/call': 'WebSocket handler for Twilio media streams ✅',
-        '/voice-stream': 'WebSocket handler for frontend voice chat ✅'
+        '/elevenlabs-stream': 'WebSocket handler for Twilio media streams spoken with ElevenLabs ✅',
+        '/voice-stream': 'WebSocket handler for the browser test call ✅'
       },
       instructions: 'Make sure Twilio TwiML uses this exact WebSocket URL format'
     });
@@ -1034,7 +1059,7 @@ app.post('/api/google-sheets/log-call', async (req, res) => {
       agentName: agentName,
       campaignName: campaign.name,
       retries: record.retries || 0,
-      metadata: record.metadata ? JSON.parse(record.metadata) : {}
+      metadata: parseMetadata(record.metadata)
     });
 
     res.json(result);
@@ -1100,9 +1125,11 @@ app.post('/api/twilio/status', async (req, res) => {
         const callRecord = callRecords[0];
 
         // Update campaign record
+        const recordStatus = campaignRecordStatus(CallStatus, callRecord.answered_by);
         await database.execute(
-          'UPDATE campaign_records SET call_status = ?, duration = ?, recording_url = ? WHERE call_sid = ?',
-          [CallStatus, CallDuration || 0, RecordingUrl || null, CallSid]
+          // Keeps a recording already stored from the media stream
+          'UPDATE campaign_records SET call_status = ?, duration = ?, recording_url = COALESCE(?, recording_url) WHERE call_sid = ?',
+          [recordStatus, CallDuration || 0, RecordingUrl || null, CallSid]
         );
 
         // Update Google Sheets if configured
@@ -1110,16 +1137,20 @@ app.post('/api/twilio/status', async (req, res) => {
           const spreadsheetId = googleSheetsService.extractSpreadsheetId(callRecord.google_sheet_url);
           if (spreadsheetId) {
             await googleSheetsService.updateCallData(spreadsheetId, CallSid, {
-              callStatus: CallStatus,
+              callStatus: recordStatus,
               duration: CallDuration ? parseInt(CallDuration) : 0,
               recordingUrl: RecordingUrl || '',
-              notes: `Call ${CallStatus}`
+              notes: `Call ${recordStatus}`
             });
           }
         }
       }
 
       console.log('Call status updated in database and Google Sheets:', callId, CallStatus);
+
+      if (CallStatus === 'completed') {
+        handleCallFinished(callId);
+      }
     }
 
     res.status(200).send('OK');
@@ -1130,6 +1161,265 @@ app.post('/api/twilio/status', async (req, res) => {
   }
 });
 
+// Campaign record status for a Twilio call status: calls answered by a
+// machine end up as "voicemail" rather than "completed"
+function campaignRecordStatus(callStatus, answeredBy) {
+  if (callStatus === 'completed' && answeredBy && (answeredBy.startsWith('machine') || answeredBy === 'fax')) {
+    return 'voicemail';
+  }
+  return callStatus;
+}
+
+// Whether an agent has voicemail detection turned on
+async function agentUsesVoicemailDetection(userId, agentId) {
+  if (!agentId) return false;
+  try {
+    const agent = await agentService.getAgentById(userId, agentId);
+    return !!agent?.settings?.voicemailDetection;
+  } catch (error) {
+    console.error('Error loading agent settings:', error);
+    return false;
+  }
+}
+
+// Twilio asynchronous answering machine detection result
+app.post('/api/twilio/amd', async (req, res) => {
+  try {
+    const { callId } = req.query;
+    const { CallSid, AnsweredBy } = req.body;
+
+    console.log('📠 AMD result:', { callId, callSid: CallSid, answeredBy: AnsweredBy });
+
+    if (callId && AnsweredBy) {
+      await mysqlPool.execute('UPDATE calls SET answered_by = ? WHERE id = ?', [AnsweredBy, callId]);
+      conversationEngine.handleAnsweredBy(callId, AnsweredBy);
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ AMD callback error:', error);
+    res.status(200).send('OK');
+  }
+});
+
+// Warm transfer: read the conversation summary to the human before the
+// caller is bridged in
+app.post('/api/twilio/transfer/whisper', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+  try {
+    const { callId } = req.query;
+    const [rows] = await mysqlPool.execute(
+      'SELECT transfer_summary, transfer_reason FROM calls WHERE id = ?',
+      [callId]
+    );
+    const summary = rows[0]?.transfer_summary || rows[0]?.transfer_reason;
+    response.say(`Incoming call transfer from your AI agent.${summary ? ` ${summary}` : ''} Connecting you now.`);
+  } catch (error) {
+    console.error('❌ Transfer whisper error:', error);
+    response.say('Incoming call transfer. Connecting you now.');
+  }
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// Outcome of a transfer <Dial>; the caller hears a message if nobody picked up
+app.post('/api/twilio/transfer/status', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+  try {
+    const { callId } = req.query;
+    const { DialCallStatus, DialCallDuration } = req.body;
+
+    console.log('🔀 Transfer outcome:', { callId, status: DialCallStatus, duration: DialCallDuration });
+
+    if (callId) {
+      await mysqlPool.execute(
+        'UPDATE calls SET transfer_status = ?, transfer_duration = ? WHERE id = ?',
+        [DialCallStatus || 'unknown', parseInt(DialCallDuration) || 0, callId]
+      );
+    }
+
+    if (DialCallStatus !== 'completed' && DialCallStatus !== 'answered') {
+      response.say('Sorry, nobody is available to take your call right now. Please try again later.');
+    }
+  } catch (error) {
+    console.error('❌ Transfer status error:', error);
+  }
+  response.hangup();
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// Run the agent's "runAfterCall" tools for a finished call, then send its
+// end-of-call webhooks. While the media stream is still open the conversation
+// engine does this itself once it has the full transcript.
+function handleCallFinished(callId) {
+  // Calls the engine is still running or finalizing get their tools and webhooks from it, after the transcript is stored
+  if (conversationEngine.handlesCallEnd(callId)) return;
+  postCallToolService.runForCall(callId)
+    .catch(error => console.error('Error running post-call tools:', error))
+    .then(() => webhookService.deliverCallEnded(callId))
+    .catch(error => console.error('Error sending end-of-call webhooks:', error));
+}
+
+// Get the user's global webhooks and the secret their payloads are signed with
+app.get('/api/webhook-settings/:userId', async (req, res) => {
+  try {
+    const settings = await webhookService.getSettings(req.params.userId);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Error fetching webhook settings:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Save the user's global webhooks
+app.put('/api/webhook-settings/:userId', async (req, res) => {
+  try {
+    const { prefetchDataWebhook, endOfCallWebhook } = req.body;
+    const settings = await webhookService.saveSettings(req.params.userId, { prefetchDataWebhook, endOfCallWebhook });
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Error saving webhook settings:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Replace the webhook signing secret
+app.post('/api/webhook-settings/:userId/rotate-secret', async (req, res) => {
+  try {
+    const settings = await webhookService.rotateSecret(req.params.userId);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Webhook delivery log, optionally for one webhook URL or call
+app.get('/api/webhook-deliveries', async (req, res) => {
+  try {
+    const { userId, webhookUrl, callId, limit } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const deliveries = await webhookService.getDeliveries(userId, { webhookUrl, callId, limit });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get the transcript and turn timeline of one of the user's calls (by call ID or Twilio call SID)
+app.get('/api/calls/:id/transcript', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const transcript = await callTranscriptService.getTranscript(req.params.id, userId);
+    if (!transcript) {
+      return res.status(404).json({ success: false, message: 'Call not found' });
+    }
+
+    res.json({ success: true, data: transcript });
+  } catch (error) {
+    console.error('Error fetching call transcript:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// A signed link to play a call's recording, valid for an hour (the call is looked up by id or Twilio call SID)
+app.get('/api/calls/:id/recording-link', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const recording = await recordingService.getRecording(req.params.id, userId);
+    if (!recording) {
+      return res.status(404).json({ success: false, message: 'Recording not found' });
+    }
+    res.json({ success: true, data: recordingService.createPlaybackLink(recording.callId, userId) });
+  } catch (error) {
+    console.error('Error creating recording link:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Stream a call's recording (two-channel WAV: caller left, agent right). Requires a
+// signed link from /recording-link; supports range requests so players can seek.
+app.get('/api/calls/:id/recording', async (req, res) => {
+  try {
+    const { userId, expires, signature } = req.query;
+    if (!recordingService.verifyPlaybackLink(req.params.id, { userId, expires, signature })) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired recording link' });
+    }
+    const recording = await recordingService.getRecording(req.params.id, userId);
+    if (!recording) {
+      return res.status(404).json({ success: false, message: 'Recording not found' });
+    }
+
+    const range = parseRange(req.headers.range, recording.size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${recording.size}`);
+      return res.status(416).end();
+    }
+    res.set({ 'Content-Type': 'audio/wav', 'Accept-Ranges': 'bytes', 'Cache-Control': 'private, max-age=3600' });
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${recording.size}`,
+        'Content-Length': range.end - range.start + 1,
+      });
+    } else {
+      res.set('Content-Length', recording.size);
+    }
+
+    const stream = recordingService.createReadStream(recording.key, range);
+    stream.on('error', (err) => {
+      console.error('Error streaming recording:', err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching recording:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get the post-call tool runs of a call
+app.get('/api/calls/:callId/tool-runs', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const runs = await postCallToolService.getRuns(req.params.callId, userId);
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('Error fetching tool runs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Re-run a post-call tool run (e.g. after it failed)
+app.post('/api/calls/:callId/tool-runs/:runId/rerun', async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const run = await postCallToolService.rerun(req.params.runId, req.params.callId, userId);
+    res.json({ success: true, data: run });
+  } catch (error) {
+    console.error('Error re-running tool:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Update the processCampaignCalls function to include Google Sheets logging
 async function processCampaignCalls(campaignId, userId, campaign, records) {
   console.log(`Processing campaign ${campaignId} with ${records.length} records`);
@@ -1850,7 +2140,8 @@ app.post('/call/start', async (req, res) => {
       to,
       agentId,
       callId,
-      appUrl: cleanAppUrl
+      appUrl: cleanAppUrl,
+      machineDetection: await agentUsesVoicemailDetection(userId, agentId)
     });
 
     // Save Twilio SID
@@ -1998,7 +2289,8 @@ app.post('/api/twilio/make-call', async (req, res) => {
       to: to,
       agentId: agentId,
       callId: callId,
-      appUrl: cleanAppUrl
+      appUrl: cleanAppUrl,
+      machineDetection: await agentUsesVoicemailDetection(userId, agentId)
     });
 
     // Update call record with Twilio call SID
@@ -2137,13 +2429,13 @@ app.delete('/api/twilio/accounts/:accountId', async (req, res) => {
 app.post('/api/twilio/voice', async (req, res) => {
   try {
     const { CallSid, From, To } = req.body;
-    const { userId, campaignId, agentId, callId } = req.query;
+    const { userId, campaignId, recordId, agentId, callId } = req.query;
 
     console.log('📞 ========== TWILIO VOICE WEBHOOK ==========');
     console.log('   CallSid:', CallSid);
     console.log('   From:', From);
     console.log('   To:', To);
-    console.log('   Query params:', { userId, campaignId, agentId, callId });
+    console.log('   Query params:', { userId, campaignId, recordId, agentId, callId });
 
     if (!agentId) {
       console.error('❌ Missing agentId in voice webhook');
@@ -2168,6 +2460,27 @@ app.post('/api/twilio/voice', async (req, res) => {
 
     const wsUrl = appUrl.replace('https://', 'wss://').replace('http://', 'ws://');
     const actualCallId = callId || CallSid;
+
+    // Ask the agent's CRM webhook about the caller while the stream connects
+    // Campaign leads are read from their record, never from the URL
+    let leadVariables = null;
+    if (campaignId && recordId && userId) {
+      try {
+        leadVariables = await campaignService.getRecordVariables(recordId, campaignId, userId);
+      } catch (err) {
+        console.warn('⚠️  Could not load lead variables:', err.message);
+      }
+    }
+    prefetchDataService.prefetch(actualCallId, {
+      userId,
+      agentId,
+      callSid: CallSid,
+      direction: req.body.Direction || (callId ? 'outbound-api' : 'inbound'),
+      from: From,
+      to: To,
+      campaignId,
+      variables: leadVariables
+    });
     const streamUrl = `${wsUrl}/api/call?callId=${actualCallId}&agentId=${agentId}&contactId=${CallSid}`;
 
     console.log('🔗 WebSocket Stream URL:', streamUrl);
@@ -2176,14 +2489,8 @@ app.post('/api/twilio/voice', async (req, res) => {
     const VoiceResponse = require('twilio').twiml.VoiceResponse;
     const response = new VoiceResponse();
 
-    // Start with a greeting so user knows call connected
-    response.say({
-      voice: 'Polly.Joanna'
-    }, 'Please wait while I connect you to an agent.');
-
-    // Small pause
-    response.pause({ length: 1 });
-
+    // No preamble: the agent's greeting flow (settings.userStartsFirst,
+    // greetingDelayMs) starts as soon as the stream connects
     // Create Connect verb with Stream
     const connect = response.connect();
     const stream = connect.stream({
@@ -2195,6 +2502,8 @@ app.post('/api/twilio/voice', async (req, res) => {
     stream.parameter({ name: 'callId', value: actualCallId });
     stream.parameter({ name: 'agentId', value: agentId });
     stream.parameter({ name: 'userId', value: userId || '' });
+    stream.parameter({ name: 'campaignId', value: campaignId || '' });
+    stream.parameter({ name: 'recordId', value: recordId || '' });
 
     const twiml = response.toString();
 
@@ -2253,6 +2562,21 @@ app.post('/api/twilio/callback', async (req, res) => {
          WHERE id = ?`,
         [status, CallDuration || 0, status, callId]
       );
+
+      if (['completed', 'busy', 'failed', 'no-answer'].includes(status)) {
+        const [rows] = await mysqlPool.execute('SELECT answered_by FROM calls WHERE id = ?', [callId]);
+        const recordStatus = status === 'completed'
+          ? campaignRecordStatus(status, rows[0]?.answered_by)
+          : 'failed';
+        await mysqlPool.execute(
+          'UPDATE campaign_records SET call_status = ?, duration = ? WHERE call_sid = ?',
+          [recordStatus, CallDuration || 0, CallSid]
+        );
+      }
+
+      if (status === 'completed') {
+        handleCallFinished(callId);
+      }
     }
 
     res.status(200).send('OK');
@@ -2367,6 +2691,120 @@ app.delete('/api/agents/:id', async (req, res) => {
   }
 });
 
+// Ambient background sounds: the bundled loops and the user's uploads
+app.get('/api/ambient-sounds', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const sounds = await ambientSoundService.listSounds(userId);
+    res.json({ success: true, data: sounds });
+  } catch (error) {
+    console.error('Error fetching ambient sounds:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Upload a WAV loop (base64 `data`); it is stored as 8 kHz µ-law
+app.post('/api/ambient-sounds', async (req, res) => {
+  try {
+    const { userId, name, data } = req.body;
+    if (!userId || !name || !data) {
+      return res.status(400).json({ success: false, message: 'User ID, name and audio data are required' });
+    }
+    const sound = await ambientSoundService.uploadSound(userId, name, Buffer.from(data, 'base64'));
+    res.json({ success: true, data: sound });
+  } catch (error) {
+    console.error('Error uploading ambient sound:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/ambient-sounds/:id', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    await ambientSoundService.deleteSound(userId, req.params.id);
+    res.json({ success: true, message: 'Ambient sound deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting ambient sound:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Knowledge base document endpoints
+// Upload a document: either a file (base64 `data`, text extracted on the server) or plain text `content`
+app.post('/api/documents/upload', async (req, res) => {
+  const { userId, agentId, name, data, content } = req.body;
+  try {
+    if (!userId || !name) {
+      return res.status(400).json({ success: false, message: 'User ID and document name are required' });
+    }
+
+    const document = data !== undefined
+      ? await documentService.uploadFile(userId, name, Buffer.from(data, 'base64'), agentId)
+      : await documentService.uploadDocument(userId, name, content, agentId);
+    knowledgeIndexService.indexDocument({ id: document.id, userId, name, content: document.content ?? content });
+    res.json({ success: true, data: document });
+  } catch (error) {
+    console.error(`Error uploading document "${name}":`, error.message);
+    res.status(500).json({ success: false, message: error.message, document: name });
+  }
+});
+
+// Get document content (and its page/section map) by ID
+app.get('/api/documents/content/:documentId', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const document = await documentService.getDocument(req.params.documentId, userId);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    res.json({ success: true, data: document });
+  } catch (error) {
+    console.error('Error fetching document content:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get documents for a user (optionally including an agent's own documents)
+app.get('/api/documents/:userId', async (req, res) => {
+  try {
+    const documents = await documentService.getDocuments(req.params.userId, req.query.agentId);
+    res.json({ success: true, data: documents });
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a document
+app.delete('/api/documents/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+    const deleted = await documentService.deleteDocument(documentId, userId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    knowledgeIndexService.removeDocument(documentId, userId);
+    res.json({ success: true, message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Campaign endpoints
 // Get all campaigns for a user
 app.get('/api/campaigns', async (req, res) => {
@@ -2621,22 +3059,29 @@ app.get('/api/voices/elevenlabs/list', async (req, res) => {
     });
   }
 });
-// Voice preview endpoint
+// Shared by live calls and voice previews, so a preview sounds exactly like the call
+const ttsProviders = new TtsProviderRegistry();
+
+// Voice preview endpoint: speaks the text with the agent's (unsaved) voice settings
 app.post('/api/voices/elevenlabs/preview', async (req, res) => {
   try {
-    const { text, voiceId } = req.body;
+    const { text, voiceId, voiceSettings, language } = req.body;
     if (!text || !voiceId) {
       return res.status(400).json({ success: false, message: 'Text and voiceId are required' });
     }
 
-    // For now, return a mock audio response (silent audio in base64)
-    // In a real implementation, you would call ElevenLabs API here
-    // This is a valid 1-second silent WAV audio file encoded in base64
-    const silentAudioBase64 = 'UklGRiYAAABXQVZFZm10IBAAAAABAAEAQB8AAAB9AAACABAAZGF0YQIAAAAAAA==';
+    const { provider, voiceId: providerVoiceId } = ttsProviders.resolve(voiceId);
+    const chunks = [];
+    const languageCode = LANGUAGES[resolveLanguage(language)]?.code;
+    for await (const chunk of await provider.synthesize(text, { voiceId: providerVoiceId, voiceSettings, language: languageCode })) {
+      chunks.push(chunk);
+    }
 
     res.json({
       success: true,
-      audioData: silentAudioBase64,
+      // 8 kHz phone audio, as callers will hear it
+      audioData: encodeWav(decodeMulaw(Buffer.concat(chunks))).toString('base64'),
+      mimeType: 'audio/wav',
       message: 'Voice preview generated successfully'
     });
   } catch (error) {
@@ -2645,20 +3090,34 @@ app.post('/api/voices/elevenlabs/preview', async (req, res) => {
   }
 });
 
+// One conversation engine for every voice path: Twilio media streams and the browser test call
+const conversationEngine = new ConversationEngine({
+  llmProviders: new LlmProviderRegistry((userId, serviceName) => ApiKeyService.getUserApiKey(userId, serviceName)),
+  ttsProviders,
+  agentService,
+  campaignService,
+  walletService,
+  postCallToolService,
+  knowledgeIndexService,
+  prefetchDataService,
+  webhookService,
+  ambientSoundService,
+});
+
 if (process.env.DEEPGRAM_API_KEY && process.env.GOOGLE_GEMINI_API_KEY) {
-  mediaStreamHandler = new MediaStreamHandler(
-    process.env.DEEPGRAM_API_KEY,
-    process.env.GOOGLE_GEMINI_API_KEY,
-    campaignService
-  );
+  mediaStreamHandler = new MediaStreamHandler(conversationEngine, { recordingService });
   console.log("MediaStreamHandler initialized with Deepgram + Gemini");
 } else {
   console.warn("Voice call feature disabled — missing DEEPGRAM_API_KEY or GOOGLE_GEMINI_API_KEY");
 }
-// WebSocket endpoint for ElevenLabs STT
+// Twilio media streams spoken with ElevenLabs (STT provider per agent, ElevenLabs Scribe by default)
+const elevenLabsStreamHandler = new ElevenLabsStreamHandler(conversationEngine, { recordingService });
+app.ws('/elevenlabs-stream', function (ws, req) {
+  elevenLabsStreamHandler.handleConnection(ws, req);
+});
 app.ws('/api/stt', function (ws, req) {
   elevenLabsStreamHandler.handleConnection(ws, req);
-})
+});
 // WebSocket endpoint for Twilio Media Streams (Voice Agent)
 app.ws('/api/call', (ws, req) => {
   if (mediaStreamHandler) {
@@ -2668,361 +3127,10 @@ app.ws('/api/call', (ws, req) => {
     ws.close();
   }
 });
-// WebSocket endpoint for voice stream (frontend voice chat + Twilio calls)
-app.ws('/voice-stream', async function (ws, req) {  // ✅ ADDED async
-  console.log('New voice stream connection established');
-  let audioChunksReceived = 0;
-  const audioBuffer = [];
-  let isProcessing = false; // Flag to prevent overlapping responses
-  const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
-  const geminiApiKey = process.env.GOOGLE_GEMINI_API_KEY;
-  const elevenLabsApiKey = process.env.ELEVEN_LABS_API_KEY || process.env.VITE_ELEVEN_LABS_API_KEY;
-
-  // Determine if this is a Twilio call or frontend chat
-  const callId = req.query?.callId;
-  const agentId = req.query?.agentId;
-  const voiceId = req.query?.voiceId;
-  const identity = req.query?.identity ? decodeURIComponent(req.query.identity) : null;
-  const userId = req.query?.userId; // ✅ ADDED - Get userId from query params
-  const isTwilioCall = !!(callId && agentId);
-  const isFrontendChat = !!(voiceId && !callId);
-
-  console.log('Connection type:', isTwilioCall ? 'Twilio Call' : isFrontendChat ? 'Frontend Chat' : 'Unknown');
-  console.log('Query params:', { voiceId, agentId, callId, userId, identity: identity ? 'present' : 'missing' });
-  console.log('Call ID:', callId);
-  console.log('Agent ID:', agentId);
-  console.log('User ID:', userId);
-
-  // Map voice names to ElevenLabs voice IDs
-
-  let agentVoiceId = voiceId || '21m00Tcm4TlvDq8ikWAM'; // Default to Rachel if not provided
-  // For frontend chat, use identity from query params if provided
-  let agentIdentity = identity || 'You are a helpful AI assistant.';
-  let agentName = 'AI Assistant';
-  console.log('Voice identifier:', voiceIdentifier);
-  console.log('Using ElevenLabs voice ID:', agentVoiceId);
-
-  // For Twilio calls, fetch agent voice and identity from database if agentId is provided
-  // For Twilio calls, fetch agent voice and identity from database if agentId is provided
-  if (agentId) {
-    agentService.getAgentById('system', agentId).then(agent => {
-      if (agent) {
-        // Get voice ID - use it directly, no mapping needed
-        if (agent.voiceId) {
-          agentVoiceId = agent.voiceId; // Use the voice ID directly from database
-          console.log('Fetched agent voice ID from database:', agentVoiceId);
-        }
-        // Get agent identity/prompt from database (override if not provided in query)
-        if (agent.identity && !identity) {
-          agentIdentity = agent.identity;
-          console.log('Fetched agent identity from database');
-        }
-        // Get agent name
-        if (agent.name) {
-          agentName = agent.name;
-          console.log('Fetched agent name:', agentName);
-        }
-      }
-    }).catch(error => {
-      console.error('Error fetching agent:', error);
-    });
-  }
-
-  if (!deepgramApiKey) {
-    console.warn('WARNING: DEEPGRAM_API_KEY is not configured. Speech-to-text will not work.');
-  }
-  if (!geminiApiKey) {
-    console.warn('WARNING: GOOGLE_GEMINI_API_KEY is not configured. AI responses will not work.');
-  }
-  if (!elevenLabsApiKey) {
-    console.warn('WARNING: ELEVEN_LABS_API_KEY is not configured. Text-to-speech will not work.');
-  }
-
-  // Handle incoming audio and text from the client
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-
-      if (data.event === 'audio') {
-        // Client is sending audio data
-        audioChunksReceived++;
-        audioBuffer.push(data.data);
-        console.log('Received audio chunk', audioChunksReceived, 'from client (size:', data.data.length, ')');
-
-        // Process every 10 chunks to batch transcription requests
-        // But skip if already processing to prevent overlapping responses
-        if (audioChunksReceived % 10 === 0 && deepgramApiKey && !isProcessing) {
-          isProcessing = true; // Set flag before starting processing
-          try {
-            // Step 1: Send audio to Deepgram for transcription
-            // Decode base64 audio chunks and combine them
-            const audioBuffers = audioBuffer.map(chunk => Buffer.from(chunk, 'base64'));
-            const combinedAudioBuffer = Buffer.concat(audioBuffers);
-
-            console.log('Sending', combinedAudioBuffer.length, 'bytes of audio to Deepgram');
-
-            const deepgramResponse = await nodeFetch('https://api.deepgram.com/v1/listen?model=nova-2&language=en&encoding=linear16&sample_rate=16000', {
-              method: 'POST',
-              headers: {
-                'Authorization': `Token ${deepgramApiKey}`,
-                'Content-Type': 'application/octet-stream'
-              },
-              body: combinedAudioBuffer
-            });
-
-            if (deepgramResponse.ok) {
-              const deepgramResult = await deepgramResponse.json();
-              const transcript = deepgramResult.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
-              const confidence = deepgramResult.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0;
-
-              // ✅ Track Deepgram usage
-              if (userId && callId) {
-                const audioDurationSeconds = combinedAudioBuffer.length / (16000 * 2);
-                try {
-                  await walletService.recordUsageAndCharge(
-                    userId,
-                    callId,
-                    'deepgram',
-                    audioDurationSeconds,
-                    { transcript_length: transcript.length }
-                  );
-                } catch (error) {
-                  console.error('Error tracking Deepgram usage:', error);
-                }
-              }
-
-              if (transcript) {
-                console.log('Deepgram transcript:', transcript);
-
-                // Step 2: Send transcript to Gemini for processing
-                if (geminiApiKey) {
-                  try {
-                    // Use gemini-2.5-flash for best performance
-                    // Build prompt with agent identity and user message
-                    const systemPrompt = agentIdentity;
-                    const userMessage = transcript;
-                    const fullPrompt = systemPrompt + '\n\nUser: ' + userMessage;
-
-                    const geminiResponse = await nodeFetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=' + geminiApiKey, {
-                      method: 'POST',
-                      headers: {
-                        'Content-Type': 'application/json'
-                      },
-                      body: JSON.stringify({
-                        contents: [{
-                          parts: [{
-                            text: fullPrompt
-                          }]
-                        }]
-                      })
-                    });
-
-                    if (geminiResponse.ok) {
-                      const geminiResult = await geminiResponse.json();
-                      const agentResponse = geminiResult.candidates?.[0]?.content?.parts?.[0]?.text || 'I could not generate a response.';
-                      console.log('Gemini response:', agentResponse);
-
-                      // ✅ Track Gemini usage
-                      if (userId && callId) {
-                        const estimatedTokens = (fullPrompt.length + agentResponse.length) / 4;
-                        try {
-                          await walletService.recordUsageAndCharge(
-                            userId,
-                            callId,
-                            'gemini',
-                            estimatedTokens,
-                            { prompt_length: fullPrompt.length, response_length: agentResponse.length }
-                          );
-                        } catch (error) {
-                          console.error('Error tracking Gemini usage:', error);
-                        }
-                      }
-
-                      // Step 3: Send Gemini response to ElevenLabs for text-to-speech
-                      if (elevenLabsApiKey) {
-                        try {
-                          // Use the agent's configured voice ID
-                          console.log('Sending text to ElevenLabs with voice ID:', agentVoiceId);
-                          const ttsResponse = await nodeFetch(`https://api.elevenlabs.io/v1/text-to-speech/${agentVoiceId}`, {
-                            method: 'POST',
-                            headers: {
-                              'xi-api-key': elevenLabsApiKey,
-                              'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify({
-                              text: agentResponse,
-                              voice_settings: {
-                                stability: 0.5,
-                                similarity_boost: 0.75
-                              }
-                            })
-                          });
-
-                          if (ttsResponse.ok) {
-                            const audioBuffer = await ttsResponse.arrayBuffer();
-                            const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-
-                            // ✅ Track ElevenLabs usage
-                            if (userId && callId) {
-                              const characterCount = agentResponse.length;
-                              try {
-                                await walletService.recordUsageAndCharge(
-                                  userId,
-                                  callId,
-                                  'elevenlabs',
-                                  characterCount,
-                                  { text_length: characterCount, voice_id: agentVoiceId }
-                                );
-                              } catch (error) {
-                                console.error('Error tracking ElevenLabs usage:', error);
-                              }
-                            }
-
-                            // Send audio back to client
-                            ws.send(JSON.stringify({
-                              event: 'audio',
-                              audio: audioBase64
-                            }));
-
-                            // Also send the transcript for display
-                            ws.send(JSON.stringify({
-                              event: 'transcript',
-                              text: transcript,
-                              confidence: confidence
-                            }));
-
-                            // Send agent response for display
-                            ws.send(JSON.stringify({
-                              event: 'agent-response',
-                              text: agentResponse
-                            }));
-
-                          } else {
-                            const errorText = await ttsResponse.text();
-                            console.error('ElevenLabs TTS error:', ttsResponse.status, errorText);
-                            // Check if the response is HTML (error page)
-                            if (errorText.startsWith('<!DOCTYPE') || errorText.includes('<html')) {
-                              console.error('ElevenLabs API returned HTML error page. Check API key and network connectivity.');
-                              ws.send(JSON.stringify({
-                                event: 'error',
-                                message: 'ElevenLabs API configuration error. Please check API key.'
-                              }));
-                            } else {
-                              // Parse JSON error if possible
-                              try {
-                                const errorJson = JSON.parse(errorText);
-                                ws.send(JSON.stringify({
-                                  event: 'error',
-                                  message: `TTS Error: ${errorJson.detail?.message || errorJson.message || 'Failed to generate audio response'}`
-                                }));
-                              } catch (parseError) {
-                                // If not JSON, send the raw error
-                                ws.send(JSON.stringify({
-                                  event: 'error',
-                                  message: `TTS Error: ${errorText.substring(0, 200)}`
-                                }));
-                              }
-                            }
-                          }
-                          // Clear processing flag after TTS processing (whether successful or not)
-                          isProcessing = false;
-                        } catch (ttsError) {
-                          console.error('Error calling ElevenLabs TTS:', ttsError);
-                          ws.send(JSON.stringify({
-                            event: 'error',
-                            message: 'Error converting response to speech'
-                          }));
-                          isProcessing = false;
-                        }
-                      } else {
-                        // Send just the text response if TTS is not configured
-                        ws.send(JSON.stringify({
-                          event: 'agent-response',
-                          text: agentResponse
-                        }));
-                        isProcessing = false;
-                      }
-                    } else {
-                      const errorText = await geminiResponse.text();
-                      console.error('Gemini API error:', geminiResponse.status, errorText);
-                      ws.send(JSON.stringify({
-                        event: 'error',
-                        message: 'Gemini failed to process transcript'
-                      }));
-                      isProcessing = false;
-                    }
-                  } catch (geminiError) {
-                    console.error('Error calling Gemini:', geminiError);
-                    ws.send(JSON.stringify({
-                      event: 'error',
-                      message: 'Error processing with Gemini'
-                    }));
-                    isProcessing = false;
-                  }
-                } else {
-                  // Send transcript if Gemini is not configured
-                  ws.send(JSON.stringify({
-                    event: 'transcript',
-                    text: transcript,
-                    confidence: confidence
-                  }));
-                  isProcessing = false;
-                }
-
-                // Clear buffer after successful transcription
-                audioBuffer.length = 0;
-              } else {
-                isProcessing = false;
-              }
-            } else {
-              const errorText = await deepgramResponse.text();
-              console.error('Deepgram API error:', deepgramResponse.status, errorText);
-              ws.send(JSON.stringify({
-                event: 'error',
-                message: `Deepgram error: ${deepgramResponse.status} - ${errorText.substring(0, 200)}`
-              }));
-              isProcessing = false;
-            }
-          } catch (transcriptionError) {
-            console.error('Error in voice processing pipeline:', transcriptionError);
-            ws.send(JSON.stringify({
-              event: 'error',
-              message: `Voice processing error: ${transcriptionError.message}`
-            }));
-            isProcessing = false;
-          }
-        } else if (audioChunksReceived % 10 === 0 && isProcessing) {
-          console.log('Skipping audio processing - already processing previous response');
-        }
-      } else if (data.event === 'ping') {
-        // Respond to client ping
-        ws.send(JSON.stringify({ event: 'pong' }));
-      }
-    } catch (error) {
-      console.error('Error processing voice stream message:', error);
-    }
-  });
-
-  // Send a greeting message after connection
-  setTimeout(() => {
-    try {
-      ws.send(JSON.stringify({
-        event: 'message',
-        text: 'Hello! I\'m ready to process your voice. I\'ll use Deepgram for speech-to-text, Gemini for AI responses, and ElevenLabs for text-to-speech.'
-      }));
-    } catch (error) {
-      console.error('Error sending greeting:', error);
-    }
-  }, 500);
-
-  ws.on('close', () => {
-    console.log('Voice stream connection closed. Total audio chunks received:', audioChunksReceived);
-    audioBuffer.length = 0;
-  });
-
-  ws.on('error', (error) => {
-    console.error('Voice stream WebSocket error:', error);
-  });
+// WebSocket endpoint for the browser test call on the agent page
+const browserVoiceHandler = new BrowserVoiceHandler(conversationEngine);
+app.ws('/voice-stream', function (ws, req) {
+  browserVoiceHandler.handleConnection(ws, req);
 });
 
 // Twilio number management endpoints
@@ -3105,6 +3213,50 @@ app.post('/api/campaigns/:id/set-caller-phone', async (req, res) => {
   }
 });
 
+// Set the greeting used instead of the agent's greeting line on campaign calls
+app.post('/api/campaigns/:id/set-greeting', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, greetingOverride } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const updatedCampaign = await campaignService.setGreetingOverride(id, userId, (greetingOverride || '').trim());
+    if (!updatedCampaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+    res.json({ success: true, data: updatedCampaign });
+
+  } catch (error) {
+    console.error('Error setting campaign greeting:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Set whether the lead's details are added to the agent prompt
+app.post('/api/campaigns/:id/set-include-metadata', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, includeMetadata } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const updatedCampaign = await campaignService.setIncludeMetadata(id, userId, includeMetadata);
+    if (!updatedCampaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+    res.json({ success: true, data: updatedCampaign });
+
+  } catch (error) {
+    console.error('Error setting include metadata:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Import CSV records
 app.post('/api/campaigns/:id/import', async (req, res) => {
   try {
@@ -3237,7 +3389,7 @@ app.post('/api/campaigns/:id/start', async (req, res) => {
 
     // Get all pending records
     const [records] = await mysqlPool.execute(
-      'SELECT id, phone FROM campaign_records WHERE campaign_id = ? AND call_status = ?',
+      'SELECT id, phone, metadata FROM campaign_records WHERE campaign_id = ? AND call_status = ?',
       [id, 'pending']
     );
 
@@ -3275,6 +3427,37 @@ app.post('/api/campaigns/:id/stop', async (req, res) => {
   }
 });
 // Process campaign calls (runs in background)
+/**
+ * Create the calls row for an outbound campaign call so its transcript,
+ * turn timeline and post-call tool runs can be stored against it
+ */
+async function createCampaignCallRecord({ callId, userId, agentId, campaignId, twilioNumber, to }) {
+  const [phoneRows] = await mysqlPool.execute(
+    'SELECT id FROM phone_numbers WHERE number = ? AND user_id = ?',
+    [twilioNumber.phoneNumber, userId]
+  );
+
+  let phoneNumberId;
+  if (phoneRows.length > 0) {
+    phoneNumberId = phoneRows[0].id;
+  } else {
+    phoneNumberId = uuidv4();
+    await mysqlPool.execute(
+      `INSERT INTO phone_numbers 
+      (id, user_id, number, source, provider, created_at) 
+      VALUES (?, ?, ?, 'twilio', 'twilio', NOW())`,
+      [phoneNumberId, userId, twilioNumber.phoneNumber]
+    );
+  }
+
+  await mysqlPool.execute(
+    `INSERT INTO calls 
+    (id, phone_number_id, user_id, agent_id, from_number, to_number, status, twilio_number_id, campaign_id, started_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'initiated', ?, ?, NOW())`,
+    [callId, phoneNumberId, userId, agentId, twilioNumber.phoneNumber, to, twilioNumber.id, campaignId]
+  );
+}
+
 async function processCampaignCalls(campaignId, userId, campaign, records) {
   console.log(`Processing campaign ${campaignId} with ${records.length} records`);
 
@@ -3286,6 +3469,7 @@ async function processCampaignCalls(campaignId, userId, campaign, records) {
     console.error('Twilio number not found:', campaign.callerPhone);
     return;
   }
+  const machineDetection = await agentUsesVoicemailDetection(userId, campaign.agentId);
   // Process records sequentially with delay
   for (const record of records) {
     try {
@@ -3302,14 +3486,27 @@ async function processCampaignCalls(campaignId, userId, campaign, records) {
       const appUrl = process.env.APP_URL;
       const cleanAppUrl = appUrl.replace(/\/$/, '');
 
+      await createCampaignCallRecord({
+        callId,
+        userId,
+        agentId: campaign.agentId,
+        campaignId,
+        twilioNumber,
+        to: record.phone
+      });
+
       const call = await twilioService.createCall({
         userId: userId,
         twilioNumberId: twilioNumber.id,
         to: record.phone,
         agentId: campaign.agentId,
         callId: callId,
-        appUrl: cleanAppUrl
+        appUrl: cleanAppUrl,
+        campaignId,
+        recordId: record.id,
+        machineDetection
       });
+      await mysqlPool.execute('UPDATE calls SET call_sid = ? WHERE id = ?', [call.sid, callId]);
       // ✅ Log all incoming HTTP requests to spot patterns
       app.use((req, res, next) => {
         const isWebSocket = req.headers.upgrade === 'websocket';
@@ -3375,4 +3572,6 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`📡 WebSocket endpoint: wss://ziyavoice-production.up.railway.app/api/call`);
   console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+  webhookService.resumeDeliveries()
+    .catch(error => console.error('Error resuming webhook deliveries:', error.message));
 });
@@ -22,6 +22,7 @@ class AgentService {
                 status: agent.status,
                 model: agent.model,
                 voiceId: agent.voice_id,
+                voiceSettings: agent.voice_settings ? this.parseJsonSafely(agent.voice_settings) : null,
                 language: agent.language,
                 settings: agent.settings ? this.parseJsonSafely(agent.settings) : this.getDefaultSettings(),
                 updatedDate: agent.updated_at
@@ -53,6 +54,7 @@ class AgentService {
                 status: agent.status,
                 model: agent.model,
                 voiceId: agent.voice_id,
+                voiceSettings: agent.voice_settings ? this.parseJsonSafely(agent.voice_settings) : null,
                 language: agent.language,
                 settings: agent.settings ? this.parseJsonSafely(agent.settings) : this.getDefaultSettings(),
                 updatedDate: agent.updated_at
@@ -75,8 +77,8 @@ class AgentService {
 
             await this.pool.execute(
                 `
-                INSERT INTO agents (id, user_id, name, identity, status, model, voice_id, language, settings, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO agents (id, user_id, name, identity, status, model, voice_id, voice_settings, language, settings, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `,
                 [
                     id,
@@ -86,6 +88,7 @@ class AgentService {
                     data.status,
                     data.model,
                     data.voiceId,
+                    data.voiceSettings ? JSON.stringify(data.voiceSettings) : null,
                     data.language,
                     settingsJson,
                     createdAt
@@ -100,6 +103,7 @@ class AgentService {
                 status: data.status,
                 model: data.model,
                 voiceId: data.voiceId,
+                voiceSettings: data.voiceSettings || null,
                 language: data.language,
                 settings: this.parseJsonSafely(settingsJson),
                 updatedDate: createdAt
@@ -124,6 +128,7 @@ async updateAgent(userId, id, updateData) {
             createdDate: "created_at",
             updatedDate: "updated_at",
             voiceId: "voice_id",
+            voiceSettings: "voice_settings",
             name: "name",
             identity: "identity",
             status: "status",
@@ -144,6 +149,9 @@ async updateAgent(userId, id, updateData) {
     } else if (key === "voiceId") {
         fields.push(`voice_id = ?`);
         values.push(updateData[key]);
+    } else if (key === "voiceSettings") {
+        fields.push(`voice_settings = ?`);
+        values.push(updateData[key] ? JSON.stringify(updateData[key]) : null);
     } else {
         fields.push(`${key} = ?`);
         values.push(updateData[key]);
@@ -197,16 +205,21 @@ async updateAgent(userId, id, updateData) {
         return {
             userStartsFirst: false,
             greetingLine: "Welcome! How can I help you?",
+            greetingDelayMs: 500,
             responseDelay: false,
             inactivityHandling: true,
             agentCanTerminateCall: false,
             voicemailDetection: true,
+            voicemailMessage: "",
             callTransfer: true,
+            transferDestinations: [],
             dtmfDial: false,
             agentTimezone: "America/New_York",
+            autoDetectLanguage: false,
             voiceDetectionConfidenceThreshold: 0.5,
             overrideVAD: false,
             backgroundAmbientSound: "None",
+            backgroundAmbientLevel: 0.5,
             callRecording: true,
             sessionTimeoutFixedDuration: 3600,
             sessionTimeoutNoVoiceActivity: 300,
@@ -0,0 +1,100 @@
+const { v4: uuidv4 } = require('uuid');
+const { MULAW_SAMPLE_RATE, decodeMulaw, wavToMulaw } = require('../utils/audio.js');
+const { AMBIENT_PRESETS, generateAmbientLoop, normalizeLoop } = require('../utils/ambientLoops.js');
+
+// settings.backgroundAmbientSound of an uploaded loop: "upload:<id>"
+const UPLOAD_PREFIX = 'upload:';
+const MIN_UPLOAD_SECONDS = 1;
+const MAX_UPLOAD_SECONDS = 60;
+// settings.backgroundAmbientLevel when the agent doesn't set one
+const DEFAULT_AMBIENT_LEVEL = 0.5;
+
+/**
+ * Ambient background loops for calls: the bundled ones (AMBIENT_PRESETS)
+ * and the WAV loops users upload, stored as 8 kHz µ-law.
+ */
+class AmbientSoundService {
+  constructor(mysqlPool) {
+    this.mysqlPool = mysqlPool;
+    // Decoded, normalized loops by settings value (uploads by user and value)
+    this.loops = new Map();
+  }
+
+  /**
+   * The bundled loops followed by the user's uploads
+   * @returns [{ id, name, builtIn, durationMs? }] where id is the settings value
+   */
+  async listSounds(userId) {
+    const bundled = Object.entries(AMBIENT_PRESETS).map(([id, preset]) => ({ id, name: preset.name, builtIn: true }));
+    const [rows] = await this.mysqlPool.execute(
+      'SELECT id, name, duration_ms FROM ambient_sounds WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+    return bundled.concat(rows.map(row => ({
+      id: `${UPLOAD_PREFIX}${row.id}`,
+      name: row.name,
+      builtIn: false,
+      durationMs: row.duration_ms,
+    })));
+  }
+
+  /**
+   * Store an uploaded WAV loop
+   * @param wav - 16-bit PCM or µ-law WAV file, any sample rate
+   */
+  async uploadSound(userId, name, wav) {
+    let audio;
+    try {
+      audio = wavToMulaw(wav);
+    } catch (err) {
+      throw new Error(`Ambient sounds must be WAV files: ${err.message}`);
+    }
+    const seconds = audio.length / MULAW_SAMPLE_RATE;
+    if (seconds < MIN_UPLOAD_SECONDS || seconds > MAX_UPLOAD_SECONDS) {
+      throw new Error(`Ambient sounds must be ${MIN_UPLOAD_SECONDS} to ${MAX_UPLOAD_SECONDS} seconds long`);
+    }
+
+    const id = uuidv4();
+    const durationMs = Math.round(seconds * 1000);
+    await this.mysqlPool.execute(
+      'INSERT INTO ambient_sounds (id, user_id, name, audio, duration_ms) VALUES (?, ?, ?, ?, ?)',
+      [id, userId, name, audio, durationMs]
+    );
+    return { id: `${UPLOAD_PREFIX}${id}`, name, builtIn: false, durationMs };
+  }
+
+  async deleteSound(userId, soundId) {
+    const id = String(soundId).replace(UPLOAD_PREFIX, '');
+    const [result] = await this.mysqlPool.execute('DELETE FROM ambient_sounds WHERE id = ? AND user_id = ?', [id, userId]);
+    if (result.affectedRows === 0) throw new Error('Ambient sound not found');
+    this.loops.delete(`${userId}:${UPLOAD_PREFIX}${id}`);
+  }
+
+  /**
+   * The loop an agent's settings.backgroundAmbientSound names
+   * @returns 8 kHz PCM samples, or null for none (including "None" and unknown sounds)
+   */
+  async getLoop(userId, soundId) {
+    if (!soundId || soundId === 'None') return null;
+    const isUpload = soundId.startsWith(UPLOAD_PREFIX);
+    const cacheKey = isUpload ? `${userId}:${soundId}` : soundId;
+    if (this.loops.has(cacheKey)) return this.loops.get(cacheKey);
+
+    let loop = null;
+    if (isUpload) {
+      const [rows] = await this.mysqlPool.execute(
+        'SELECT audio FROM ambient_sounds WHERE id = ? AND user_id = ?',
+        [soundId.slice(UPLOAD_PREFIX.length), userId]
+      );
+      if (rows.length === 0) return null;
+      loop = normalizeLoop(decodeMulaw(rows[0].audio));
+    } else {
+      // Older agents store the preset's display name, e.g. "Office"
+      loop = generateAmbientLoop(soundId.toLowerCase());
+    }
+    if (loop) this.loops.set(cacheKey, loop);
+    return loop;
+  }
+}
+
+module.exports = { AmbientSoundService, DEFAULT_AMBIENT_LEVEL };
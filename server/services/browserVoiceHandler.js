@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require("uuid");
+const { decodeMulaw, encodeWav, pcm16ToMulaw } = require("../utils/audio.js");
+
+// The browser records 16-bit PCM at this rate unless a chunk says otherwise
+const DEFAULT_INPUT_SAMPLE_RATE = 16000;
+
+/**
+ * Browser WebSocket adapter (/voice-stream) for the ConversationEngine, used
+ * by the agent test call. The conversation runs exactly as on a phone call;
+ * the browser only carries audio:
+ * - in: { event: 'audio', data } base64 PCM16 microphone audio,
+ *   { event: 'audio-started' / 'audio-ended', id } as agent clips play, { event: 'ping' }
+ * - out: { event: 'audio', id, audio } a WAV clip per synthesized sentence, sent as
+ *   soon as it is ready and played in order, { event: 'clear' },
+ *   'transcript' / 'agent-response' { text }, { event: 'session-ended' }, 'pong'
+ *
+ * Query parameters: agentId and userId load the saved agent; identity and
+ * voiceId override its prompt and voice (unsaved edits).
+ *
+ * Test calls have no calls row: nothing is stored, usage is still billed.
+ */
+class BrowserVoiceHandler {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    async handleConnection(ws, req) {
+        const query = req.query || {};
+        const sessionId = `test-${uuidv4()}`;
+        console.log(`🌐 Browser voice session ${sessionId} connected`);
+
+        const transport = this.createTransport(ws, sessionId);
+        let session = null;
+        // Microphone audio that arrives while the agent is being loaded
+        const pending = [];
+
+        ws.on("message", (message) => {
+            try {
+                const data = JSON.parse(message.toString());
+                if (data.event === "audio" && data.data) {
+                    const audio = pcm16ToMulaw(Buffer.from(data.data, "base64"), Number(data.sampleRate) || DEFAULT_INPUT_SAMPLE_RATE);
+                    if (session) this.engine.receiveAudio(session, audio);
+                    else pending.push(audio);
+                } else if (data.event === "audio-started") {
+                    transport.audioStarted(Number(data.id));
+                } else if (data.event === "audio-ended") {
+                    transport.audioEnded(Number(data.id));
+                } else if (data.event === "ping") {
+                    transport.send({ event: "pong" });
+                }
+            } catch (err) {
+                console.error("❌ Browser voice message error:", err);
+            }
+        });
+
+        ws.on("close", () => {
+            console.log(`🔌 Browser voice session ${sessionId} closed`);
+            transport.stop();
+            this.engine.endSession(sessionId);
+        });
+
+        ws.on("error", (error) => {
+            console.error("❌ Browser voice WebSocket error:", error);
+        });
+
+        try {
+            const voiceId = query.voiceId && query.voiceId !== "default" ? query.voiceId : null;
+            session = await this.engine.startSession(transport, {
+                callId: sessionId,
+                userId: query.userId || null,
+                agentId: query.agentId || null,
+                prompt: query.identity ? String(query.identity).trim() : null,
+                voiceId,
+                persistent: false,
+                defaultSttProvider: "deepgram",
+            });
+            if (ws.readyState !== ws.OPEN) {
+                this.engine.endSession(sessionId);
+                return;
+            }
+            pending.forEach(audio => this.engine.receiveAudio(session, audio));
+            pending.length = 0;
+        } catch (err) {
+            console.error("❌ Could not start browser voice session:", err);
+            transport.send({ event: "error", message: err.message });
+            ws.close();
+        }
+    }
+
+    /**
+     * The engine's view of the browser (see ConversationEngine). Each piece of
+     * agent audio goes out as its own numbered WAV clip; the browser reports
+     * when clips start and finish playing, which places the caller's view of
+     * the turn for barge-in and tells when a mark has been played.
+     */
+    createTransport(ws, sessionId) {
+        let lastClip = 0;
+        // Every clip up to this one has played (or was cleared)
+        let playedClip = 0;
+        // { name, clip }: reported once that clip has played
+        let marks = [];
+
+        const send = (message) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        };
+        const withSession = (handler) => {
+            const session = this.engine.getSession(sessionId);
+            if (session) handler(session);
+        };
+        const reportPlayedMarks = () => {
+            const played = marks.filter(mark => mark.clip <= playedClip);
+            marks = marks.filter(mark => mark.clip > playedClip);
+            played.forEach(mark => withSession(session => this.engine.handlePlaybackMark(session, mark.name)));
+        };
+        const stop = () => {
+            marks = [];
+            playedClip = lastClip;
+        };
+
+        return {
+            isPhoneCall: false,
+            reportsPlaybackStart: true,
+            send,
+            stop,
+            sendAudio: (audio) => {
+                lastClip++;
+                send({ event: "audio", id: lastClip, audio: encodeWav(decodeMulaw(audio)).toString("base64") });
+                return lastClip;
+            },
+            clearAudio: () => {
+                stop();
+                send({ event: "clear" });
+            },
+            sendMark: (name) => {
+                marks.push({ name, clip: lastClip });
+                reportPlayedMarks();
+            },
+            audioStarted: (clip) => {
+                if (clip > playedClip) withSession(session => this.engine.handlePlaybackStarted(session, clip));
+            },
+            audioEnded: (clip) => {
+                if (clip <= playedClip || clip > lastClip) return;
+                playedClip = clip;
+                reportPlayedMarks();
+            },
+            hangUp: () => {
+                send({ event: "session-ended" });
+                if (ws.readyState === ws.OPEN) ws.close();
+            },
+            notify: (event, data) => send({ event, ...data }),
+        };
+    }
+}
+
+module.exports = { BrowserVoiceHandler };
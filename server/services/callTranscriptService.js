@@ -0,0 +1,112 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Stores the turn-by-turn timeline of a call in call_segments and reads it
+ * back for the transcript viewer.
+ *
+ * Each row is one caller or agent turn: the text goes in user_transcript or
+ * agent_response depending on the speaker. Older rows written with both
+ * columns filled (one row per exchange) are still read back as two turns.
+ */
+class CallTranscriptService {
+  constructor(mysqlPool) {
+    this.mysqlPool = mysqlPool;
+  }
+
+  /**
+   * Persist one turn of a call
+   * @param callId - The calls.id of the call
+   * @param turn - { speaker: 'user'|'agent', text, startedAt, endedAt, confidence?, interrupted?, metadata? }
+   */
+  async recordTurn(callId, turn) {
+    const isUser = turn.speaker === 'user';
+    await this.mysqlPool.execute(
+      `INSERT INTO call_segments
+       (id, call_id, speaker, user_transcript, agent_response, started_at, ended_at, confidence, interrupted, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        callId,
+        turn.speaker,
+        isUser ? turn.text : null,
+        isUser ? null : turn.text,
+        new Date(turn.startedAt),
+        new Date(turn.endedAt || turn.startedAt),
+        turn.confidence ?? null,
+        !!turn.interrupted,
+        turn.metadata ? JSON.stringify(turn.metadata) : null,
+      ]
+    );
+  }
+
+  /**
+   * Get the call with its turn timeline
+   * @param callId - The calls.id or the Twilio call SID
+   * @param userId - Only find the call if it belongs to this user (omit for internal use)
+   * @returns The call transcript, or null if the call does not exist
+   */
+  async getTranscript(callId, userId = null) {
+    const [calls] = await this.mysqlPool.execute(
+      `SELECT id, call_sid, agent_id, from_number, to_number, status, started_at, ended_at, duration, transcript,
+              transfer_destination, transfer_number, transfer_type, transfer_status, transfer_reason, transferred_at,
+              disposition, disposition_details
+       FROM calls WHERE (id = ? OR call_sid = ?)${userId ? ' AND user_id = ?' : ''} LIMIT 1`,
+      userId ? [callId, callId, userId] : [callId, callId]
+    );
+    if (calls.length === 0) return null;
+    const call = calls[0];
+
+    const [rows] = await this.mysqlPool.execute(
+      `SELECT * FROM call_segments WHERE call_id = ?
+       ORDER BY COALESCE(started_at, timestamp) ASC, timestamp ASC`,
+      [call.id]
+    );
+
+    return {
+      callId: call.id,
+      callSid: call.call_sid,
+      agentId: call.agent_id,
+      fromNumber: call.from_number,
+      toNumber: call.to_number,
+      status: call.status,
+      startedAt: call.started_at,
+      endedAt: call.ended_at,
+      duration: call.duration,
+      transcript: call.transcript,
+      disposition: call.disposition,
+      dispositionDetails: call.disposition_details,
+      transfer: call.transfer_status ? {
+        destination: call.transfer_destination,
+        phoneNumber: call.transfer_number,
+        type: call.transfer_type,
+        status: call.transfer_status,
+        reason: call.transfer_reason,
+        transferredAt: call.transferred_at,
+      } : null,
+      turns: rows.flatMap(row => this.formatTurns(row)),
+    };
+  }
+
+  formatTurns(row) {
+    const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata;
+    const base = {
+      id: row.id,
+      startedAt: row.started_at || row.timestamp,
+      endedAt: row.ended_at || row.timestamp,
+      confidence: row.confidence,
+      interrupted: !!row.interrupted,
+      metadata: metadata || null,
+    };
+
+    if (row.speaker) {
+      return [{ ...base, speaker: row.speaker, text: row.speaker === 'user' ? row.user_transcript : row.agent_response }];
+    }
+    // Legacy row holding a whole exchange
+    const turns = [];
+    if (row.user_transcript) turns.push({ ...base, id: `${row.id}-user`, speaker: 'user', text: row.user_transcript });
+    if (row.agent_response) turns.push({ ...base, id: `${row.id}-agent`, speaker: 'agent', text: row.agent_response });
+    return turns;
+  }
+}
+
+module.exports = CallTranscriptService;
@@ -1,4 +1,15 @@
 "use strict";
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
     return new (P || (P = Promise))(function (resolve, reject) {
@@ -37,7 +48,31 @@ var __generator = (this && this.__generator) || function (thisArg, body) {
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.CampaignService = void 0;
+exports.parseMetadata = parseMetadata;
 var uuid_1 = require("uuid");
+/**
+ * Extra CSV columns of a lead, stored as JSON; null when there are none
+ */
+function serializeMetadata(metadata) {
+    return metadata && Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null;
+}
+/**
+ * mysql2 returns JSON columns parsed; older rows may hold a JSON string
+ */
+function parseMetadata(metadata) {
+    if (!metadata) {
+        return {};
+    }
+    if (typeof metadata !== 'string') {
+        return metadata;
+    }
+    try {
+        return JSON.parse(metadata);
+    }
+    catch (error) {
+        return {};
+    }
+}
 var CampaignService = /** @class */ (function () {
     function CampaignService(mysqlPool) {
         this.mysqlPool = mysqlPool;
@@ -55,7 +90,7 @@ var CampaignService = /** @class */ (function () {
                 switch (_a.label) {
                     case 0:
                         _a.trys.push([0, 2, , 3]);
-                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, user_id, name, caller_phone, include_metadata, status, created_at FROM campaigns WHERE id = ? AND user_id = ?', [id, userId])];
+                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, user_id, name, caller_phone, agent_id, greeting_override, include_metadata, status, created_at FROM campaigns WHERE id = ? AND user_id = ?', [id, userId])];
                     case 1:
                         rows = (_a.sent())[0];
                         if (rows.length === 0) {
@@ -67,6 +102,8 @@ var CampaignService = /** @class */ (function () {
                                 userId: row.user_id,
                                 name: row.name,
                                 callerPhone: row.caller_phone,
+                                agentId: row.agent_id,
+                                greetingOverride: row.greeting_override,
                                 includeMetadata: row.include_metadata === 1,
                                 status: row.status,
                                 createdAt: row.created_at
@@ -99,7 +136,7 @@ var CampaignService = /** @class */ (function () {
                         if (!campaign) {
                             return [2 /*return*/, null];
                         }
-                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, campaign_id, phone, call_status, call_sid, recording_url, retries, created_at FROM campaign_records WHERE campaign_id = ? ORDER BY created_at DESC', [id])];
+                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, campaign_id, phone, call_status, call_sid, recording_url, retries, metadata, created_at FROM campaign_records WHERE campaign_id = ? ORDER BY created_at DESC', [id])];
                     case 2:
                         rows = (_a.sent())[0];
                         records = rows.map(function (row) { return ({
@@ -110,6 +147,7 @@ var CampaignService = /** @class */ (function () {
                             callSid: row.call_sid,
                             recordingUrl: row.recording_url,
                             retries: row.retries || 0,
+                            metadata: parseMetadata(row.metadata),
                             createdAt: row.created_at
                         }); });
                         return [2 /*return*/, { campaign: campaign, records: records }];
@@ -150,6 +188,63 @@ var CampaignService = /** @class */ (function () {
             });
         });
     };
+    /**
+     * Set the greeting that replaces the agent's greeting line on this
+     * campaign's calls; {{variables}} are filled from the lead
+     * @param id Campaign ID
+     * @param userId User ID for security check
+     * @param greetingOverride Greeting template, or empty to use the agent's greeting
+     * @returns Updated campaign or null if not found
+     */
+    CampaignService.prototype.setGreetingOverride = function (id, userId, greetingOverride) {
+        return __awaiter(this, void 0, void 0, function () {
+            var error_19;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        _a.trys.push([0, 3, , 4]);
+                        return [4 /*yield*/, this.mysqlPool.execute('UPDATE campaigns SET greeting_override = ? WHERE id = ? AND user_id = ?', [greetingOverride || null, id, userId])];
+                    case 1:
+                        _a.sent();
+                        return [4 /*yield*/, this.getCampaign(id, userId)];
+                    case 2: return [2 /*return*/, _a.sent()];
+                    case 3:
+                        error_19 = _a.sent();
+                        console.error('Error setting greeting override:', error_19);
+                        throw error_19;
+                    case 4: return [2 /*return*/];
+                }
+            });
+        });
+    };
+    /**
+     * Set whether every lead column is added to the agent prompt
+     * @param id Campaign ID
+     * @param userId User ID for security check
+     * @param includeMetadata Add the lead's details to the prompt
+     * @returns Updated campaign or null if not found
+     */
+    CampaignService.prototype.setIncludeMetadata = function (id, userId, includeMetadata) {
+        return __awaiter(this, void 0, void 0, function () {
+            var error_20;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        _a.trys.push([0, 3, , 4]);
+                        return [4 /*yield*/, this.mysqlPool.execute('UPDATE campaigns SET include_metadata = ? WHERE id = ? AND user_id = ?', [!!includeMetadata, id, userId])];
+                    case 1:
+                        _a.sent();
+                        return [4 /*yield*/, this.getCampaign(id, userId)];
+                    case 2: return [2 /*return*/, _a.sent()];
+                    case 3:
+                        error_20 = _a.sent();
+                        console.error('Error setting include metadata:', error_20);
+                        throw error_20;
+                    case 4: return [2 /*return*/];
+                }
+            });
+        });
+    };
     /**
      * Import CSV records into campaign
      * @param id Campaign ID
@@ -177,10 +272,10 @@ var CampaignService = /** @class */ (function () {
                     case 2:
                         if (!(i < csvData.length)) return [3 /*break*/, 5];
                         batch = csvData.slice(i, i + batchSize);
-                        values = batch.map(function (record) { return [(0, uuid_1.v4)(), id, record.phone, 'pending', 0]; });
-                        placeholders = values.map(function () { return '(?, ?, ?, ?, ?)'; }).join(', ');
+                        values = batch.map(function (record) { return [(0, uuid_1.v4)(), id, record.phone, 'pending', 0, serializeMetadata(record.metadata)]; });
+                        placeholders = values.map(function () { return '(?, ?, ?, ?, ?, ?)'; }).join(', ');
                         if (!(values.length > 0)) return [3 /*break*/, 4];
-                        return [4 /*yield*/, this.mysqlPool.execute("INSERT INTO campaign_records (id, campaign_id, phone, call_status, retries) VALUES ".concat(placeholders), values.flat())];
+                        return [4 /*yield*/, this.mysqlPool.execute("INSERT INTO campaign_records (id, campaign_id, phone, call_status, retries, metadata) VALUES ".concat(placeholders), values.flat())];
                     case 3:
                         _a.sent();
                         totalInserted += values.length;
@@ -287,7 +382,7 @@ var CampaignService = /** @class */ (function () {
                         countResult = (_a.sent())[0][0];
                         totalCount = countResult.count;
                         offset = (page - 1) * limit;
-                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, campaign_id, phone, call_status, call_sid, recording_url, retries, created_at FROM campaign_records WHERE campaign_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?', [id, limit, offset])];
+                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, campaign_id, phone, call_status, call_sid, recording_url, retries, metadata, created_at FROM campaign_records WHERE campaign_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?', [id, limit, offset])];
                     case 2:
                         rows = (_a.sent())[0];
                         records = rows.map(function (row) { return ({
@@ -298,6 +393,7 @@ var CampaignService = /** @class */ (function () {
                             callSid: row.call_sid,
                             recordingUrl: row.recording_url,
                             retries: row.retries || 0,
+                            metadata: parseMetadata(row.metadata),
                             createdAt: row.created_at
                         }); });
                         return [2 /*return*/, { records: records, totalCount: totalCount }];
@@ -356,7 +452,7 @@ var CampaignService = /** @class */ (function () {
                 switch (_a.label) {
                     case 0:
                         _a.trys.push([0, 2, , 3]);
-                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, user_id, name, caller_phone, include_metadata, status, created_at FROM campaigns WHERE user_id = ? ORDER BY created_at DESC', [userId])];
+                        return [4 /*yield*/, this.mysqlPool.execute('SELECT id, user_id, name, caller_phone, agent_id, greeting_override, include_metadata, status, created_at FROM campaigns WHERE user_id = ? ORDER BY created_at DESC', [userId])];
                     case 1:
                         rows = (_a.sent())[0];
                         return [2 /*return*/, rows.map(function (row) { return ({
@@ -364,6 +460,8 @@ var CampaignService = /** @class */ (function () {
                                 userId: row.user_id,
                                 name: row.name,
                                 callerPhone: row.caller_phone,
+                                agentId: row.agent_id,
+                                greetingOverride: row.greeting_override,
                                 includeMetadata: row.include_metadata === 1,
                                 status: row.status,
                                 createdAt: row.created_at
@@ -403,6 +501,36 @@ var CampaignService = /** @class */ (function () {
             });
         });
     };
+    /**
+     * A lead's CSV columns and phone number, which fill {{variables}} on its call
+     * @param recordId Record ID
+     * @param campaignId Campaign ID
+     * @param userId User ID for security check
+     * @returns The variables, or {} if the record is not in the user's campaign
+     */
+    CampaignService.prototype.getRecordVariables = function (recordId, campaignId, userId) {
+        return __awaiter(this, void 0, void 0, function () {
+            var rows, error_19;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        _a.trys.push([0, 2, , 3]);
+                        return [4 /*yield*/, this.mysqlPool.execute('SELECT cr.phone, cr.metadata FROM campaign_records cr JOIN campaigns c ON c.id = cr.campaign_id WHERE cr.id = ? AND cr.campaign_id = ? AND c.user_id = ?', [recordId, campaignId, userId])];
+                    case 1:
+                        rows = (_a.sent())[0];
+                        if (rows.length === 0) {
+                            return [2 /*return*/, {}];
+                        }
+                        return [2 /*return*/, __assign(__assign({}, parseMetadata(rows[0].metadata)), { phone: rows[0].phone })];
+                    case 2:
+                        error_19 = _a.sent();
+                        console.error('Error getting record variables:', error_19);
+                        throw error_19;
+                    case 3: return [2 /*return*/];
+                }
+            });
+        });
+    };
     /**
      * Update campaign record status
      * @param recordId Record ID
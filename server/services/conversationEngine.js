@@ -0,0 +1,1340 @@
+const { v4: uuidv4 } = require("uuid");
+const database = require("../config/database.js");
+const { SentenceSplitter } = require("../utils/sentenceSplitter.js");
+const {
+    buildFunctionDeclarations,
+    pickPreActionPhrase,
+    buildTransferDeclaration,
+    TRANSFER_FUNCTION_NAME,
+    buildDtmfDeclaration,
+    DTMF_FUNCTION_NAME,
+    buildEndCallDeclaration,
+    END_CALL_FUNCTION_NAME,
+} = require("../utils/toolDeclarations.js");
+const { generateDtmfTones } = require("../utils/audio.js");
+const { renderTemplate } = require("../utils/template.js");
+const { ToolExecutionService } = require("../toolExecutionService.js");
+const { buildKnowledgeInstruction } = require("./knowledgeIndexService.js");
+const CallTranscriptService = require("./callTranscriptService.js");
+const { SessionTimeouts } = require("./sessionTimeouts.js");
+const { createSttProvider } = require("./sttProviders.js");
+const { bindTurnTaking } = require("./turnTaking.js");
+const { DEFAULT_MODEL } = require("./llmProviders.js");
+const { TtsProviderRegistry, parseVoiceId } = require("./ttsProviders.js");
+const { LANGUAGES, DEFAULT_LANGUAGE, resolveLanguage, detectLanguage } = require("../utils/languages.js");
+const { DEFAULT_AMBIENT_LEVEL } = require("./ambientSoundService.js");
+
+const sessions = new Map();
+// Calls whose session has ended but whose transcript, post-call tools and webhooks are still being handled
+const finalizing = new Set();
+
+// Calls are carried as 8 kHz µ-law, i.e. 8 bytes of audio per millisecond
+const MULAW_BYTES_PER_MS = 8;
+// How many tool call round trips one agent turn may make
+const MAX_TOOL_ROUNDS = 3;
+// The local voicemail heuristic only looks at what is said this early in the call
+const VOICEMAIL_DETECTION_WINDOW_MS = 20000;
+// A first utterance this long, said before the caller has replied, sounds like a recorded greeting
+const VOICEMAIL_GREETING_MIN_SECONDS = 6;
+// Leave the message anyway if the end of the greeting (the beep) is never detected
+const VOICEMAIL_BEEP_TIMEOUT_MS = 8000;
+// Pause between the stream connecting and the greeting unless settings.greetingDelayMs says otherwise
+const DEFAULT_GREETING_DELAY_MS = 500;
+// Keypad digits typed by the caller are sent to the agent after this much quiet (or on "#")
+const DTMF_INPUT_TIMEOUT_MS = 2500;
+// Said before a transfer when the model didn't announce it itself
+const TRANSFER_PHRASE = "Please hold while I transfer your call.";
+// Said before hanging up when the model didn't say goodbye itself
+const END_CALL_PHRASE = "Thank you for your time. Goodbye!";
+const TRANSFER_FAILED_MESSAGE = "I'm sorry, I wasn't able to transfer your call. Is there anything else I can help you with?";
+// Rough LLM token count of a piece of text, for billing
+const CHARACTERS_PER_TOKEN = 4;
+// Usage is billed under these service_pricing types
+const BILLED_STT_PROVIDERS = ["deepgram"];
+// The other LLM providers only run on the user's own key (see LlmProviderRegistry)
+const BILLED_LLM_PROVIDERS = ["gemini"];
+const BILLED_TTS_PROVIDERS = ["elevenlabs"];
+const VOICEMAIL_PHRASES = /leave (me |us )?(a |your )?(message|name)|after the (tone|beep)|(not|un) ?available|can'?t (take|come to|get to) (your call|the phone)|voice ?mail|mailbox|record your message/i;
+
+/**
+ * The STT → LLM → TTS conversation loop, independent of how the audio gets
+ * in and out. Transport adapters (Twilio media streams, the browser voice
+ * test) start a session with a transport object and feed it the caller's
+ * audio; the engine runs the agent: turn-taking and barge-in, tools,
+ * knowledge, timeouts, transcripts and billing.
+ *
+ * A transport carries 8 kHz µ-law audio and provides:
+ * - sendAudio(audio), clearAudio(): queue agent audio / drop what is still queued
+ * - sendMark(name): report back through handlePlaybackMark() once everything
+ *   queued so far has been played
+ * - hangUp(): end the call
+ * - transfer?(destination, { warm }): hand the caller over to a phone number
+ * - notify?(event, data): live 'transcript' / 'agent-response' updates
+ * - playAmbience?(loop, level): mix a background loop (8 kHz PCM) under the call
+ * - startRecording?(): record the call (agents with settings.callRecording)
+ * - isPhoneCall: whether answering machines can pick up
+ * - reportsPlaybackStart?: sendAudio() returns a clip id and the transport calls
+ *   handlePlaybackStarted() when a clip starts playing; otherwise playback is
+ *   taken to start as soon as audio is sent
+ */
+class ConversationEngine {
+    /**
+     * @param services - { llmProviders, agentService, campaignService, walletService, postCallToolService?,
+     *                     knowledgeIndexService?, prefetchDataService?, webhookService?, ttsProviders?,
+     *                     ambientSoundService? }
+     */
+    constructor(services) {
+        // LlmProviderRegistry: the agent's model field picks the provider
+        this.llmProviders = services.llmProviders;
+        this.agentService = services.agentService;
+        this.campaignService = services.campaignService;
+        this.walletService = services.walletService || null;
+        this.toolExecutionService = new ToolExecutionService();
+        this.postCallToolService = services.postCallToolService || null;
+        this.knowledgeIndexService = services.knowledgeIndexService || null;
+        this.prefetchDataService = services.prefetchDataService || null;
+        this.webhookService = services.webhookService || null;
+        this.ambientSoundService = services.ambientSoundService || null;
+        this.callTranscriptService = new CallTranscriptService(database);
+        // STT providers by name, created on first use; agents pick one with settings.sttProvider
+        this.sttProviders = new Map();
+        // TTS providers, picked by the agent's voice id
+        this.ttsProviders = services.ttsProviders || new TtsProviderRegistry();
+    }
+
+    /**
+     * The STT provider an agent asked for, falling back to Deepgram if it
+     * can't be used (e.g. its API key is missing)
+     */
+    getSttProvider(name = "deepgram") {
+        if (!this.sttProviders.has(name)) {
+            try {
+                this.sttProviders.set(name, createSttProvider(name));
+            } catch (err) {
+                if (name === "deepgram") throw err;
+                console.error(`⚠️  STT provider ${name} unavailable, using Deepgram: ${err.message}`);
+                return this.getSttProvider("deepgram");
+            }
+        }
+        return this.sttProviders.get(name);
+    }
+
+    createSession(callId, agentPrompt, agentVoiceId, transport, tools = []) {
+        const { declarations, toolsByFunctionName } = buildFunctionDeclarations(tools);
+        const session = {
+            callId,
+            userId: null,
+            // Whether the session is a call with a calls row to store its transcript, logs and outcome on
+            persistent: false,
+            context: [],
+            sttStream: null,
+            sttProviderName: null,
+            agentPrompt,
+            agentVoiceId: agentVoiceId || "21m00Tcm4TlvDq8ikWAM",
+            transport,
+            turnCounter: 0,
+            agentTurn: null,
+            interruptions: [],
+            latencyMetrics: [],
+            functionDeclarations: declarations,
+            toolsByFunctionName,
+            knowledgeDocIds: [],
+            callSid: null,
+            startedAt: Date.now(),
+            voicemailDetection: false,
+            voicemailMessage: "",
+            // Set once a machine answered: { source, timer, messageStarted }
+            voicemail: null,
+            humanDetected: false,
+            transferDestinations: [],
+            // Set once the call is being handed over to a human: { destination, warm }
+            transfer: null,
+            // Keypad digits typed by the caller that haven't been sent to the agent yet
+            dtmfInput: { digits: "", startedAt: null, timer: null },
+            timeouts: null,
+            // Why the call is being ended by the agent side, once its final message is playing
+            ending: null,
+            // Billed when the session ends
+            usage: { sttSeconds: 0, llmTokens: 0, ttsCharacters: 0 },
+            // The agent's model field (see llmProviders.js) and, for custom endpoints, its base URL
+            model: DEFAULT_MODEL,
+            llmBaseUrl: null,
+            // The provider that answered last: { name, ownKey }
+            llm: null,
+        };
+        sessions.set(callId, session);
+        console.log(`✅ Created session for call ${callId}`);
+        console.log(`   Agent Prompt: ${agentPrompt.substring(0, 100)}...`);
+        console.log(`   Voice ID: ${session.agentVoiceId}`);
+        console.log(`   Tools: ${declarations.map(d => d.name).join(", ") || "none"}`);
+        return session;
+    }
+
+    endSession(callId) {
+        const session = sessions.get(callId);
+        if (session) {
+            if (session.voicemail) clearTimeout(session.voicemail.timer);
+            clearTimeout(session.dtmfInput.timer);
+            if (session.timeouts) session.timeouts.stop();
+            if (session.agentTurn) {
+                const turn = session.agentTurn;
+                turn.controller.abort();
+                session.agentTurn = null;
+                this.recordAgentTurn(session, turn, {
+                    text: this.estimateHeardSegments(turn).filter(Boolean).join(" "),
+                    interrupted: true,
+                    reason: "call_ended",
+                });
+            }
+            if (session.sttStream) session.sttStream.finish();
+            finalizing.add(callId);
+            sessions.delete(callId);
+            console.log(`❌ Ended session for call ${callId}`);
+
+            this.finalizeCall(session)
+                .catch(err => console.error("❌ Error finalizing call:", err))
+                .finally(() => finalizing.delete(callId));
+        }
+    }
+
+    hasSession(callId) {
+        return sessions.has(callId);
+    }
+
+    /**
+     * Whether the engine runs the end of this call itself (post-call tools,
+     * end-of-call webhooks): it is live or still being finalized
+     */
+    handlesCallEnd(callId) {
+        return sessions.has(callId) || finalizing.has(callId);
+    }
+
+    /**
+     * Bill the session's usage; for calls, store the transcript, run the
+     * post-call tools and send the end-of-call webhooks. The transcript is
+     * written first, so anything reading the call from here on sees it.
+     */
+    async finalizeCall(session) {
+        const transcript = session.persistent ? this.formatTranscript(session.context) : "";
+        if (transcript) {
+            await database.execute('UPDATE calls SET transcript = ? WHERE id = ?', [transcript, session.callId]);
+        }
+        await this.chargeUsage(session);
+        if (!session.persistent) return;
+
+        if (transcript && this.postCallToolService) {
+            await this.postCallToolService.runForCall(session.callId);
+        }
+        if (this.webhookService) {
+            await this.webhookService.deliverCallEnded(session.callId);
+        }
+    }
+
+    /**
+     * Charge the user's wallet for what the session used, per service
+     */
+    async chargeUsage(session) {
+        if (!this.walletService || !session.userId) return;
+        const callId = session.persistent ? session.callId : null;
+        const { sttSeconds, llmTokens, ttsCharacters } = session.usage;
+        const charges = [];
+        if (sttSeconds > 0 && BILLED_STT_PROVIDERS.includes(session.sttProviderName)) {
+            charges.push([session.sttProviderName, Math.round(sttSeconds * 100) / 100, { provider: session.sttProviderName }]);
+        }
+        // Users who brought their own LLM key pay the provider directly
+        if (llmTokens > 0 && session.llm && !session.llm.ownKey && BILLED_LLM_PROVIDERS.includes(session.llm.name)) {
+            charges.push([session.llm.name, Math.round(llmTokens), { turns: session.turnCounter, model: session.model }]);
+        }
+        const ttsProviderName = parseVoiceId(session.agentVoiceId).providerName;
+        if (ttsCharacters > 0 && BILLED_TTS_PROVIDERS.includes(ttsProviderName)) {
+            charges.push([ttsProviderName, ttsCharacters, { voice_id: session.agentVoiceId }]);
+        }
+
+        for (const [serviceType, units, metadata] of charges) {
+            await this.walletService.recordUsageAndCharge(session.userId, callId, serviceType, units, metadata)
+                .catch(err => console.error(`❌ Error charging ${serviceType} usage:`, err.message));
+        }
+    }
+
+    formatTranscript(context) {
+        return context
+            .map(message => {
+                const text = message.parts.map(part => part.text || "").join("").trim();
+                if (!text) return null;
+                return `${message.role === "model" ? "Agent" : "Caller"}: ${text}`;
+            })
+            .filter(Boolean)
+            .join("\n");
+    }
+
+    /**
+     * Whether what the caller says should still reach the agent: not while
+     * leaving a voicemail, handing the call over or saying goodbye
+     */
+    acceptsCallerInput(session) {
+        return !session.voicemail && !session.transfer && !session.ending;
+    }
+
+    appendToContext(session, text, role) {
+        session.context.push({ role, parts: [{ text }] });
+        console.log(`💬 ${role.toUpperCase()}: ${text}`);
+    }
+
+    /**
+     * Persist a turn of the call timeline. Failures are only logged so a
+     * database hiccup never interrupts the conversation.
+     */
+    recordTurn(session, turn) {
+        if (!session.persistent) return;
+        this.callTranscriptService.recordTurn(session.callId, turn)
+            .catch(err => console.warn(`⚠️  Could not store ${turn.speaker} turn: ${err.message}`));
+    }
+
+    /**
+     * Persist an agent turn once it is over: fully played, interrupted by the
+     * caller or cut short by the call ending
+     * @param outcome - { text?, interrupted?, reason? }; text defaults to the whole turn
+     */
+    recordAgentTurn(session, turn, outcome = {}) {
+        if (turn.recorded) return;
+        turn.recorded = true;
+
+        const text = outcome.text !== undefined ? outcome.text : turn.text;
+        // Nothing was said (e.g. a turn cancelled before the LLM answered)
+        if (!text && !turn.text) return;
+
+        const metadata = {};
+        if (outcome.reason) metadata.reason = outcome.reason;
+        if (outcome.interrupted) metadata.unspokenText = turn.text.substring(text.length).trim();
+        if (turn.toolCalls.length > 0) metadata.toolCalls = turn.toolCalls;
+
+        this.recordTurn(session, {
+            speaker: "agent",
+            text,
+            startedAt: turn.playbackStartedAt || turn.createdAt,
+            endedAt: Date.now(),
+            interrupted: !!outcome.interrupted,
+            metadata: Object.keys(metadata).length > 0 ? metadata : null,
+        });
+    }
+
+    /**
+     * Start a new agent turn. Any turn still in flight is cancelled first so
+     * that only one response is ever being synthesized or played at a time.
+     */
+    beginAgentTurn(session) {
+        if (session.agentTurn) {
+            const previousTurn = session.agentTurn;
+            previousTurn.controller.abort();
+            this.recordAgentTurn(session, previousTurn, {
+                text: this.estimateHeardSegments(previousTurn).filter(Boolean).join(" "),
+                interrupted: true,
+                reason: "superseded",
+            });
+        }
+        session.turnCounter++;
+        session.agentTurn = {
+            id: session.turnCounter,
+            markName: `turn_${session.turnCounter}`,
+            controller: new AbortController(),
+            text: "",
+            segments: [],
+            contextIndex: null,
+            messageSegmentStart: 0,
+            bytesSent: 0,
+            firstClip: null,
+            playbackStartedAt: null,
+            createdAt: Date.now(),
+            toolCalls: [],
+            recorded: false,
+        };
+        return session.agentTurn;
+    }
+
+    isTurnActive(session, turn) {
+        return session.agentTurn === turn && !turn.controller.signal.aborted;
+    }
+
+    /**
+     * Estimate how much of each sentence of the agent turn the caller actually
+     * heard, based on how long the transport has been playing the audio we sent.
+     * @returns The heard text of each sentence, in order (cut off after the last heard word);
+     *          DTMF tone segments have no text
+     */
+    estimateHeardSegments(turn) {
+        if (!turn.playbackStartedAt || turn.bytesSent === 0) return [];
+
+        let playedBytes = Math.min(
+            turn.bytesSent,
+            (Date.now() - turn.playbackStartedAt) * MULAW_BYTES_PER_MS
+        );
+        const heard = [];
+        for (const segment of turn.segments) {
+            if (segment.bytes === 0) break;
+            if (playedBytes >= segment.bytes) {
+                heard.push(segment.text);
+                playedBytes -= segment.bytes;
+                continue;
+            }
+            // Partially played sentence: snap back to the last whole word
+            const cutAt = Math.floor(segment.text.length * (playedBytes / segment.bytes));
+            const lastSpace = segment.text.lastIndexOf(" ", cutAt);
+            if (lastSpace > 0) heard.push(segment.text.substring(0, lastSpace));
+            break;
+        }
+        return heard;
+    }
+
+    /**
+     * The caller started talking over the agent: stop TTS, flush whatever
+     * the transport still has buffered and remember which part of the turn was lost.
+     */
+    handleBargeIn(session, reason) {
+        const turn = session.agentTurn;
+        if (!turn) return;
+
+        turn.controller.abort();
+        session.agentTurn = null;
+
+        session.transport.clearAudio();
+
+        const heardSegments = this.estimateHeardSegments(turn);
+        const spokenText = heardSegments.filter(Boolean).join(" ");
+        const unspokenText = turn.text.substring(spokenText.length).trim();
+
+        if (turn.contextIndex !== null) {
+            // Only keep what the caller heard so the LLM doesn't assume the rest was said
+            const heardInMessage = heardSegments.slice(turn.messageSegmentStart).filter(Boolean).join(" ");
+            session.context[turn.contextIndex].parts = [{ text: heardInMessage || "…" }];
+        }
+        session.interruptions.push({
+            turnId: turn.id,
+            reason,
+            spokenText,
+            unspokenText,
+            at: new Date().toISOString(),
+        });
+        this.recordAgentTurn(session, turn, { text: spokenText, interrupted: true, reason });
+
+        console.log(`✋ Barge-in (${reason}) on turn ${turn.id}, cut off: "${unspokenText.substring(0, 60)}"`);
+    }
+
+    /**
+     * Run one agent turn: stream the LLM reply (unless a fixed text is given),
+     * synthesize it sentence by sentence and push the audio to the transport in order,
+     * bailing out as soon as the caller interrupts.
+     * @param options - { onPlayed? } called once the transport has played the whole turn
+     */
+    async runAgentTurn(session, fixedText = null, options = {}) {
+        const turn = this.beginAgentTurn(session);
+        turn.onPlayed = options.onPlayed || null;
+        if (session.timeouts) session.timeouts.agentSpeaking();
+        const { signal } = turn.controller;
+        const metrics = {
+            turnId: turn.id,
+            startedAt: Date.now(),
+            firstTokenMs: null,
+            firstAudioMs: null,
+            lastByteMs: null,
+        };
+
+        // Each sentence starts synthesizing right away, but playback is chained
+        // so the audio reaches the transport in the same order as the text
+        let playback = Promise.resolve();
+        const enqueueSentence = (sentence) => {
+            const segment = { text: sentence, bytes: 0 };
+            turn.segments.push(segment);
+            turn.text = turn.text ? `${turn.text} ${sentence}` : sentence;
+
+            if (turn.contextIndex === null) {
+                this.appendToContext(session, sentence, "model");
+                turn.contextIndex = session.context.length - 1;
+                turn.messageSegmentStart = turn.segments.length - 1;
+            } else {
+                const messageText = turn.segments.slice(turn.messageSegmentStart).map(seg => seg.text).filter(Boolean).join(" ");
+                session.context[turn.contextIndex].parts = [{ text: messageText }];
+            }
+
+            session.usage.ttsCharacters += sentence.length;
+            const audio = this.startTTS(session, sentence, signal);
+            playback = playback.then(() => this.playSegment(session, turn, segment, audio, metrics));
+        };
+        // Ready-made audio (DTMF tones) played in order with the speech
+        const enqueueAudio = (audio) => {
+            const segment = { text: "", bytes: 0 };
+            turn.segments.push(segment);
+            playback = playback.then(() => this.playSegment(session, turn, segment, Promise.resolve([audio]), metrics));
+        };
+
+        const splitter = new SentenceSplitter();
+        if (fixedText) {
+            metrics.firstTokenMs = 0;
+            splitter.push(fixedText).forEach(enqueueSentence);
+        } else {
+            try {
+                // The model may call tools; keep going until it answers with plain text
+                const knowledge = await this.retrieveKnowledge(session);
+                for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+                    const functionCalls = [];
+                    let modelSpoke = false;
+                    for await (const part of this.streamLLM(session, signal, knowledge)) {
+                        if (!this.isTurnActive(session, turn)) break;
+                        if (metrics.firstTokenMs === null) metrics.firstTokenMs = Date.now() - metrics.startedAt;
+                        if (part.functionCall) {
+                            functionCalls.push(part.functionCall);
+                            continue;
+                        }
+                        modelSpoke = modelSpoke || part.text.trim().length > 0;
+                        splitter.push(part.text).forEach(enqueueSentence);
+                    }
+                    if (functionCalls.length === 0 || !this.isTurnActive(session, turn)) break;
+
+                    const rest = splitter.flush();
+                    if (rest) enqueueSentence(rest);
+                    await this.handleFunctionCalls(session, turn, functionCalls, modelSpoke, enqueueSentence, enqueueAudio);
+                    // The caller is handed over (or the call ended) once the last words have played
+                    if (turn.transfer || turn.endsCall) break;
+                }
+            } catch (err) {
+                if (!signal.aborted) {
+                    console.error("❌ LLM error:", err);
+                    if (turn.segments.length === 0) {
+                        splitter.push("I apologize, I'm having trouble processing that right now.");
+                    }
+                }
+            }
+        }
+        if (!this.isTurnActive(session, turn)) return;
+
+        const rest = splitter.flush();
+        if (rest) enqueueSentence(rest);
+
+        await playback;
+        if (!this.isTurnActive(session, turn)) return;
+
+        session.transport.sendMark(turn.markName);
+        if (session.transport.notify && turn.text) session.transport.notify("agent-response", { text: turn.text });
+        this.recordTurnMetrics(session, metrics);
+    }
+
+    /**
+     * Run the tools the model asked for and add their results to the context.
+     * A pre-action phrase is spoken (per the tool's preActionPhrasesMode)
+     * while the tools run.
+     * @param say - Queues a sentence for speech
+     * @param play - Queues raw µ-law audio (DTMF tones) after the speech
+     */
+    async handleFunctionCalls(session, turn, functionCalls, modelSpoke, say, play) {
+        for (const functionCall of functionCalls) {
+            if (functionCall.name === TRANSFER_FUNCTION_NAME) {
+                turn.toolCalls.push(functionCall.name);
+                if (this.prepareTransfer(session, turn, functionCall.args || {}) && !modelSpoke) {
+                    say(TRANSFER_PHRASE);
+                    modelSpoke = true;
+                }
+                continue;
+            }
+            if (functionCall.name === DTMF_FUNCTION_NAME) {
+                turn.toolCalls.push(functionCall.name);
+                continue;
+            }
+            if (functionCall.name === END_CALL_FUNCTION_NAME) {
+                turn.toolCalls.push(functionCall.name);
+                this.prepareEndCall(session, turn, functionCall.args || {});
+                if (!modelSpoke) {
+                    say(END_CALL_PHRASE);
+                    modelSpoke = true;
+                }
+                continue;
+            }
+            const tool = session.toolsByFunctionName[functionCall.name];
+            turn.toolCalls.push(tool ? tool.name : functionCall.name);
+            const phrase = tool && pickPreActionPhrase(tool, modelSpoke);
+            if (phrase) {
+                say(phrase);
+                modelSpoke = true;
+            }
+        }
+
+        const callParts = functionCalls.map(functionCall => ({ functionCall }));
+        if (turn.contextIndex !== null) {
+            session.context[turn.contextIndex].parts.push(...callParts);
+        } else {
+            session.context.push({ role: "model", parts: callParts });
+        }
+        const callIndex = turn.contextIndex !== null ? turn.contextIndex : session.context.length - 1;
+        // Text after the tool results belongs to a new model message
+        turn.contextIndex = null;
+
+        const responseParts = await Promise.all(functionCalls.map(async (functionCall) => {
+            if (functionCall.name === TRANSFER_FUNCTION_NAME) {
+                const response = turn.transfer
+                    ? { success: true, status: "transferring" }
+                    : { success: false, error: `Unknown transfer destination "${functionCall.args?.destination}"` };
+                return { functionResponse: { id: functionCall.id, name: functionCall.name, response } };
+            }
+            if (functionCall.name === END_CALL_FUNCTION_NAME) {
+                return { functionResponse: { id: functionCall.id, name: functionCall.name, response: { success: true } } };
+            }
+            if (functionCall.name === DTMF_FUNCTION_NAME) {
+                const digits = String(functionCall.args?.digits || "");
+                const tones = generateDtmfTones(digits);
+                if (tones.length === 0) {
+                    return { functionResponse: { id: functionCall.id, name: functionCall.name, response: { success: false, error: "No valid keys to press" } } };
+                }
+                console.log(`☎️  Sending DTMF: ${digits}`);
+                play(tones);
+                return { functionResponse: { id: functionCall.id, name: functionCall.name, response: { success: true, pressed: digits } } };
+            }
+            const tool = session.toolsByFunctionName[functionCall.name];
+            console.log(`🛠️  Tool call: ${functionCall.name}`, functionCall.args || {});
+
+            const result = tool
+                ? await this.toolExecutionService.runTool(tool, functionCall.args || {})
+                : { success: false, error: `Unknown tool ${functionCall.name}` };
+            console.log(`🛠️  Tool result: ${functionCall.name} -> ${result.success ? "success" : "failed"}`);
+
+            return { functionResponse: { id: functionCall.id, name: functionCall.name, response: result } };
+        }));
+
+        // The caller may have spoken while the tools ran; the results must still
+        // directly follow the call for the model to accept the history
+        session.context.splice(callIndex + 1, 0, { role: "user", parts: responseParts });
+        if (session.agentTurn && session.agentTurn.contextIndex !== null && session.agentTurn.contextIndex > callIndex) {
+            session.agentTurn.contextIndex++;
+        }
+    }
+
+    /**
+     * Wait for one sentence's TTS audio and forward it to the transport as it arrives
+     */
+    async playSegment(session, turn, segment, audioPromise, metrics) {
+        const audioStream = await audioPromise;
+        if (!audioStream) return;
+
+        try {
+            for await (const chunk of audioStream) {
+                if (!this.isTurnActive(session, turn)) return;
+                if (metrics.firstAudioMs === null) metrics.firstAudioMs = Date.now() - metrics.startedAt;
+
+                this.sendAudio(session, chunk, turn);
+                segment.bytes += chunk.length;
+                metrics.lastByteMs = Date.now() - metrics.startedAt;
+            }
+        } catch (err) {
+            if (err.name !== "AbortError") console.error("❌ TTS stream error:", err);
+        }
+    }
+
+    recordTurnMetrics(session, metrics) {
+        const { startedAt, ...turnMetrics } = metrics;
+        session.latencyMetrics.push(turnMetrics);
+        console.log(`⏱️  Turn ${metrics.turnId} latency: first token ${metrics.firstTokenMs}ms, first audio ${metrics.firstAudioMs}ms, last byte ${metrics.lastByteMs}ms`);
+
+        this.logCallEvent(session, 'latency', `Turn ${metrics.turnId} latency`, turnMetrics);
+    }
+
+    logCallEvent(session, logType, message, data = null) {
+        if (!session.persistent) return;
+        database.execute(
+            'INSERT INTO call_logs (id, call_id, log_type, message, data) VALUES (?, ?, ?, ?, ?)',
+            [uuidv4(), session.callId, logType, message, data ? JSON.stringify(data) : null]
+        ).catch(err => console.warn(`⚠️  Could not store ${logType} log: ${err.message}`));
+    }
+
+    /**
+     * Start a conversation on a transport: load the agent, fill in its prompt
+     * and greeting, open speech-to-text and greet the caller
+     * @param transport - See the class comment
+     * @param params - { callId, userId, agentId, callSid?, campaignId?, recordId?, variables?, persistent?,
+     *                   defaultSttProvider?, prompt?, voiceId? }; prompt and voiceId override the
+     *                   saved agent (e.g. unsaved edits in the browser test)
+     * @returns The session
+     */
+    async startSession(transport, params) {
+        const { callId, userId, agentId } = params;
+        const campaignId = params.campaignId || null;
+        // The lead's CSV columns (campaign calls), used to fill {{variables}}
+        let variables = params.variables || await this.loadLeadVariables(campaignId, params.recordId, userId);
+
+        console.log(`📞 Call ID: ${callId}`);
+        console.log(`🤖 Agent ID: ${agentId}`);
+        console.log(`👤 User ID: ${userId}`);
+
+        // Load agent configuration
+        let agentPrompt = "You are a helpful AI assistant.";
+        let agentVoiceId = "21m00Tcm4TlvDq8ikWAM"; // Default voice
+        let greetingMessage = "Hello! How can I help you today?";
+        let agentTools = [];
+        let knowledgeDocIds = [];
+        let voicemailDetection = false;
+        let voicemailMessage = "";
+        let transferDestinations = [];
+        let dtmfDial = false;
+        let agentSettings = {};
+        let agentModel = DEFAULT_MODEL;
+        let voiceSettings = null;
+        let agentLanguage = DEFAULT_LANGUAGE;
+
+        if (agentId && userId) {
+            try {
+                const agent = await this.agentService.getAgentById(userId, agentId);
+                if (agent) {
+                    agentPrompt = agent.identity || agentPrompt;
+
+                    // ✅ CRITICAL: Use the voice ID directly from database
+                    if (agent.voiceId) {
+                        agentVoiceId = agent.voiceId;
+                        console.log(`🎤 Using agent voice ID from database: ${agentVoiceId}`);
+                    } else {
+                        console.warn(`⚠️  Agent has no voiceId, using default: ${agentVoiceId}`);
+                    }
+
+                    // A blank greeting line disables the greeting
+                    if (typeof agent.settings?.greetingLine === "string") {
+                        greetingMessage = agent.settings.greetingLine.trim();
+                    }
+                    agentTools = agent.settings?.tools || [];
+                    knowledgeDocIds = agent.settings?.knowledgeDocIds || [];
+                    voicemailDetection = !!agent.settings?.voicemailDetection;
+                    voicemailMessage = agent.settings?.voicemailMessage || "";
+                    agentSettings = agent.settings || {};
+                    agentModel = agent.model || agentModel;
+                    voiceSettings = agent.voiceSettings || null;
+                    agentLanguage = resolveLanguage(agent.language) || agentLanguage;
+                    dtmfDial = !!agent.settings?.dtmfDial;
+                    if (agent.settings?.callTransfer) {
+                        transferDestinations = agent.settings.transferDestinations || [];
+                    }
+                    console.log(`✅ Loaded agent: ${agent.name}`);
+                } else {
+                    console.warn(`⚠️  Agent ${agentId} not found, using defaults`);
+                }
+            } catch (err) {
+                console.error("⚠️  Error loading agent:", err.message);
+            }
+        } else {
+            console.log(`ℹ️  No saved agent to load, using defaults`);
+        }
+        if (params.prompt) agentPrompt = params.prompt;
+        if (params.voiceId) agentVoiceId = params.voiceId;
+
+        const campaign = await this.loadCampaign(campaignId, userId);
+        // Started by the voice webhook; what the CRM returns wins over the CSV
+        if (this.prefetchDataService) {
+            variables = { ...variables, ...(await this.prefetchDataService.take(callId)) };
+        }
+        if (campaign?.greetingOverride?.trim()) {
+            console.log(`📣 Using campaign greeting override for ${campaign.name}`);
+            greetingMessage = campaign.greetingOverride.trim();
+        }
+        agentPrompt = renderTemplate(agentPrompt, variables);
+        if (campaign?.includeMetadata) agentPrompt += this.buildLeadDetails(variables);
+        greetingMessage = renderTemplate(greetingMessage, variables);
+
+        const session = this.createSession(callId, agentPrompt, agentVoiceId, transport, agentTools);
+        session.userId = userId || null;
+        session.model = agentModel;
+        session.llmBaseUrl = agentSettings.llmBaseUrl || null;
+        // Stability, speed, TTS model, pronunciations... (see ttsProviders.js)
+        session.voiceSettings = voiceSettings;
+        // What the agent listens and speaks in; with settings.autoDetectLanguage it follows the caller
+        session.language = agentLanguage;
+        session.detectLanguage = !!agentSettings.autoDetectLanguage;
+        session.persistent = !!params.persistent;
+        session.callSid = params.callSid || null;
+        session.greetingMessage = greetingMessage;
+        session.campaignId = campaignId;
+        session.recordId = params.recordId || null;
+        session.variables = variables;
+        session.knowledgeDocIds = knowledgeDocIds;
+        if (this.knowledgeIndexService && knowledgeDocIds.length > 0) {
+            // Warm the index so the first answer doesn't wait on the database
+            this.knowledgeIndexService.loadDocuments(session.userId, knowledgeDocIds)
+                .catch(err => console.error("⚠️  Error loading knowledge documents:", err.message));
+        }
+        // Only phone calls can be answered by a machine or handed over to a number
+        session.voicemailDetection = voicemailDetection && !!transport.isPhoneCall;
+        session.voicemailMessage = voicemailMessage;
+        const transferDeclaration = transport.transfer ? buildTransferDeclaration(transferDestinations) : null;
+        if (transferDeclaration) {
+            session.transferDestinations = transferDestinations;
+            session.functionDeclarations.push(transferDeclaration);
+        }
+        if (dtmfDial) session.functionDeclarations.push(buildDtmfDeclaration());
+        if (agentSettings.agentCanTerminateCall) session.functionDeclarations.push(buildEndCallDeclaration());
+        session.timeouts = new SessionTimeouts(agentSettings, {
+            onPrompt: (text) => {
+                if (!this.acceptsCallerInput(session) || session.agentTurn) return;
+                console.log(`💤 Caller inactive, prompting: "${text}"`);
+                this.runAgentTurn(session, text).catch(err => console.error("❌ Inactivity prompt error:", err));
+            },
+            // Follows the caller when autoDetectLanguage switches the call's language
+            language: () => session.language,
+            onTimeout: (reason) => {
+                this.logCallEvent(session, 'session_timeout', `Session timeout: ${reason}`, { reason });
+                this.endCallWithMessage(session, reason, agentSettings.sessionTimeoutEndMessage);
+            },
+        });
+        session.timeouts.start();
+
+        if (agentSettings.callRecording && session.transport.startRecording) session.transport.startRecording();
+        await this.startAmbience(session, agentSettings);
+        this.openStt(session, agentSettings.sttProvider || params.defaultSttProvider);
+        this.startConversation(session, agentSettings);
+        return session;
+    }
+
+    /**
+     * Start the agent's background ambient sound (settings.backgroundAmbientSound)
+     * on transports that can mix one in
+     */
+    async startAmbience(session, agentSettings) {
+        if (!session.transport.playAmbience || !this.ambientSoundService) return;
+        try {
+            const loop = await this.ambientSoundService.getLoop(session.userId, agentSettings.backgroundAmbientSound);
+            if (!loop) return;
+            const level = agentSettings.backgroundAmbientLevel ?? DEFAULT_AMBIENT_LEVEL;
+            console.log(`🎶 Mixing ambient sound ${agentSettings.backgroundAmbientSound} at level ${level}`);
+            session.transport.playAmbience(loop, level);
+        } catch (err) {
+            console.warn(`⚠️  Could not load ambient sound: ${err.message}`);
+        }
+    }
+
+    /**
+     * Open the session's STT stream and hook the caller's speech up to turn-taking
+     */
+    openStt(session, providerName) {
+        const sttProvider = this.getSttProvider(providerName);
+        const sttStream = sttProvider.createStream({
+            language: LANGUAGES[session.language].code,
+            detectLanguage: session.detectLanguage,
+        });
+        session.sttStream = sttStream;
+        session.sttProviderName = sttProvider.name;
+        // Utterance times are relative to the start of the audio stream
+        session.sttStartedAt = Date.now();
+
+        bindTurnTaking(sttStream, {
+            // Nobody to talk to (the greeting is only waited out), or the call is being handed over or ended
+            acceptsInput: () => this.acceptsCallerInput(session),
+            isAgentSpeaking: () => !!session.agentTurn,
+            onVoiceActivity: () => session.timeouts.voiceActivity(),
+            onBargeIn: (reason) => this.handleBargeIn(session, reason),
+            // End of the answering machine greeting: leave the message now
+            onUtteranceEnd: () => {
+                if (session.voicemail && !session.voicemail.messageStarted) this.leaveVoicemail(session);
+            },
+            screenTranscript: (utterance) => {
+                if (!this.looksLikeVoicemail(session, utterance.text, utterance.duration)) return false;
+                this.handleMachineDetected(session, "heuristic", true);
+                return true;
+            },
+            onCallerTurn: async (utterance) => {
+                if (session.detectLanguage) this.followCallerLanguage(session, utterance);
+                this.appendToContext(session, utterance.text, "user");
+                if (session.transport.notify) {
+                    session.transport.notify("transcript", { text: utterance.text, confidence: utterance.confidence });
+                }
+
+                const utteranceStart = session.sttStartedAt + utterance.start * 1000;
+                this.recordTurn(session, {
+                    speaker: "user",
+                    text: utterance.text,
+                    startedAt: utteranceStart,
+                    endedAt: utteranceStart + utterance.duration * 1000,
+                    confidence: utterance.confidence,
+                    metadata: utterance.bargedIn ? { bargeIn: true } : null,
+                });
+
+                await this.runAgentTurn(session);
+            },
+        });
+
+        sttStream.on("error", (error) => {
+            console.error(`❌ ${sttProvider.name} STT error:`, error.message || "Unknown error");
+        });
+
+        sttStream.on("open", () => {
+            console.log(`✅ ${sttProvider.name} STT opened`);
+        });
+
+        sttStream.on("close", () => {
+            console.log(`⚠️ ${sttProvider.name} STT connection closed`);
+        });
+    }
+
+    /**
+     * Switch the agent to the language the caller just spoke, if it changed
+     */
+    followCallerLanguage(session, utterance) {
+        const language = detectLanguage(utterance.text, utterance.language, session.language);
+        if (!language || language === session.language) return;
+        console.log(`🌐 Caller switched from ${LANGUAGES[session.language].name} to ${LANGUAGES[language].name}`);
+        this.logCallEvent(session, 'language', `Language switched to ${LANGUAGES[language].name}`, {
+            from: session.language,
+            to: language,
+        });
+        session.language = language;
+    }
+
+    /**
+     * Tells the model which language to answer in
+     */
+    buildLanguageInstruction(session) {
+        const { name } = LANGUAGES[session.language];
+        if (!session.detectLanguage) return `\n\nAlways reply in ${name}.`;
+        return `\n\nThe caller is speaking ${name}, so reply in ${name}. ` +
+            "If they switch to another language, switch with them.";
+    }
+
+    getSession(callId) {
+        return sessions.get(callId) || null;
+    }
+
+    /**
+     * Caller audio (8 kHz µ-law) from the transport
+     */
+    receiveAudio(session, audio) {
+        if (!session.sttStream || audio.length === 0) return;
+        session.sttStream.send(audio);
+        session.usage.sttSeconds += audio.length / (MULAW_BYTES_PER_MS * 1000);
+    }
+
+    /**
+     * A clip sent by a reportsPlaybackStart transport started playing
+     */
+    handlePlaybackStarted(session, clip) {
+        const turn = session.agentTurn;
+        if (turn && !turn.playbackStartedAt && turn.firstClip !== null && clip >= turn.firstClip) {
+            turn.playbackStartedAt = Date.now();
+        }
+    }
+
+    /**
+     * The transport has played everything sent before a mark
+     */
+    handlePlaybackMark(session, name) {
+        // The current turn is over, nothing left to interrupt
+        if (!session.agentTurn || name !== session.agentTurn.markName) return;
+        const turn = session.agentTurn;
+        this.recordAgentTurn(session, turn);
+        session.agentTurn = null;
+        if (turn.onPlayed) turn.onPlayed();
+        if (session.timeouts) session.timeouts.agentFinished();
+    }
+
+    /**
+     * Local answering machine heuristic for the first seconds of a call: a
+     * typical voicemail phrase, or a long monologue before anyone replied
+     */
+    looksLikeVoicemail(session, transcript, durationSeconds) {
+        if (!session.voicemailDetection || session.humanDetected || session.voicemail) return false;
+        if (Date.now() - session.startedAt > VOICEMAIL_DETECTION_WINDOW_MS) return false;
+
+        const callerSpoke = session.context.some(message => message.role === "user");
+        if (VOICEMAIL_PHRASES.test(transcript)) return true;
+        return !callerSpoke && (durationSeconds || 0) >= VOICEMAIL_GREETING_MIN_SECONDS;
+    }
+
+    /**
+     * The campaign a call belongs to (its greeting override and whether lead
+     * details go in the prompt), or null for other calls
+     */
+    async loadCampaign(campaignId, userId) {
+        if (!campaignId || !this.campaignService) return null;
+        try {
+            return await this.campaignService.getCampaign(campaignId, userId);
+        } catch (err) {
+            console.error("⚠️  Error loading campaign:", err.message);
+            return null;
+        }
+    }
+
+    /**
+     * A campaign lead's CSV columns and phone number, read from its record
+     * rather than taken from the call's URL; {} for other calls
+     */
+    async loadLeadVariables(campaignId, recordId, userId) {
+        if (!campaignId || !recordId || !this.campaignService) return {};
+        try {
+            return await this.campaignService.getRecordVariables(recordId, campaignId, userId);
+        } catch (err) {
+            console.error("⚠️  Error loading lead variables:", err.message);
+            return {};
+        }
+    }
+
+    /**
+     * Every lead column as a prompt section, for campaigns with
+     * "Include extra metadata in agent prompt" turned on
+     */
+    buildLeadDetails(variables) {
+        const lines = Object.entries(variables)
+            .filter(([, value]) => value !== undefined && value !== null && String(value).trim())
+            .map(([name, value]) => `- ${name}: ${value}`);
+        if (lines.length === 0) return "";
+        return `\n\nDetails of the person you are calling:\n${lines.join("\n")}`;
+    }
+
+    /**
+     * Open the conversation according to the agent's settings: speak the
+     * greeting after settings.greetingDelayMs, or wait for the caller when
+     * settings.userStartsFirst is on or there is no greeting (the inactivity
+     * prompt still nudges a silent caller)
+     */
+    startConversation(session, settings) {
+        if (settings.userStartsFirst || !session.greetingMessage) {
+            console.log("👂 Waiting for the caller to speak first");
+            session.timeouts.agentFinished();
+            return;
+        }
+
+        const delay = Math.max(0, Number(settings.greetingDelayMs ?? DEFAULT_GREETING_DELAY_MS) || 0);
+        setTimeout(async () => {
+            try {
+                // An answering machine picked up, or the caller already started talking
+                if (session.voicemail || session.ending || session.agentTurn) return;
+                if (session.context.some(message => message.role === "user")) return;
+                console.log(`👋 Greeting: "${session.greetingMessage}"`);
+                console.log(`🔊 Using voice ID for greeting: ${session.agentVoiceId}`);
+                await this.runAgentTurn(session, session.greetingMessage);
+            } catch (err) {
+                console.error("❌ Greeting error:", err);
+            }
+        }, delay);
+    }
+
+    /**
+     * Result of Twilio's asynchronous answering machine detection
+     * @param answeredBy - Twilio's AnsweredBy value (human, machine_start, machine_end_beep, fax, ...)
+     */
+    handleAnsweredBy(callId, answeredBy) {
+        const session = sessions.get(callId);
+        if (!session) return;
+
+        console.log(`📠 Answered by: ${answeredBy}`);
+        if (answeredBy === "human") {
+            session.humanDetected = true;
+        } else if (answeredBy === "fax") {
+            this.handleMachineDetected(session, answeredBy, false);
+            this.hangUp(session);
+        } else if (answeredBy && answeredBy.startsWith("machine_")) {
+            // machine_start arrives while the greeting is still playing; the
+            // machine_end_* results come once the beep (or silence) was heard
+            if (session.voicemail && answeredBy !== "machine_start") {
+                if (!session.voicemail.messageStarted) this.leaveVoicemail(session);
+                return;
+            }
+            this.handleMachineDetected(session, answeredBy, answeredBy === "machine_start");
+        }
+    }
+
+    /**
+     * An answering machine picked up: stop talking and wait for the greeting
+     * to end (or leave the message right away if it already has)
+     */
+    handleMachineDetected(session, source, greetingStillPlaying) {
+        if (session.voicemail) return;
+        console.log(`📠 Answering machine detected (${source}) on call ${session.callId}`);
+
+        session.voicemail = { source, timer: null, messageStarted: false };
+        if (session.agentTurn) this.handleBargeIn(session, "voicemail");
+
+        if (source === "heuristic" && session.persistent) {
+            database.execute('UPDATE calls SET answered_by = ? WHERE id = ?', ['machine_heuristic', session.callId])
+                .catch(err => console.warn(`⚠️  Could not store answering machine result: ${err.message}`));
+        }
+
+        if (greetingStillPlaying) {
+            session.voicemail.timer = setTimeout(() => this.leaveVoicemail(session), VOICEMAIL_BEEP_TIMEOUT_MS);
+        } else if (source !== "fax") {
+            this.leaveVoicemail(session);
+        }
+    }
+
+    /**
+     * Speak the agent's voicemail message, then hang up. Without a message
+     * the call is ended right away.
+     */
+    leaveVoicemail(session) {
+        if (!session.voicemail || session.voicemail.messageStarted) return;
+        clearTimeout(session.voicemail.timer);
+        session.voicemail.messageStarted = true;
+
+        const message = session.voicemailMessage.trim();
+        if (!message) {
+            this.hangUp(session);
+            return;
+        }
+        console.log(`📼 Leaving voicemail: "${message}"`);
+        this.runAgentTurn(session, message, { onPlayed: () => this.hangUp(session) })
+            .catch(err => {
+                console.error("❌ Voicemail error:", err);
+                this.hangUp(session);
+            });
+    }
+
+    /**
+     * The agent chose to hang up: the rest of the current turn is its goodbye,
+     * and the call is completed once the transport reports it played (mark)
+     */
+    prepareEndCall(session, turn, args) {
+        if (session.ending) return;
+        turn.endsCall = true;
+        turn.onPlayed = () => this.hangUp(session);
+        this.beginEnding(session, args.reason || "other", args.details || null);
+    }
+
+    /**
+     * Stop taking caller input and store why the call ends as its disposition
+     */
+    beginEnding(session, reason, details = null) {
+        session.ending = reason;
+        if (session.timeouts) session.timeouts.stop();
+        clearTimeout(session.dtmfInput.timer);
+        console.log(`👋 Ending call ${session.callId} (${reason})`);
+        if (!session.persistent) return;
+
+        database.execute(
+            'UPDATE calls SET disposition = ?, disposition_details = ? WHERE id = ?',
+            [reason, details, session.callId]
+        ).catch(err => console.warn(`⚠️  Could not store call disposition: ${err.message}`));
+    }
+
+    /**
+     * Say a final message, then end the call. Without a message the call is
+     * ended right away.
+     * @param reason - Why the call ends (e.g. a session timeout reason)
+     */
+    endCallWithMessage(session, reason, message) {
+        if (session.ending) return;
+        this.beginEnding(session, reason);
+
+        const text = (message || "").trim();
+        if (!text) {
+            this.hangUp(session);
+            return;
+        }
+        this.runAgentTurn(session, text, { onPlayed: () => this.hangUp(session) })
+            .catch(err => {
+                console.error("❌ End message error:", err);
+                this.hangUp(session);
+            });
+    }
+
+    hangUp(session) {
+        session.transport.hangUp();
+    }
+
+    /**
+     * Validate a transfer_call request and schedule the transfer for when the
+     * current turn (the announcement) has finished playing
+     * @returns Whether the destination exists
+     */
+    prepareTransfer(session, turn, args) {
+        const requested = String(args.destination || "").trim().toLowerCase();
+        const destination = session.transferDestinations.find(d => d.name.trim().toLowerCase() === requested);
+        if (!destination) {
+            console.warn(`⚠️  Unknown transfer destination "${args.destination}"`);
+            return false;
+        }
+
+        turn.transfer = { destination, reason: args.reason || "" };
+        turn.onPlayed = () => this.transferCall(session, destination, args.reason || "");
+        return true;
+    }
+
+    /**
+     * Hand the caller over to a human. For a warm transfer the human first
+     * hears a summary of the conversation (see /api/twilio/transfer/whisper).
+     * The outcome is stored on the call record.
+     */
+    async transferCall(session, destination, reason) {
+        if (session.transfer) return;
+        const warm = destination.transferType === "warm";
+        session.transfer = { destination: destination.name, warm };
+        console.log(`🔀 ${warm ? "Warm" : "Cold"} transfer of call ${session.callId} to ${destination.name}`);
+
+        try {
+            const summary = warm ? await this.summarizeForTransfer(session, reason) : null;
+            await database.execute(
+                `UPDATE calls SET transfer_destination = ?, transfer_number = ?, transfer_type = ?,
+                 transfer_status = 'initiated', transfer_reason = ?, transfer_summary = ?, transferred_at = NOW()
+                 WHERE id = ?`,
+                [destination.name, destination.phoneNumber, warm ? "warm" : "cold", reason || null, summary, session.callId]
+            ).catch(err => console.warn(`⚠️  Could not store transfer: ${err.message}`));
+
+            await session.transport.transfer(destination, { warm });
+        } catch (err) {
+            console.error("❌ Transfer failed:", err.message);
+            session.transfer = null;
+            database.execute("UPDATE calls SET transfer_status = 'failed' WHERE id = ?", [session.callId])
+                .catch(dbErr => console.warn(`⚠️  Could not store transfer: ${dbErr.message}`));
+            await this.runAgentTurn(session, TRANSFER_FAILED_MESSAGE);
+        }
+    }
+
+    /**
+     * The LLM provider and model the session's agent uses
+     */
+    async resolveLLM(session) {
+        const resolved = await this.llmProviders.resolve(session.model, { userId: session.userId, baseUrl: session.llmBaseUrl });
+        session.llm = { name: resolved.provider.name, ownKey: resolved.ownKey };
+        return resolved;
+    }
+
+    /**
+     * Short spoken briefing for the human taking over a warm transfer
+     */
+    async summarizeForTransfer(session, reason) {
+        try {
+            const { provider, model } = await this.resolveLLM(session);
+            const response = await provider.generate({
+                model,
+                contents: [{ role: "user", parts: [{ text: `Call transcript:\n${this.formatTranscript(session.context)}` }] }],
+                systemInstruction: "You brief a human agent who is about to take over a phone call. In two or three short " +
+                    "spoken sentences, say what the caller wants and anything already agreed. No lists or markup." +
+                    (reason ? ` The call is being transferred because: ${reason}` : ""),
+            });
+            return response.text?.trim() || reason || null;
+        } catch (err) {
+            console.error("⚠️  Could not summarize call for transfer:", err.message);
+            return reason || null;
+        }
+    }
+
+    /**
+     * Collect a keypad digit from the caller. Digits are passed to the agent
+     * as one message once the caller presses "#" or stops typing.
+     */
+    handleDtmf(session, digit) {
+        if (!this.acceptsCallerInput(session)) return;
+        console.log(`☎️  DTMF: ${digit}`);
+        if (session.timeouts) session.timeouts.voiceActivity();
+        if (session.agentTurn) this.handleBargeIn(session, "dtmf");
+
+        const input = session.dtmfInput;
+        clearTimeout(input.timer);
+        if (digit === "#") {
+            this.flushDtmfInput(session);
+            return;
+        }
+        if (!input.digits) input.startedAt = Date.now();
+        input.digits += digit;
+        input.timer = setTimeout(() => this.flushDtmfInput(session), DTMF_INPUT_TIMEOUT_MS);
+    }
+
+    flushDtmfInput(session) {
+        const { digits, startedAt } = session.dtmfInput;
+        clearTimeout(session.dtmfInput.timer);
+        session.dtmfInput = { digits: "", startedAt: null, timer: null };
+        if (!digits || !sessions.has(session.callId)) return;
+
+        const text = `[Keypad input: ${digits}]`;
+        this.appendToContext(session, text, "user");
+        this.recordTurn(session, {
+            speaker: "user",
+            text,
+            startedAt,
+            endedAt: Date.now(),
+            metadata: { dtmf: digits },
+        });
+        this.runAgentTurn(session).catch(err => console.error("❌ DTMF turn error:", err));
+    }
+
+    /**
+     * Look up the knowledge base passages relevant to the caller's last utterance
+     * @returns Text to append to the system instruction ('' if nothing matched)
+     */
+    async retrieveKnowledge(session) {
+        if (!this.knowledgeIndexService || session.knowledgeDocIds.length === 0) return "";
+
+        const lastUtterance = [...session.context].reverse()
+            .find(message => message.role === "user" && message.parts.some(part => part.text));
+        if (!lastUtterance) return "";
+
+        try {
+            const query = lastUtterance.parts.map(part => part.text || "").join(" ");
+            const passages = await this.knowledgeIndexService.search(session.userId, session.knowledgeDocIds, query);
+            if (passages.length > 0) {
+                console.log(`📚 Retrieved ${passages.length} passage(s) from: ${[...new Set(passages.map(p => p.documentName))].join(", ")}`);
+            }
+            return buildKnowledgeInstruction(passages);
+        } catch (err) {
+            console.error("⚠️  Knowledge retrieval error:", err.message);
+            return "";
+        }
+    }
+
+    /**
+     * Stream the LLM reply for the current conversation as text fragments
+     * ({ text }) and tool calls ({ functionCall })
+     * @param knowledge - Retrieved knowledge base passages to add to the system instruction
+     */
+    async *streamLLM(session, signal, knowledge = "") {
+        const { provider, model, ownKey } = await this.resolveLLM(session);
+        const systemInstruction = session.agentPrompt + this.buildLanguageInstruction(session) + knowledge;
+
+        // Billed as estimated tokens: the whole prompt plus the reply
+        let characters = systemInstruction.length + JSON.stringify(session.context).length;
+        try {
+            const stream = provider.stream({
+                model,
+                contents: session.context,
+                systemInstruction,
+                functionDeclarations: session.functionDeclarations,
+                signal,
+            });
+            for await (const part of stream) {
+                characters += part.functionCall ? JSON.stringify(part.functionCall).length : part.text.length;
+                yield part;
+            }
+        } finally {
+            session.usage.llmTokens += characters / CHARACTERS_PER_TOKEN;
+        }
+    }
+
+    /**
+     * Start synthesizing a piece of text in the session's voice. Resolves as
+     * soon as the provider starts answering, with an async iterable of µ-law
+     * 8kHz audio chunks (or null if synthesis failed).
+     */
+    async startTTS(session, text, signal) {
+        try {
+            const { provider, voiceId } = this.ttsProviders.resolve(session.agentVoiceId);
+            console.log(`🔊 Synthesizing ${provider.name} TTS (${voiceId}): "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+            return await provider.synthesize(text, {
+                voiceId,
+                signal,
+                voiceSettings: session.voiceSettings,
+                language: LANGUAGES[session.language].code,
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                console.log("⏹️  TTS request cancelled");
+                return null;
+            }
+            console.error("❌ TTS error:", err.message || err);
+            return null;
+        }
+    }
+
+    /**
+     * Queue agent audio on the transport, keeping track of what the turn has sent
+     */
+    sendAudio(session, audioBuffer, turn = null) {
+        try {
+            const clip = session.transport.sendAudio(audioBuffer);
+            if (turn) {
+                if (!session.transport.reportsPlaybackStart) turn.playbackStartedAt = turn.playbackStartedAt || Date.now();
+                else if (turn.firstClip === null) turn.firstClip = clip;
+                turn.bytesSent += audioBuffer.length;
+            }
+        } catch (err) {
+            console.error("❌ Error sending audio:", err);
+        }
+    }
+}
+module.exports = { ConversationEngine };
@@ -0,0 +1,195 @@
+// Target passage size; paragraphs are packed together up to this length
+const CHUNK_SIZE = 800;
+// Characters carried over from the end of one passage to the start of the next
+const CHUNK_OVERLAP = 150;
+// BM25 tuning
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'our', 'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Lower-case word tokens without stop words (letters of any script, digits)
+ */
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+  .filter(token => !STOP_WORDS.has(token) && (token.length > 1 || /\d/.test(token)));
+
+/**
+ * Split a long piece of text on sentence boundaries into pieces of at most `size` characters
+ */
+const splitLongText = (text, size) => {
+  const sentences = text.match(/[^.!?…\n]+[.!?…]*\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > size) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    // A single sentence longer than the limit is cut hard
+    for (let start = 0; start < sentence.length; start += size) {
+      const part = sentence.substring(start, start + size);
+      if (current.length + part.length > size) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += part;
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+};
+
+/**
+ * Split a document into overlapping passages of roughly CHUNK_SIZE characters,
+ * keeping paragraphs together where possible
+ */
+const chunkText = (text) => {
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(paragraph => (paragraph.length > CHUNK_SIZE ? splitLongText(paragraph, CHUNK_SIZE) : [paragraph]));
+
+  const chunks = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > CHUNK_SIZE) {
+      chunks.push(current);
+      const tail = current.substring(current.length - CHUNK_OVERLAP);
+      // Start the overlap at a word boundary
+      current = tail.substring(tail.indexOf(' ') + 1);
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Format retrieved passages as an addition to the agent's system instruction
+ * @returns The text to append ('' when there are no passages)
+ */
+const buildKnowledgeInstruction = (passages) => {
+  if (!passages || passages.length === 0) return '';
+  const sources = passages
+    .map((passage, i) => `[${i + 1}] (${passage.documentName})\n${passage.text}`)
+    .join('\n\n');
+  return '\n\nRelevant excerpts from your knowledge base. Use them to answer the caller when they apply, ' +
+    'and do not make up facts they do not contain:\n\n' + sources;
+};
+
+// Documents are cached per owner, so one user's agent never reads another user's document
+const cacheKey = (userId, documentId) => `${userId}:${documentId}`;
+
+/**
+ * In-memory keyword (BM25) index over the passages of knowledge base documents.
+ * Documents are loaded from the database the first time a call needs them and
+ * re-indexed whenever they are uploaded or deleted.
+ */
+class KnowledgeIndexService {
+  constructor(mysqlPool) {
+    this.mysqlPool = mysqlPool;
+    this.documents = new Map();
+    this.pendingLoads = new Map();
+  }
+
+  /**
+   * (Re)build the passages of one document
+   * @param document - { id, userId, name, content }
+   */
+  indexDocument(document) {
+    const chunks = chunkText(document.content).map((text, index) => {
+      const tokens = tokenize(text);
+      const termFrequencies = new Map();
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+      }
+      return { index, text, termFrequencies, length: tokens.length };
+    });
+
+    this.documents.set(cacheKey(document.userId, document.id), { id: document.id, name: document.name, chunks });
+    console.log(`📚 Indexed document "${document.name}" (${chunks.length} passages)`);
+  }
+
+  removeDocument(documentId, userId) {
+    this.documents.delete(cacheKey(userId, documentId));
+  }
+
+  /**
+   * Make sure the given documents are indexed, loading missing ones from the
+   * database; ids of documents the user doesn't own are skipped
+   * @param userId - The agent's owner
+   */
+  async loadDocuments(userId, documentIds) {
+    if (!userId) return;
+    const keys = (documentIds || []).map(id => cacheKey(userId, id));
+    const missing = (documentIds || []).filter((id, i) => !this.documents.has(keys[i]) && !this.pendingLoads.has(keys[i]));
+    if (missing.length > 0) {
+      const load = this.mysqlPool.execute(
+        `SELECT id, user_id, name, content FROM documents WHERE user_id = ? AND id IN (${missing.map(() => '?').join(', ')})`,
+        [userId, ...missing]
+      ).then(([rows]) => {
+        rows.forEach(row => this.indexDocument({ id: row.id, userId: row.user_id, name: row.name, content: row.content }));
+      }).finally(() => {
+        missing.forEach(id => this.pendingLoads.delete(cacheKey(userId, id)));
+      });
+      missing.forEach(id => this.pendingLoads.set(cacheKey(userId, id), load));
+    }
+
+    const pending = keys.map(key => this.pendingLoads.get(key)).filter(Boolean);
+    await Promise.all(new Set(pending));
+  }
+
+  /**
+   * Find the passages of the given documents that best match a query
+   * @param userId - The agent's owner
+   * @param documentIds - The agent's knowledgeDocIds
+   * @param query - Usually the caller's last utterance
+   * @param limit - Maximum number of passages to return
+   * @returns [{ documentId, documentName, text, score }], best match first
+   */
+  async search(userId, documentIds, query, limit = 3) {
+    if (!userId || !documentIds || documentIds.length === 0) return [];
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    await this.loadDocuments(userId, documentIds);
+
+    const chunks = [];
+    for (const id of documentIds) {
+      const document = this.documents.get(cacheKey(userId, id));
+      if (document) document.chunks.forEach(chunk => chunks.push({ document, chunk }));
+    }
+    if (chunks.length === 0) return [];
+
+    const averageLength = chunks.reduce((sum, { chunk }) => sum + chunk.length, 0) / chunks.length || 1;
+    const idf = {};
+    for (const term of queryTerms) {
+      const documentFrequency = chunks.filter(({ chunk }) => chunk.termFrequencies.has(term)).length;
+      idf[term] = Math.log(1 + (chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    return chunks
+      .map(({ document, chunk }) => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const frequency = chunk.termFrequencies.get(term);
+          if (!frequency) continue;
+          const norm = BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / averageLength));
+          score += idf[term] * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+        }
+        return { documentId: document.id, documentName: document.name, text: chunk.text, score };
+      })
+      .filter(passage => passage.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = { KnowledgeIndexService, buildKnowledgeInstruction, chunkText };
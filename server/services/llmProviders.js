@@ -0,0 +1,430 @@
+const { LLMService } = require('../llmService.js');
+const { assertPublicUrl } = require('../utils/publicUrl.js');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+// Anthropic requires an output limit; spoken replies are far shorter
+const ANTHROPIC_MAX_TOKENS = 1024;
+// Anthropic conversations must open with a user message, calls usually open with the greeting
+const CALL_STARTED_MESSAGE = '(The call has started.)';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+// Clients kept for reuse across calls (by provider, key and base URL)
+const MAX_CACHED_PROVIDERS = 100;
+
+/**
+ * Providers by name: the user_api_keys service name holding a user's own key
+ * and the environment variable with the platform key, if there is one. Only
+ * Gemini usage is charged to the wallet, so it is the only provider with a
+ * platform key; the others run on the user's own key.
+ */
+const LLM_PROVIDERS = {
+  gemini: { keyService: 'gemini', envKey: 'GOOGLE_GEMINI_API_KEY' },
+  openai: { keyService: 'openai', envKey: null },
+  anthropic: { keyService: 'anthropic', envKey: null },
+  // Any OpenAI-compatible endpoint (vLLM, Ollama, LM Studio, ...) at settings.llmBaseUrl.
+  // The URL is the user's, so the platform never sends a key of its own there, and
+  // it must be public unless ALLOW_PRIVATE_LLM_URLS=true (models hosted next to the server).
+  custom: { keyService: 'custom-llm', envKey: null },
+};
+
+/**
+ * Which provider an agent's model field refers to: "openai:gpt-4o-mini",
+ * "anthropic:claude-3-5-haiku-latest", "custom:llama3.1"; a bare name is
+ * matched by prefix and anything else is Gemini
+ * @returns { provider, model }
+ */
+const parseModel = (value) => {
+  const model = String(value || '').trim() || DEFAULT_MODEL;
+  const separator = model.indexOf(':');
+  if (separator > 0 && LLM_PROVIDERS[model.slice(0, separator)]) {
+    return { provider: model.slice(0, separator), model: model.slice(separator + 1) };
+  }
+  if (/^(gpt-|o\d|chatgpt-)/.test(model)) return { provider: 'openai', model };
+  if (model.startsWith('claude-')) return { provider: 'anthropic', model };
+  return { provider: 'gemini', model };
+};
+
+/**
+ * Gemini schemas use upper case types (Type.STRING); JSON Schema wants lower case
+ */
+const toJsonSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') result.type = value.toLowerCase();
+    else if (key === 'format' && value === 'enum') continue;
+    else if (key === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]));
+    } else if (key === 'items') result.items = toJsonSchema(value);
+    else result[key] = value;
+  }
+  return result;
+};
+
+/**
+ * Gemini may leave out function call ids; other APIs pair calls and results
+ * by id, so missing ones are made up and results matched to calls by name
+ */
+const pairFunctionCalls = (contents) => {
+  const pending = [];
+  let counter = 0;
+  return contents.map(message => ({
+    ...message,
+    parts: (message.parts || []).map(part => {
+      if (part.functionCall) {
+        const id = part.functionCall.id || `call_${++counter}`;
+        pending.push({ id, name: part.functionCall.name });
+        return { functionCall: { ...part.functionCall, id } };
+      }
+      if (part.functionResponse) {
+        const index = part.functionResponse.id
+          ? pending.findIndex(call => call.id === part.functionResponse.id)
+          : pending.findIndex(call => call.name === part.functionResponse.name);
+        const id = index >= 0 ? pending.splice(index, 1)[0].id : part.functionResponse.id || `call_${++counter}`;
+        return { functionResponse: { ...part.functionResponse, id } };
+      }
+      return part;
+    }),
+  }));
+};
+
+/**
+ * The data lines of each server-sent event in a streamed response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const data = buffer.slice(0, end).split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      buffer = buffer.slice(end + 2);
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * A chat model API. Every provider takes the conversation in the shared
+ * (Gemini-style) format the call context is kept in:
+ *   contents: [{ role: 'user' | 'model', parts: [{ text } | { functionCall } | { functionResponse }] }]
+ * and streams the reply as parts: { text } or { functionCall: { id, name, args } }.
+ */
+class LlmProvider {
+  /**
+   * @param request - { model, contents, systemInstruction?, functionDeclarations?, signal? }
+   */
+  async *stream() {
+    throw new Error('stream() not implemented');
+  }
+
+  /**
+   * The whole reply at once
+   * @returns { text, functionCalls }
+   */
+  async generate(request) {
+    let text = '';
+    const functionCalls = [];
+    for await (const part of this.stream(request)) {
+      if (part.functionCall) functionCalls.push(part.functionCall);
+      else text += part.text;
+    }
+    return { text, functionCalls };
+  }
+}
+
+class GeminiLlmProvider extends LlmProvider {
+  constructor({ apiKey }) {
+    super();
+    if (!apiKey) throw new Error('Missing Gemini API Key');
+    this.name = 'gemini';
+    this.llmService = new LLMService(apiKey);
+  }
+
+  async *stream(request) {
+    const config = { systemInstruction: request.systemInstruction, abortSignal: request.signal };
+    if (request.functionDeclarations?.length > 0) {
+      config.tools = [{ functionDeclarations: request.functionDeclarations }];
+    }
+    const stream = await this.llmService.generateContentStream({ model: request.model, contents: request.contents, config });
+    for await (const chunk of stream) {
+      for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+        if (part.functionCall) yield { functionCall: part.functionCall };
+        else if (part.text && !part.thought) yield { text: part.text };
+      }
+    }
+  }
+}
+
+/**
+ * OpenAI chat completions, or any server that speaks the same API at another base URL
+ */
+class OpenAiCompatibleLlmProvider extends LlmProvider {
+  constructor({ name = 'openai', apiKey, baseUrl = OPENAI_BASE_URL }) {
+    super();
+    if (!baseUrl) throw new Error('Missing LLM base URL');
+    // Self-hosted servers often run without a key
+    if (!apiKey && baseUrl === OPENAI_BASE_URL) throw new Error('Missing OpenAI API Key');
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  toMessages(systemInstruction, contents) {
+    const messages = systemInstruction ? [{ role: 'system', content: systemInstruction }] : [];
+    for (const message of pairFunctionCalls(contents)) {
+      const text = message.parts.filter(part => part.text).map(part => part.text).join('');
+      if (message.role === 'model') {
+        const toolCalls = message.parts.filter(part => part.functionCall).map(({ functionCall }) => ({
+          id: functionCall.id,
+          type: 'function',
+          function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) },
+        }));
+        messages.push({ role: 'assistant', content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+        continue;
+      }
+      for (const { functionResponse } of message.parts.filter(part => part.functionResponse)) {
+        messages.push({ role: 'tool', tool_call_id: functionResponse.id, content: JSON.stringify(functionResponse.response ?? {}) });
+      }
+      if (text) messages.push({ role: 'user', content: text });
+    }
+    return messages;
+  }
+
+  async *stream(request) {
+    const body = {
+      model: request.model,
+      messages: this.toMessages(request.systemInstruction, request.contents),
+      stream: true,
+    };
+    if (request.functionDeclarations?.length > 0) {
+      body.tools = request.functionDeclarations.map(declaration => ({
+        type: 'function',
+        function: {
+          name: declaration.name,
+          description: declaration.description,
+          parameters: toJsonSchema(declaration.parameters) || { type: 'object', properties: {} },
+        },
+      }));
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: request.signal,
+      // A custom endpoint could otherwise redirect past the base URL check
+      redirect: this.name === 'custom' ? 'error' : 'follow',
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} LLM error: ${response.status} - ${await response.text()}`);
+    }
+
+    // Tool call arguments arrive in pieces, by index
+    const toolCalls = [];
+    for await (const data of readServerSentEvents(response.body)) {
+      if (data === '[DONE]') break;
+      const delta = JSON.parse(data).choices?.[0]?.delta || {};
+      if (delta.content) yield { text: delta.content };
+      for (const call of delta.tool_calls || []) {
+        const toolCall = toolCalls[call.index] || (toolCalls[call.index] = { id: null, name: '', arguments: '' });
+        if (call.id) toolCall.id = call.id;
+        if (call.function?.name) toolCall.name += call.function.name;
+        if (call.function?.arguments) toolCall.arguments += call.function.arguments;
+      }
+    }
+    for (const toolCall of toolCalls.filter(Boolean)) {
+      yield { functionCall: { id: toolCall.id, name: toolCall.name, args: toolCall.arguments ? JSON.parse(toolCall.arguments) : {} } };
+    }
+  }
+}
+
+/**
+ * Anthropic messages API (or a compatible proxy at another base URL)
+ */
+class AnthropicLlmProvider extends LlmProvider {
+  constructor({ apiKey, baseUrl = ANTHROPIC_BASE_URL }) {
+    super();
+    if (!apiKey) throw new Error('Missing Anthropic API Key');
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  toMessages(contents) {
+    const messages = [];
+    for (const message of pairFunctionCalls(contents)) {
+      const role = message.role === 'model' ? 'assistant' : 'user';
+      const blocks = message.parts.map(part => {
+        if (part.text) return { type: 'text', text: part.text };
+        if (part.functionCall) {
+          return { type: 'tool_use', id: part.functionCall.id, name: part.functionCall.name, input: part.functionCall.args || {} };
+        }
+        if (part.functionResponse) {
+          return { type: 'tool_result', tool_use_id: part.functionResponse.id, content: JSON.stringify(part.functionResponse.response ?? {}) };
+        }
+        return null;
+      }).filter(Boolean);
+      if (blocks.length === 0) continue;
+
+      // Roles must alternate
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === role) previous.content.push(...blocks);
+      else messages.push({ role, content: blocks });
+    }
+    if (messages.length === 0 || messages[0].role !== 'user') {
+      messages.unshift({ role: 'user', content: [{ type: 'text', text: CALL_STARTED_MESSAGE }] });
+    }
+    return messages;
+  }
+
+  async *stream(request) {
+    const body = {
+      model: request.model,
+      max_tokens: ANTHROPIC_MAX_TOKENS,
+      messages: this.toMessages(request.contents),
+      stream: true,
+    };
+    if (request.systemInstruction) body.system = request.systemInstruction;
+    if (request.functionDeclarations?.length > 0) {
+      body.tools = request.functionDeclarations.map(declaration => ({
+        name: declaration.name,
+        description: declaration.description,
+        input_schema: toJsonSchema(declaration.parameters) || { type: 'object', properties: {} },
+      }));
+    }
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(body),
+      signal: request.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`anthropic LLM error: ${response.status} - ${await response.text()}`);
+    }
+
+    // Tool input arrives as JSON fragments, by content block
+    const toolUses = {};
+    for await (const data of readServerSentEvents(response.body)) {
+      const event = JSON.parse(data);
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolUses[event.index] = { id: event.content_block.id, name: event.content_block.name, input: '' };
+      } else if (event.type === 'content_block_delta') {
+        if (event.delta?.type === 'text_delta' && event.delta.text) yield { text: event.delta.text };
+        if (event.delta?.type === 'input_json_delta' && toolUses[event.index]) toolUses[event.index].input += event.delta.partial_json;
+      } else if (event.type === 'content_block_stop' && toolUses[event.index]) {
+        const toolUse = toolUses[event.index];
+        delete toolUses[event.index];
+        yield { functionCall: { id: toolUse.id, name: toolUse.name, args: toolUse.input ? JSON.parse(toolUse.input) : {} } };
+      } else if (event.type === 'error') {
+        throw new Error(`anthropic LLM error: ${event.error?.message || 'stream error'}`);
+      }
+    }
+  }
+}
+
+const LLM_PROVIDER_NAMES = Object.keys(LLM_PROVIDERS);
+
+/**
+ * Create an LLM provider by name
+ * @param name - 'gemini', 'openai', 'anthropic' or 'custom'
+ * @param config - { apiKey?, baseUrl? }
+ */
+const createLlmProvider = (name, config = {}) => {
+  switch (name) {
+    case 'gemini':
+      return new GeminiLlmProvider(config);
+    case 'openai':
+      return new OpenAiCompatibleLlmProvider({ ...config, name: 'openai', baseUrl: config.baseUrl || OPENAI_BASE_URL });
+    case 'anthropic':
+      return new AnthropicLlmProvider({ ...config, baseUrl: config.baseUrl || ANTHROPIC_BASE_URL });
+    case 'custom':
+      return new OpenAiCompatibleLlmProvider({ ...config, name: 'custom' });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+};
+
+/**
+ * Picks the provider for an agent's model and the API key to call it with:
+ * the user's own key from user_api_keys if they saved one, otherwise the
+ * platform key from the environment. Only custom endpoints take the agent's
+ * base URL, and they only ever get the user's own key.
+ */
+class LlmProviderRegistry {
+  /**
+   * @param getUserApiKey - async (userId, serviceName) => key or null
+   */
+  constructor(getUserApiKey) {
+    this.getUserApiKey = getUserApiKey;
+    // Providers by name, key and base URL, so clients are reused across calls;
+    // least recently used first, at most MAX_CACHED_PROVIDERS
+    this.providers = new Map();
+  }
+
+  /**
+   * @param modelField - The agent's model field
+   * @param options - { userId?, baseUrl? } baseUrl is settings.llmBaseUrl (custom endpoints)
+   * @returns { provider, model, ownKey } ownKey: the user's key is used, so the
+   *          user pays the provider directly
+   */
+  async resolve(modelField, options = {}) {
+    const { provider: name, model } = parseModel(modelField);
+    const { keyService, envKey } = LLM_PROVIDERS[name];
+
+    let apiKey = null;
+    if (options.userId && this.getUserApiKey) {
+      try {
+        apiKey = await this.getUserApiKey(options.userId, keyService);
+      } catch (err) {
+        console.warn(`⚠️  Could not load ${keyService} key for user ${options.userId}: ${err.message}`);
+      }
+    }
+    const ownKey = !!apiKey;
+    apiKey = apiKey || (envKey && process.env[envKey]) || null;
+    // Self-hosted custom endpoints often run without a key
+    if (!apiKey && !envKey && name !== 'custom') {
+      throw new Error(`No ${keyService} API key: ${name} models run on your own key, add it on the API page`);
+    }
+    const baseUrl = name === 'custom' ? options.baseUrl || undefined : undefined;
+    if (baseUrl) await assertPublicUrl(baseUrl, { allowPrivate: process.env.ALLOW_PRIVATE_LLM_URLS === 'true' });
+
+    const cacheKey = `${name}|${baseUrl || ''}|${apiKey || ''}`;
+    let provider = this.providers.get(cacheKey);
+    if (provider) {
+      this.providers.delete(cacheKey);
+    } else {
+      provider = createLlmProvider(name, { apiKey, baseUrl });
+      if (this.providers.size >= MAX_CACHED_PROVIDERS) {
+        this.providers.delete(this.providers.keys().next().value);
+      }
+    }
+    this.providers.set(cacheKey, provider);
+    return { provider, model, ownKey };
+  }
+}
+
+module.exports = {
+  LLM_PROVIDER_NAMES,
+  DEFAULT_MODEL,
+  parseModel,
+  createLlmProvider,
+  LlmProviderRegistry,
+  LlmProvider,
+  GeminiLlmProvider,
+  OpenAiCompatibleLlmProvider,
+  AnthropicLlmProvider,
+};
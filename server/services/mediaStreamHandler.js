@@ -1,66 +1,45 @@
-const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
-const { LLMService } = require("../llmService.js");
-const nodeFetch = require("node-fetch");
-
-const sessions = new Map();
-
+const TwilioService = require("./twilioService.js");
+const { AmbientMixer } = require("../utils/ambientMixer.js");
+
+// Twilio plays µ-law 8kHz audio in 20ms frames
+const MULAW_FRAME_BYTES = 160;
+// Caller audio kept while the session starts: 10 s of frames
+const MAX_PENDING_FRAMES = 500;
+
+/**
+ * Twilio media stream adapter for the ConversationEngine: turns the
+ * stream's start/media/mark/dtmf/stop events into engine calls and sends the
+ * agent's audio back as media frames. Hanging up and transfers go through
+ * the Twilio REST API.
+ */
 class MediaStreamHandler {
-    constructor(deepgramApiKey, geminiApiKey, campaignService) {
-        if (!deepgramApiKey) throw new Error("Missing Deepgram API Key");
-        if (!geminiApiKey) throw new Error("Missing Gemini API Key");
-
-        this.deepgramClient = createClient(deepgramApiKey);
-        this.llmService = new LLMService(geminiApiKey);
-        this.campaignService = campaignService;
+    /**
+     * @param engine - The shared ConversationEngine
+     * @param options - { defaultSttProvider?, recordingService? } where defaultSttProvider is used for
+     *                  agents without settings.sttProvider and recordingService stores call recordings
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.defaultSttProvider = options.defaultSttProvider || "deepgram";
+        this.recordingService = options.recordingService || null;
+        this.twilioService = new TwilioService();
     }
 
-    // ✅ FIX: Method to get fresh API key each time
-    getElevenLabsApiKey() {
-        return process.env.ELEVEN_LABS_API_KEY || process.env.ELEVENLABS_API_KEY;
+    hasSession(callId) {
+        return this.engine.hasSession(callId);
     }
 
-    createSession(callId, agentPrompt, agentVoiceId, ws) {
-        const session = {
-            callId,
-            context: [],
-            sttStream: null,
-            agentPrompt,
-            agentVoiceId: agentVoiceId || "21m00Tcm4TlvDq8ikWAM",
-            ws,
-            streamSid: null,
-            isReady: false,
-            audioQueue: [],
-        };
-        sessions.set(callId, session);
-        console.log(`✅ Created session for call ${callId}`);
-        console.log(`   Agent Prompt: ${agentPrompt.substring(0, 100)}...`);
-        console.log(`   Voice ID: ${session.agentVoiceId}`);
-        return session;
+    handleAnsweredBy(callId, answeredBy) {
+        this.engine.handleAnsweredBy(callId, answeredBy);
     }
 
-    endSession(callId) {
-        const session = sessions.get(callId);
-        if (session) {
-            if (session.sttStream) {
-                session.sttStream.finish();
-                session.sttStream.removeAllListeners();
-            }
-            sessions.delete(callId);
-            console.log(`❌ Ended session for call ${callId}`);
-        }
-    }
-
-    appendToContext(session, text, role) {
-        session.context.push({ role, parts: [{ text }] });
-        console.log(`💬 ${role.toUpperCase()}: ${text}`);
-    }
-
-    // REPLACE the handleConnection method in mediaStreamHandler.js:
-
     async handleConnection(ws, req) {
         let callId = null;
-        let agentId = null;
         let session = null;
+        let transport = null;
+        let stopped = false;
+        // Caller audio that arrives while the session is starting, { audio, timestamp }
+        const pending = [];
 
         try {
             console.log(`📞 WebSocket connection initiated from handleConnection`);
@@ -99,153 +78,61 @@ class MediaStreamHandler {
                         return;
                     }
 
-                    // ✅ Get parameters from Twilio "start" event
                     if (data.event === "start") {
                         console.log("▶️  Media Stream START event received");
 
-                        // Extract parameters from start event
-                        const streamParams = data.start?.customParameters || {};
-                        callId = streamParams.callId || data.start?.callSid;
-                        agentId = streamParams.agentId;
-                        const userId = streamParams.userId;
-
-                        console.log(`📞 Call ID: ${callId}`);
-                        console.log(`🤖 Agent ID: ${agentId}`);
-                        console.log(`👤 User ID: ${userId}`);
-
+                        const params = await this.resolveStreamParams(data.start || {}, req);
+                        callId = params.callId;
                         if (!callId) {
                             console.error("❌ No callId in start event");
                             ws.close();
                             return;
                         }
 
-                        // Load agent configuration
-                        let agentPrompt = "You are a helpful AI assistant.";
-                        let agentVoiceId = "21m00Tcm4TlvDq8ikWAM"; // Default voice
-                        let greetingMessage = "Hello! How can I help you today?";
-
-                        if (agentId) {
-                            try {
-                                const AgentService = require('./agentService.js');
-                                const agentService = new AgentService(require('../config/database.js').default);
-
-                                const agent = await agentService.getAgentById(userId, agentId);
-                                if (agent) {
-                                    agentPrompt = agent.identity || agentPrompt;
-
-                                    // ✅ CRITICAL: Use the voice ID directly from database
-                                    if (agent.voiceId) {
-                                        agentVoiceId = agent.voiceId;
-                                        console.log(`🎤 Using agent voice ID from database: ${agentVoiceId}`);
-                                    } else {
-                                        console.warn(`⚠️  Agent has no voiceId, using default: ${agentVoiceId}`);
-                                    }
-
-                                    if (agent.settings?.greetingLine) {
-                                        greetingMessage = agent.settings.greetingLine;
-                                    }
-                                    console.log(`✅ Loaded agent: ${agent.name}`);
-                                    console.log(`   Voice ID: ${agentVoiceId}`);
-                                    console.log(`   Prompt: ${agentPrompt.substring(0, 100)}...`);
-                                } else {
-                                    console.warn(`⚠️  Agent ${agentId} not found, using defaults`);
-                                }
-                            } catch (err) {
-                                console.error("⚠️  Error loading agent:", err.message);
-                            }
-                        } else {
-                            console.log(`ℹ️  No agentId provided, using default voice: ${agentVoiceId}`);
-                        }
-
-                        // Create session with the correct voice ID
-                        session = this.createSession(callId, agentPrompt, agentVoiceId, ws);
-                        console.log(`✅ Session created with voice ID: ${session.agentVoiceId}`);
-
-                        session.greetingMessage = greetingMessage;
-                        session.streamSid = data.start.streamSid;
-                        session.isReady = true;
-
-                        // Initialize Deepgram
-                        const deepgramLive = this.deepgramClient.listen.live({
-                            encoding: "mulaw",
-                            sample_rate: 8000,
-                            model: "nova-2-phonecall",
-                            smart_format: true,
-                            interim_results: true,
-                            utterance_end_ms: 1000,
-                            punctuate: true,
-                        });
-
-                        session.sttStream = deepgramLive;
-
-                        deepgramLive.on("Transcript", async (transcriptData) => {
-                            try {
-                                // Ignore interim results - only process final transcripts
-                                if (!transcriptData.is_final) return;
-
-                                const transcript = transcriptData.channel?.alternatives?.[0]?.transcript;
-                                if (!transcript?.trim()) return;
-
-                                console.log(`🎤 "${transcript}"`);
-                                this.appendToContext(session, transcript, "user");
-
-                                const llmResponse = await this.callLLM(session);
-                                this.appendToContext(session, llmResponse, "model");
-
-                                console.log(`🔊 Synthesizing response with voice: ${session.agentVoiceId}`);
-                                const ttsAudio = await this.synthesizeTTS(llmResponse, session.agentVoiceId);
-                                if (ttsAudio) {
-                                    this.sendAudioToTwilio(session, ttsAudio);
-                                }
-                            } catch (err) {
-                                console.error("❌ Transcript error:", err);
-                            }
+                        transport = this.createTransport(ws, callId, data.start.streamSid, params.callSid);
+                        const started = await this.engine.startSession(transport, {
+                            ...params,
+                            persistent: true,
+                            defaultSttProvider: this.defaultSttProvider,
                         });
-
-                        deepgramLive.on("Error", (error) => {
-                            console.error("❌ Deepgram error:", error.message || "Unknown error");
-                        });
-
-                        deepgramLive.on("Open", () => {
-                            console.log("✅ Deepgram opened");
-                        });
-
-                        deepgramLive.on("Close", () => {
-                            console.log("⚠️ Deepgram connection closed");
+                        // The caller hung up while the agent was loading
+                        if (stopped || ws.readyState !== ws.OPEN) {
+                            transport.stop();
+                            this.engine.endSession(callId);
+                            return;
+                        }
+                        session = started;
+                        pending.forEach(({ audio, timestamp }) => {
+                            transport.recordCallerAudio(audio, timestamp);
+                            this.engine.receiveAudio(session, audio);
                         });
-
-                        // Send greeting after a short delay
-                        setTimeout(async () => {
-                            try {
-                                console.log(`👋 Greeting: "${session.greetingMessage}"`);
-                                console.log(`🔊 Using voice ID for greeting: ${session.agentVoiceId}`);
-                                const audio = await this.synthesizeTTS(session.greetingMessage, session.agentVoiceId);
-                                if (audio) {
-                                    this.sendAudioToTwilio(session, audio);
-                                }
-                            } catch (err) {
-                                console.error("❌ Greeting error:", err);
-                            }
-                        }, 500);
+                        pending.length = 0;
 
                     } else if (data.event === "connected") {
                         console.log("✅ Twilio connected");
 
                     } else if (data.event === "media") {
-                        // ✅ Send audio directly to Deepgram
-                        if (session?.sttStream && data.media?.payload) {
-                            const audioBuffer = Buffer.from(data.media.payload, "base64");
-                            if (audioBuffer.length > 0) {
-                                session.sttStream.send(audioBuffer);
-                            }
+                        if (!data.media?.payload) return;
+                        const audio = Buffer.from(data.media.payload, "base64");
+                        if (!session) {
+                            if (pending.length < MAX_PENDING_FRAMES) pending.push({ audio, timestamp: data.media.timestamp });
+                            return;
                         }
+                        transport.recordCallerAudio(audio, data.media.timestamp);
+                        this.engine.receiveAudio(session, audio);
+
+                    } else if (data.event === "dtmf") {
+                        if (session && data.dtmf?.digit) this.engine.handleDtmf(session, data.dtmf.digit);
 
                     } else if (data.event === "stop") {
                         console.log("⏹️  Stream stopped");
-                        if (callId) this.endSession(callId);
+                        stopped = true;
+                        if (transport) transport.stop();
+                        if (callId) this.engine.endSession(callId);
 
                     } else if (data.event === "mark") {
                         console.log("📍 Mark:", data.mark?.name);
+                        if (session) this.engine.handlePlaybackMark(session, data.mark?.name);
                     }
 
                 } catch (err) {
@@ -258,7 +145,9 @@ class MediaStreamHandler {
 
             ws.on("close", () => {
                 console.log("🔌 WebSocket closed");
-                if (callId) this.endSession(callId);
+                stopped = true;
+                if (transport) transport.stop();
+                if (callId) this.engine.endSession(callId);
             });
 
             console.log("✅ WebSocket handlers registered and ready");
@@ -272,183 +161,110 @@ class MediaStreamHandler {
             }
         }
     }
-    async callLLM(session) {
-        try {
-            const response = await this.llmService.generateContent({
-                model: "gemini-1.5-flash",
-                contents: session.context,
-                config: { systemInstruction: session.agentPrompt },
-            });
-            return response.text;
-        } catch (err) {
-            console.error("❌ LLM error:", err);
-            return "I apologize, I'm having trouble processing that right now.";
-        }
-    }
-    getSarvamApiKey() {
-        return process.env.SARVAM_API_KEY;
-    }
 
-    async synthesizeTTS(text, voiceId) {
-        try {
-            // Check for Sarvam voices
-            if (voiceId && typeof voiceId === 'string' && voiceId.startsWith('sarvam-')) {
-                return this.synthesizeSarvamTTS(text, voiceId);
-            }
-
-            // ✅ FIX: Get fresh API key each time
-            const apiKey = this.getElevenLabsApiKey();
-
-            if (!apiKey) {
-                console.error("❌ Missing ElevenLabs API key");
-                return null;
-            }
-
-            console.log(`🔊 Synthesizing TTS:`);
-            console.log(`   Text: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-            console.log(`   Voice ID: ${voiceId}`);
-            console.log(`   API Key: ${apiKey ? apiKey.substring(0, 8) + '...' : 'MISSING'}`);
-
-            const response = await nodeFetch(
-                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Accept': 'audio/basic',
-                        'Content-Type': 'application/json',
-                        'xi-api-key': apiKey,
-                    },
-                    body: JSON.stringify({
-                        text: text,
-                        model_id: 'eleven_turbo_v2_5',
-                        voice_settings: {
-                            stability: 0.5,
-                            similarity_boost: 0.75,
-                            style: 0.0,
-                            use_speaker_boost: true
-                        },
-                        output_format: 'ulaw_8000'
-                    })
-                }
-            );
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`❌ ElevenLabs API error: ${response.status} - ${errorText}`);
-                return null;
-            }
-
-            const audioBuffer = await response.buffer();
-            console.log(`✅ TTS generated: ${audioBuffer.length} bytes (µ-law 8kHz) using voice ${voiceId}`);
-            return audioBuffer;
-        } catch (err) {
-            console.error("❌ TTS error:", err);
-            return null;
-        }
+    /**
+     * Session parameters from the stream's custom parameters (set in the TwiML)
+     * @returns { callId, callSid, agentId, userId, campaignId, recordId }
+     */
+    async resolveStreamParams(start, req) {
+        const streamParams = start.customParameters || {};
+        return {
+            callId: streamParams.callId || start.callSid,
+            callSid: start.callSid || null,
+            agentId: streamParams.agentId,
+            userId: streamParams.userId,
+            campaignId: streamParams.campaignId || null,
+            // The engine loads the lead's variables from this record
+            recordId: streamParams.recordId || null,
+        };
     }
 
-    async synthesizeSarvamTTS(text, voiceId) {
-        try {
-            const apiKey = this.getSarvamApiKey();
-            if (!apiKey) {
-                console.error("❌ Missing Sarvam API key");
-                return null;
-            }
-
-            const idParts = voiceId.replace('sarvam-', '').split('-');
-            const speaker = idParts[0];
-
-            // Map speaker to appropriate language or use default
-            let languageCode = 'hi-IN'; // Default to Hindi
-            if (['amartya'].includes(speaker)) languageCode = 'mr-IN'; // Marathi
-            if (['chiarun'].includes(speaker)) languageCode = 'ta-IN'; // Tamil
-
-            console.log(`🔊 Synthesizing Sarvam TTS: ${text.substring(0, 30)}..., Speaker: ${speaker}, Lang: ${languageCode}`);
-
-            const response = await nodeFetch('https://api.sarvam.ai/text-to-speech', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'api-subscription-key': apiKey
-                },
-                body: JSON.stringify({
-                    inputs: [text],
-                    target_language_code: languageCode,
-                    speaker: speaker,
-                    speech_sample_rate: 8000,
-                    model: "bulbul:v1"
-                })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`❌ Sarvam API error: ${response.status} - ${errorText}`);
-                return null;
-            }
-
-            const data = await response.json();
-
-            if (data.audios && data.audios.length > 0) {
-                const audioBuffer = Buffer.from(data.audios[0], 'base64');
-
-                // Sarvam returns WAV (usually). If using Twilio mulaw stream, we might need conversion.
-                // However, simple header stripping might work if it's 8khz mulaw or similar.
-                // Sarvam docs say: "wav" by default. Twilio needs mulaw 8000 (usually).
-                // If this is strict 8k wav PCM, sending to Twilio expecting mulaw might result in static.
-                // For now, returning the buffer.
-                // Note: ElevenLabs is requested as 'ulaw_8000'.
+    /**
+     * The engine's view of this stream (see ConversationEngine). Agent audio
+     * goes straight to Twilio, or through an AmbientMixer once the agent has
+     * a background sound: the mixer then paces all outbound audio itself.
+     * When the call is recorded, every frame sent is recorded as the agent's
+     * side and the stream's media as the caller's.
+     */
+    createTransport(ws, callId, streamSid, callSid) {
+        const startedAt = Date.now();
+        let mixer = null;
+        let recorder = null;
+        const send = (message) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        };
+        const sendFrame = (frame) => {
+            if (recorder) recorder.addAgentAudio(frame);
+            send({ event: "media", streamSid, media: { payload: frame.toString("base64") } });
+        };
+        const sendMark = (name) => send({ event: "mark", streamSid, mark: { name } });
+        const closeStream = () => {
+            if (ws.readyState === ws.OPEN) ws.close();
+        };
 
-                // Strip WAV header if present (44 bytes) to get raw samples
-                if (audioBuffer.length > 44 &&
-                    audioBuffer.toString('ascii', 0, 4) === 'RIFF' &&
-                    audioBuffer.toString('ascii', 8, 12) === 'WAVE') {
-                    return audioBuffer.slice(44);
+        return {
+            isPhoneCall: true,
+            sendAudio: (audio) => {
+                if (mixer) {
+                    mixer.enqueue(audio);
+                    return;
                 }
-                return audioBuffer;
-            }
-            return null;
-
-        } catch (err) {
-            console.error("❌ Sarvam TTS error:", err);
-            return null;
-        }
-    }
-    sendAudioToTwilio(session, audioBuffer) {
-        try {
-            if (!session.isReady || !session.streamSid) {
-                console.log("⏸️  Queueing audio - stream not ready yet");
-                session.audioQueue.push(audioBuffer);
-                return;
-            }
-            const base64Audio = audioBuffer.toString("base64");
-            const chunkSize = 214; // 160 bytes µ-law = 214 chars base64
-            let chunksSent = 0;
-
-            for (let i = 0; i < base64Audio.length; i += chunkSize) {
-                const chunk = base64Audio.slice(i, i + chunkSize);
-                session.ws.send(
-                    JSON.stringify({
-                        event: "media",
-                        streamSid: session.streamSid,
-                        media: {
-                            payload: chunk
-                        },
-                    })
-                );
-                chunksSent++;
-            }
-            // Send mark to indicate audio completion
-            session.ws.send(
-                JSON.stringify({
-                    event: "mark",
-                    streamSid: session.streamSid,
-                    mark: { name: "audio_complete" },
-                })
-            );
-            console.log(`✅ Sent ${chunksSent} audio chunks to Twilio (streamSid: ${session.streamSid})`);
-        } catch (err) {
-            console.error("❌ Error sending audio to Twilio:", err);
-        }
+                for (let i = 0; i < audio.length; i += MULAW_FRAME_BYTES) {
+                    sendFrame(audio.subarray(i, i + MULAW_FRAME_BYTES));
+                }
+            },
+            // Drop whatever Twilio (and the mixer) still has buffered (barge-in)
+            clearAudio: () => {
+                send({ event: "clear", streamSid });
+                if (mixer) mixer.clear();
+                if (recorder) recorder.clearAgentAudio();
+            },
+            sendMark: (name) => (mixer ? mixer.mark(name) : sendMark(name)),
+            playAmbience: (loop, level) => {
+                if (mixer) mixer.stop();
+                mixer = new AmbientMixer({ loop, level, sendFrame, sendMark });
+                mixer.start();
+            },
+            startRecording: () => {
+                if (!this.recordingService || recorder) return;
+                console.log(`🎙️ Recording call ${callId}`);
+                recorder = this.recordingService.createRecorder(callId, startedAt);
+            },
+            recordCallerAudio: (audio, timestamp) => {
+                if (recorder) recorder.addCallerAudio(audio, timestamp);
+            },
+            // The stream ended: stop the mixer and store the recording
+            stop: () => {
+                if (mixer) mixer.stop();
+                mixer = null;
+                if (!recorder) return;
+                const finished = recorder;
+                recorder = null;
+                this.recordingService.saveRecording(callId, finished).catch(err => {
+                    console.error(`❌ Could not save recording of call ${callId}:`, err.message);
+                });
+            },
+            hangUp: () => {
+                if (!callSid) {
+                    closeStream();
+                    return;
+                }
+                this.twilioService.endCall(callId, callSid).catch(err => {
+                    console.warn(`⚠️  Could not end call through Twilio: ${err.message}`);
+                    closeStream();
+                });
+            },
+            transfer: async (destination, { warm }) => {
+                if (!callSid) throw new Error("Call SID unknown");
+                const appUrl = (process.env.APP_URL || "").replace(/\/$/, "");
+                await this.twilioService.transferCall(callId, callSid, {
+                    phoneNumber: destination.phoneNumber,
+                    actionUrl: `${appUrl}/api/twilio/transfer/status?callId=${callId}`,
+                    whisperUrl: warm ? `${appUrl}/api/twilio/transfer/whisper?callId=${callId}` : null,
+                });
+            },
+        };
     }
 }
+
 module.exports = { MediaStreamHandler };
@@ -0,0 +1,185 @@
+const { v4: uuidv4 } = require('uuid');
+const AgentService = require('./agentService.js');
+const { ToolExecutionService } = require('../toolExecutionService.js');
+const { buildParametersSchema } = require('../utils/toolDeclarations.js');
+
+const DEFAULT_EXTRACTION_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Runs the agent tools flagged "runAfterCall" once a call has finished:
+ * an LLM pass extracts each tool's parameters from the transcript, then the
+ * tool is executed and the run is stored in call_tool_runs.
+ */
+class PostCallToolService {
+  constructor(mysqlPool, llmService) {
+    this.mysqlPool = mysqlPool;
+    this.llmService = llmService;
+    this.agentService = new AgentService(mysqlPool);
+    this.toolExecutionService = new ToolExecutionService();
+    // The run going on per call, so a second request waits for it instead of being dropped
+    this.callsInProgress = new Map();
+  }
+
+  /**
+   * Run the post-call tools for a finished call.
+   * Safe to call more than once: tools that already have a run are skipped,
+   * and a call made while a run is going on starts once it has finished.
+   */
+  async runForCall(callId) {
+    const previous = this.callsInProgress.get(callId) || Promise.resolve();
+    const run = previous.then(() => this.runPendingTools(callId));
+    this.callsInProgress.set(callId, run);
+    try {
+      return await run;
+    } finally {
+      if (this.callsInProgress.get(callId) === run) this.callsInProgress.delete(callId);
+    }
+  }
+
+  async runPendingTools(callId) {
+    try {
+      const call = await this.getCall(callId);
+      if (!call) return [];
+      if (!call.transcript) {
+        console.log(`No transcript for call ${callId}, skipping post-call tools`);
+        return [];
+      }
+
+      const agent = await this.agentService.getAgentById(call.user_id, call.agent_id);
+      const tools = (agent?.settings?.tools || []).filter(tool => tool.runAfterCall);
+      if (tools.length === 0) return [];
+
+      const [existingRuns] = await this.mysqlPool.execute(
+        'SELECT tool_id FROM call_tool_runs WHERE call_id = ?',
+        [callId]
+      );
+      const alreadyRun = new Set(existingRuns.map(run => run.tool_id));
+
+      const runs = [];
+      for (const tool of tools) {
+        if (alreadyRun.has(tool.id)) continue;
+
+        const runId = uuidv4();
+        await this.mysqlPool.execute(
+          `INSERT INTO call_tool_runs (id, call_id, agent_id, tool_id, tool_name, status)
+           VALUES (?, ?, ?, ?, ?, 'pending')`,
+          [runId, callId, agent.id, tool.id, tool.name]
+        );
+        runs.push(await this.executeRun(runId, call, agent, tool, null));
+      }
+      return runs;
+    } catch (error) {
+      console.error(`Error running post-call tools for call ${callId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Run a stored tool run again (e.g. after fixing a webhook).
+   * The previously extracted payload is reused when there is one.
+   */
+  async rerun(runId, callId, userId) {
+    const [rows] = await this.mysqlPool.execute('SELECT * FROM call_tool_runs WHERE id = ? AND call_id = ?', [runId, callId]);
+    if (rows.length === 0) throw new Error('Tool run not found');
+    const run = rows[0];
+
+    const call = await this.getCall(run.call_id);
+    if (!call || call.user_id !== userId) throw new Error('Tool run not found');
+
+    const agent = await this.agentService.getAgentById(call.user_id, call.agent_id);
+    const tool = (agent?.settings?.tools || []).find(t => t.id === run.tool_id);
+    if (!tool) throw new Error(`Tool ${run.tool_name} no longer exists on the agent`);
+
+    const payload = typeof run.payload === 'string' ? JSON.parse(run.payload) : run.payload;
+    return this.executeRun(runId, call, agent, tool, payload);
+  }
+
+  /**
+   * Get all post-call tool runs of one of the user's calls
+   */
+  async getRuns(callId, userId) {
+    const [rows] = await this.mysqlPool.execute(
+      `SELECT r.* FROM call_tool_runs r JOIN calls c ON c.id = r.call_id
+       WHERE r.call_id = ? AND c.user_id = ? ORDER BY r.created_at ASC`,
+      [callId, userId]
+    );
+    return rows.map(row => this.formatRun(row));
+  }
+
+  async getCall(callId) {
+    const [rows] = await this.mysqlPool.execute(
+      'SELECT id, user_id, agent_id, transcript FROM calls WHERE id = ?',
+      [callId]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  async executeRun(runId, call, agent, tool, payload) {
+    let status = 'failed';
+    let response = null;
+    let error = null;
+
+    try {
+      if (!payload) {
+        payload = await this.extractParameters(tool, call.transcript, agent.model);
+      }
+      const result = await this.toolExecutionService.runTool(tool, payload);
+      status = result.success ? 'success' : 'failed';
+      response = result.data === undefined ? null : result.data;
+      error = result.error || null;
+    } catch (err) {
+      error = err.message;
+    }
+
+    await this.mysqlPool.execute(
+      `UPDATE call_tool_runs
+       SET status = ?, payload = ?, response = ?, error = ?, attempts = attempts + 1
+       WHERE id = ?`,
+      [status, payload ? JSON.stringify(payload) : null, response === null ? null : JSON.stringify(response), error, runId]
+    );
+    console.log(`Post-call tool "${tool.name}" for call ${call.id}: ${status}${error ? ` (${error})` : ''}`);
+
+    return { id: runId, callId: call.id, toolId: tool.id, toolName: tool.name, status, payload, response, error };
+  }
+
+  /**
+   * Ask the LLM to pull the tool's declared parameters out of the transcript
+   */
+  async extractParameters(tool, transcript, model) {
+    const schema = buildParametersSchema(tool.parameters);
+    if (!schema) return {};
+
+    const response = await this.llmService.generateContent({
+      model: model && model.startsWith('gemini-') ? model : DEFAULT_EXTRACTION_MODEL,
+      contents: [{ role: 'user', parts: [{ text: `Call transcript:\n${transcript}` }] }],
+      config: {
+        systemInstruction: `You extract data from phone call transcripts for the "${tool.name}" action` +
+          `${tool.description ? ` (${tool.description})` : ''}. ` +
+          'Fill in each field only from what was said during the call and leave out fields that were not mentioned.',
+        responseMimeType: 'application/json',
+        responseSchema: schema,
+      },
+    });
+    return JSON.parse(response.text || '{}');
+  }
+
+  formatRun(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+      id: row.id,
+      callId: row.call_id,
+      agentId: row.agent_id,
+      toolId: row.tool_id,
+      toolName: row.tool_name,
+      status: row.status,
+      payload: parse(row.payload),
+      response: parse(row.response),
+      error: row.error,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = PostCallToolService;
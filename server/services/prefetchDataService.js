@@ -0,0 +1,121 @@
+const axios = require('axios');
+
+// The call is waiting on the answer, so a slow CRM must not hold it up
+const PREFETCH_TIMEOUT_MS = 3000;
+// Drop results nobody picked up (e.g. the stream never connected)
+const PREFETCH_TTL_MS = 60000;
+
+/**
+ * Flatten a webhook response into prompt variables: nested objects become
+ * "parent.child" names, arrays are kept as JSON
+ */
+const flattenVariables = (data, prefix = '', variables = {}) => {
+  Object.entries(data).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) variables[name] = JSON.stringify(value);
+    else if (typeof value === 'object') flattenVariables(value, name, variables);
+    else variables[name] = value;
+  });
+  return variables;
+};
+
+/**
+ * Calls an agent's settings.prefetchDataWebhook when a call starts and hands
+ * the returned JSON to the media stream as prompt variables.
+ *
+ * The request is started from the Twilio voice webhook so it runs while the
+ * stream connects; the media stream then takes the result for its call.
+ */
+class PrefetchDataService {
+  constructor(agentService, campaignService, webhookService = null) {
+    this.agentService = agentService;
+    this.campaignService = campaignService;
+    this.webhookService = webhookService;
+    this.pending = new Map();
+  }
+
+  /**
+   * Start prefetching for a call if its agent has a prefetch data webhook;
+   * the result is kept until take() is called
+   * @param callId - The calls.id (or CallSid) the media stream will report
+   * @param call - { userId, agentId, callSid, direction, from, to, campaignId, variables }
+   */
+  prefetch(callId, call) {
+    if (!callId || !call.agentId) return;
+    const timer = setTimeout(() => this.pending.delete(callId), PREFETCH_TTL_MS);
+    this.pending.set(callId, { request: this.run(callId, call), timer });
+  }
+
+  async run(callId, call) {
+    try {
+      const agent = await this.agentService.getAgentById(call.userId, call.agentId);
+      // The agent's webhook, else the user's global one
+      let webhookUrl = agent?.settings?.prefetchDataWebhook?.trim();
+      if (!webhookUrl && this.webhookService && call.userId) {
+        webhookUrl = (await this.webhookService.getSettings(call.userId)).prefetchDataWebhook;
+      }
+      if (!webhookUrl) return {};
+
+      const campaign = call.campaignId
+        ? await this.campaignService.getCampaign(call.campaignId, call.userId)
+        : null;
+      const outbound = String(call.direction || '').startsWith('outbound');
+      return await this.fetchVariables(webhookUrl, {
+        event: 'call.prefetch',
+        callId,
+        callSid: call.callSid || null,
+        agentId: call.agentId,
+        direction: outbound ? 'outbound' : 'inbound',
+        // The other party: who dialled in, or the lead being called
+        callerNumber: outbound ? call.to : call.from,
+        from: call.from,
+        to: call.to,
+        campaign: campaign ? { id: campaign.id, name: campaign.name } : null,
+        lead: call.variables || null,
+      });
+    } catch (error) {
+      console.error('⚠️  Prefetch failed:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * POST the call details to the webhook
+   * @returns The returned variables, or {} if the webhook failed, timed out or returned no object
+   */
+  async fetchVariables(webhookUrl, payload) {
+    const startedAt = Date.now();
+    try {
+      const response = await axios.post(webhookUrl, payload, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: PREFETCH_TIMEOUT_MS,
+      });
+      const data = response.data;
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        console.warn('⚠️  Prefetch webhook returned no JSON object, ignoring');
+        return {};
+      }
+      const variables = flattenVariables(data);
+      console.log(`📇 Prefetched ${Object.keys(variables).length} variables in ${Date.now() - startedAt}ms`);
+      return variables;
+    } catch (error) {
+      console.error(`⚠️  Prefetch webhook failed after ${Date.now() - startedAt}ms:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * The prefetched variables of a call (waits for a request still in flight)
+   * @returns The variables, or {} if nothing was prefetched for the call
+   */
+  async take(callId) {
+    const entry = this.pending.get(callId);
+    if (!entry) return {};
+    this.pending.delete(callId);
+    clearTimeout(entry.timer);
+    return entry.request;
+  }
+}
+
+module.exports = { PrefetchDataService };
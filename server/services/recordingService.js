@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { createRecordingStorage } = require('./recordingStorage.js');
+const { CallRecorder, WAV_HEADER_BYTES } = require('../utils/callRecorder.js');
+
+// Playback links stay valid this long
+const PLAYBACK_LINK_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Call recordings captured from the media stream (agents with
+ * settings.callRecording): stores them through a RecordingStorage, records
+ * where on the call, and signs the links they are played back from. An
+ * <audio> element can't send headers, so a playback link carries its own
+ * proof of access: an expiry and an HMAC over the call, user and expiry.
+ */
+class RecordingService {
+  /**
+   * @param storage - A RecordingStorage; the one RECORDING_STORAGE names by default
+   */
+  constructor(mysqlPool, storage = createRecordingStorage()) {
+    this.mysqlPool = mysqlPool;
+    this.storage = storage;
+    // Links from a random secret stop working when the server restarts
+    this.secret = process.env.RECORDING_LINK_SECRET || process.env.ENCRYPTION_SECRET || crypto.randomBytes(32).toString('hex');
+  }
+
+  keyOf(callId) {
+    return `${callId}.wav`;
+  }
+
+  /**
+   * Start recording a call; the recorder writes to storage as the call runs
+   * @param startedAt - When the media stream started (ms)
+   */
+  createRecorder(callId, startedAt) {
+    return new CallRecorder({ startedAt, writer: this.storage.createWriter(this.keyOf(callId), WAV_HEADER_BYTES) });
+  }
+
+  /**
+   * Finish a call's recording and record where it is
+   */
+  async saveRecording(callId, recorder) {
+    const key = this.keyOf(callId);
+    const size = await recorder.finish();
+    if (recorder.durationMs === 0) {
+      await this.storage.delete(key);
+      return;
+    }
+    await this.mysqlPool.execute('UPDATE calls SET recording_key = ? WHERE id = ?', [key, callId]);
+    // Campaign calls show the recording on the campaign page
+    await this.mysqlPool.execute(
+      'UPDATE campaign_records cr JOIN calls c ON cr.call_sid = c.call_sid SET cr.recording_url = ? WHERE c.id = ?',
+      [`/api/calls/${callId}/recording`, callId]
+    );
+    console.log(`🎙️ Saved recording of call ${callId} (${size} bytes)`);
+  }
+
+  /**
+   * A user's call with a recording
+   * @param callId - The call's id or Twilio call SID
+   * @returns { callId, key, size }, or null if there is no such call or recording
+   */
+  async getRecording(callId, userId) {
+    const [rows] = await this.mysqlPool.execute(
+      'SELECT id, recording_key FROM calls WHERE (id = ? OR call_sid = ?) AND user_id = ? LIMIT 1',
+      [callId, callId, userId]
+    );
+    if (rows.length === 0 || !rows[0].recording_key) return null;
+    const stats = await this.storage.stat(rows[0].recording_key);
+    return stats ? { callId: rows[0].id, key: rows[0].recording_key, size: stats.size } : null;
+  }
+
+  /**
+   * @param range - { start, end } byte offsets, both inclusive
+   */
+  createReadStream(key, range) {
+    return this.storage.createReadStream(key, range);
+  }
+
+  /**
+   * A signed, expiring link to GET /api/calls/:id/recording
+   */
+  createPlaybackLink(callId, userId) {
+    const expires = Date.now() + PLAYBACK_LINK_TTL_MS;
+    const params = new URLSearchParams({ userId, expires: String(expires), signature: this.sign(callId, userId, expires) });
+    return { url: `/api/calls/${callId}/recording?${params}`, expiresAt: new Date(expires).toISOString() };
+  }
+
+  /**
+   * Whether a playback link's query is genuine and still valid
+   */
+  verifyPlaybackLink(callId, { userId, expires, signature }) {
+    if (!userId || !signature || !(Number(expires) > Date.now())) return false;
+    const expected = Buffer.from(this.sign(callId, userId, Number(expires)));
+    const actual = Buffer.from(String(signature));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  sign(callId, userId, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${callId}.${userId}.${expires}`).digest('hex');
+  }
+}
+
+/**
+ * The byte range a Range header asks for
+ * @returns { start, end } (inclusive), null without a header, or false if it can't be satisfied
+ */
+const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return false;
+  let start;
+  let end;
+  if (match[1] === '') {
+    // "bytes=-500": the last 500 bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : false;
+};
+
+module.exports = { RecordingService, parseRange };
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '..', 'recordings');
+
+/**
+ * Where call recordings are kept. Recordings are addressed by key (a file
+ * name, e.g. "<callId>.wav"); a new backend is a subclass plus a case in
+ * createRecordingStorage().
+ */
+class RecordingStorage {
+  async save(key, data) {
+    throw new Error('save() not implemented');
+  }
+
+  /**
+   * Write a recording while the call runs: the audio in chunks, then the
+   * header that goes in front of it. Backends that can write in place
+   * override this; by default the chunks are held until finish() saves them.
+   * @param headerBytes - The size of the header finish() will be given
+   * @returns { write(chunk), finish(header) } where write() never throws and
+   *          finish() rejects if any write failed
+   */
+  createWriter(key, headerBytes) {
+    const chunks = [];
+    return {
+      write: (chunk) => chunks.push(chunk),
+      finish: (header) => this.save(key, Buffer.concat([header, ...chunks])),
+    };
+  }
+
+  /**
+   * @returns { size } in bytes, or null if there is no such recording
+   */
+  async stat(key) {
+    throw new Error('stat() not implemented');
+  }
+
+  /**
+   * @param range - { start, end } byte offsets, both inclusive
+   * @returns A readable stream of the recording (or the range of it)
+   */
+  createReadStream(key, range) {
+    throw new Error('createReadStream() not implemented');
+  }
+
+  async delete(key) {
+    throw new Error('delete() not implemented');
+  }
+}
+
+/**
+ * Recordings as files in one directory on the server's disk
+ */
+class LocalRecordingStorage extends RecordingStorage {
+  constructor({ directory = DEFAULT_RECORDINGS_DIR } = {}) {
+    super();
+    this.name = 'local';
+    this.directory = directory;
+  }
+
+  // Keys are file names; anything that looks like a path is cut down to its last part
+  pathOf(key) {
+    return path.join(this.directory, path.basename(String(key)));
+  }
+
+  async save(key, data) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.pathOf(key), data);
+  }
+
+  // Room for the header first, chunks appended as they come, then the header is written into its place
+  createWriter(key, headerBytes) {
+    let position = headerBytes;
+    let error = null;
+    let handle = null;
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+      queue = queue.then(() => (error ? null : task())).catch((err) => { error = error || err; });
+    };
+    enqueue(async () => {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      handle = await fs.promises.open(this.pathOf(key), 'w');
+    });
+    return {
+      write: (chunk) => {
+        const offset = position;
+        position += chunk.length;
+        enqueue(() => handle.write(chunk, 0, chunk.length, offset));
+      },
+      finish: async (header) => {
+        enqueue(() => handle.write(header, 0, header.length, 0));
+        await queue;
+        if (handle) await handle.close().catch(() => {});
+        if (error) throw error;
+      },
+    };
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.pathOf(key));
+      return { size: stats.size };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  createReadStream(key, range) {
+    return fs.createReadStream(this.pathOf(key), range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+}
+
+/**
+ * Create the recording storage backend; defaults to the environment
+ * @param name - 'local' (RECORDING_STORAGE, default 'local')
+ * @param config - Backend options, e.g. { directory } (RECORDINGS_DIR)
+ */
+const createRecordingStorage = (name = process.env.RECORDING_STORAGE || 'local', config = {}) => {
+  switch (name) {
+    case 'local':
+      return new LocalRecordingStorage({ ...config, directory: config.directory || process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR });
+    default:
+      throw new Error(`Unknown recording storage: ${name}`);
+  }
+};
+
+module.exports = {
+  RecordingStorage,
+  LocalRecordingStorage,
+  createRecordingStorage,
+};
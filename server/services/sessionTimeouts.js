@@ -0,0 +1,125 @@
+// Silence after the agent finished speaking before the caller is prompted
+const INACTIVITY_PROMPT_MS = 10000;
+// Prompts per silence; after that only the no-voice timeout ends the call
+const MAX_INACTIVITY_PROMPTS = 2;
+
+const { DEFAULT_LANGUAGE } = require('../utils/languages.js');
+
+// Built-in prompts by LANGUAGES id, used when the agent has none of its own
+const INACTIVITY_PROMPTS = {
+  ENGLISH: ["Are you still there?", "Hello? I'm still here if you need anything."],
+  HINDI: ["क्या आप अभी भी वहाँ हैं?", "हैलो? अगर आपको कुछ चाहिए तो मैं यहीं हूँ।"],
+  MARATHI: ["तुम्ही अजून तिथे आहात का?", "हॅलो? तुम्हाला काही हवं असल्यास मी इथेच आहे."],
+  TAMIL: ["நீங்கள் இன்னும் இருக்கிறீர்களா?", "ஹலோ? உங்களுக்கு ஏதாவது தேவைப்பட்டால் நான் இங்கேயே இருக்கிறேன்."],
+  SPANISH: ["¿Sigue ahí?", "¿Hola? Sigo aquí si necesita algo."],
+  FRENCH: ["Êtes-vous toujours là ?", "Allô ? Je suis toujours là si vous avez besoin de quoi que ce soit."],
+  GERMAN: ["Sind Sie noch da?", "Hallo? Ich bin noch da, falls Sie etwas brauchen."],
+  ITALIAN: ["È ancora lì?", "Pronto? Sono ancora qui se ha bisogno di qualcosa."],
+  PORTUGUESE: ["Ainda está aí?", "Alô? Continuo aqui se precisar de alguma coisa."],
+};
+
+/**
+ * The agent's own prompts (settings.inactivityPrompts, one per line), if any
+ */
+const parsePrompts = (value) => (Array.isArray(value) ? value : String(value || '').split('\n'))
+  .map(prompt => String(prompt).trim())
+  .filter(Boolean);
+
+/**
+ * Enforces an agent's inactivity and session timeout settings on a live
+ * conversation, whatever the transport:
+ * - inactivityHandling: prompt the caller after a silence (onPrompt), with
+ *   settings.inactivityPrompts or the built-in prompts in the call's language
+ * - sessionTimeoutNoVoiceActivity: end the session when the caller has not
+ *   spoken for this many seconds (onTimeout('no_voice_activity'))
+ * - sessionTimeoutFixedDuration: end the session after this many seconds
+ *   (onTimeout('max_duration'))
+ *
+ * The owner reports caller speech and agent playback; 0 disables a timeout.
+ */
+class SessionTimeouts {
+  /**
+   * @param settings - The agent's settings
+   * @param handlers - { onPrompt(text), onTimeout(reason), language?() }; language()
+   *                   returns the call's current LANGUAGES id
+   */
+  constructor(settings, handlers) {
+    this.inactivityHandling = !!settings?.inactivityHandling;
+    this.noVoiceMs = Math.max(0, Number(settings?.sessionTimeoutNoVoiceActivity) || 0) * 1000;
+    this.maxDurationMs = Math.max(0, Number(settings?.sessionTimeoutFixedDuration) || 0) * 1000;
+    this.customPrompts = parsePrompts(settings?.inactivityPrompts);
+    this.handlers = handlers;
+    this.promptCount = 0;
+    this.timers = { maxDuration: null, noVoice: null, prompt: null };
+    this.stopped = false;
+  }
+
+  start() {
+    if (this.maxDurationMs > 0) {
+      this.timers.maxDuration = setTimeout(() => this.expire('max_duration'), this.maxDurationMs);
+    }
+    this.resetNoVoiceTimer();
+  }
+
+  /**
+   * The caller spoke (or pressed a key)
+   */
+  voiceActivity() {
+    if (this.stopped) return;
+    this.promptCount = 0;
+    clearTimeout(this.timers.prompt);
+    this.resetNoVoiceTimer();
+  }
+
+  /**
+   * The agent started speaking; no prompt while it talks
+   */
+  agentSpeaking() {
+    clearTimeout(this.timers.prompt);
+  }
+
+  /**
+   * The agent finished speaking; the silence starts now
+   */
+  agentFinished() {
+    if (this.stopped || !this.inactivityHandling || this.promptCount >= MAX_INACTIVITY_PROMPTS) return;
+    clearTimeout(this.timers.prompt);
+
+    // Always leave room to prompt before a short no-voice timeout hangs up
+    const delay = this.noVoiceMs > 0 ? Math.min(INACTIVITY_PROMPT_MS, this.noVoiceMs / 2) : INACTIVITY_PROMPT_MS;
+    this.timers.prompt = setTimeout(() => {
+      if (this.stopped) return;
+      const prompts = this.prompts();
+      const text = prompts[Math.min(this.promptCount, prompts.length - 1)];
+      this.promptCount++;
+      this.handlers.onPrompt(text);
+    }, delay);
+  }
+
+  prompts() {
+    if (this.customPrompts.length > 0) return this.customPrompts;
+    const language = this.handlers.language ? this.handlers.language() : DEFAULT_LANGUAGE;
+    return INACTIVITY_PROMPTS[language] || INACTIVITY_PROMPTS[DEFAULT_LANGUAGE];
+  }
+
+  resetNoVoiceTimer() {
+    clearTimeout(this.timers.noVoice);
+    if (this.noVoiceMs > 0) {
+      this.timers.noVoice = setTimeout(() => this.expire('no_voice_activity'), this.noVoiceMs);
+    }
+  }
+
+  expire(reason) {
+    if (this.stopped) return;
+    this.stop();
+    console.log(`⏰ Session timeout: ${reason}`);
+    this.handlers.onTimeout(reason);
+  }
+
+  stop() {
+    this.stopped = true;
+    Object.values(this.timers).forEach(timer => clearTimeout(timer));
+  }
+}
+
+module.exports = { SessionTimeouts };
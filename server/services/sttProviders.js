@@ -0,0 +1,266 @@
+const { EventEmitter } = require('events');
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { MULAW_SAMPLE_RATE, decodeMulaw, encodeWav } = require('../utils/audio.js');
+const { VoiceActivityDetector } = require('../utils/voiceActivityDetector.js');
+
+const ELEVENLABS_STT_URL = 'https://api.elevenlabs.io/v1/speech-to-text';
+const DEFAULT_ENDPOINTING_MS = 1000;
+// Utterances are transcribed one at a time, so a stalled request must not hold up the rest
+const UTTERANCE_TIMEOUT_MS = 15000;
+// Deepgram's telephony model only knows English; other languages use the general
+// model, and language detection needs the code-switching one
+const DEEPGRAM_PHONECALL_MODEL = 'nova-2-phonecall';
+const DEEPGRAM_GENERAL_MODEL = 'nova-2';
+const DEEPGRAM_MULTILINGUAL_MODEL = 'nova-3';
+
+/**
+ * A live transcription of one call's audio. Takes 8 kHz µ-law audio through
+ * send() and emits the same events whoever does the transcribing:
+ * - 'speechStarted' the caller started talking
+ * - 'transcript' { text, isFinal, start, duration, confidence, language },
+ *   times in seconds from the start of the stream, language the code the
+ *   provider detected (null unless the stream detects languages)
+ * - 'utteranceEnd' the caller stopped talking
+ * - 'open', 'close', 'error'
+ *
+ * Providers open streams with createStream({ language?, detectLanguage?, endpointingMs? }):
+ * language is the ISO 639-1 code of what the caller speaks; with
+ * detectLanguage the stream follows the caller from one language to another.
+ */
+class SttStream extends EventEmitter {
+  send() {
+    throw new Error('send() not implemented');
+  }
+
+  finish() {
+    this.removeAllListeners();
+  }
+
+  // An unhandled 'error' event would crash the process
+  fail(error) {
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+    else console.error('❌ STT error:', error.message || error);
+  }
+}
+
+class DeepgramSttStream extends SttStream {
+  constructor(client, options) {
+    super();
+    this.live = client.listen.live({
+      encoding: 'mulaw',
+      sample_rate: MULAW_SAMPLE_RATE,
+      model: options.model || DeepgramSttStream.modelFor(options),
+      ...(options.detectLanguage ? { language: 'multi' } : options.language ? { language: options.language } : {}),
+      smart_format: true,
+      interim_results: true,
+      utterance_end_ms: options.endpointingMs || DEFAULT_ENDPOINTING_MS,
+      vad_events: true,
+      punctuate: true,
+    });
+
+    this.live.on(LiveTranscriptionEvents.Open, () => this.emit('open'));
+    this.live.on(LiveTranscriptionEvents.Close, () => this.emit('close'));
+    this.live.on(LiveTranscriptionEvents.Error, (error) => this.fail(error));
+    this.live.on(LiveTranscriptionEvents.SpeechStarted, () => this.emit('speechStarted'));
+    this.live.on(LiveTranscriptionEvents.UtteranceEnd, () => this.emit('utteranceEnd'));
+    this.live.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const alternative = data.channel?.alternatives?.[0];
+      this.emit('transcript', {
+        text: alternative?.transcript || '',
+        isFinal: !!data.is_final,
+        start: data.start || 0,
+        duration: data.duration || 0,
+        confidence: alternative?.confidence ?? null,
+        language: alternative?.languages?.[0] || null,
+      });
+    });
+  }
+
+  static modelFor({ language, detectLanguage }) {
+    if (detectLanguage) return DEEPGRAM_MULTILINGUAL_MODEL;
+    return !language || language === 'en' ? DEEPGRAM_PHONECALL_MODEL : DEEPGRAM_GENERAL_MODEL;
+  }
+
+  send(audio) {
+    this.live.send(audio);
+  }
+
+  finish() {
+    this.live.finish();
+    this.live.removeAllListeners();
+    super.finish();
+  }
+}
+
+/**
+ * Stream for providers that transcribe whole utterances: the shared voice
+ * activity detector finds where the caller starts and stops talking, and
+ * each utterance is transcribed once it is over. There are no interim
+ * results, so barge-in relies on 'speechStarted'.
+ */
+class UtteranceSttStream extends SttStream {
+  /**
+   * @param transcribe - async (mulawAudio, signal) => { text, confidence?, language? };
+   *                     signal aborts when the request times out or the stream closes
+   * @param options - { endpointingMs? }
+   */
+  constructor(transcribe, options) {
+    super();
+    this.transcribe = transcribe;
+    this.closed = false;
+    this.controller = new AbortController();
+    // Transcripts are emitted in the order the utterances were spoken
+    this.queue = Promise.resolve();
+    this.vad = new VoiceActivityDetector({ endSilenceMs: options.endpointingMs || DEFAULT_ENDPOINTING_MS });
+    this.vad.on('speechStart', () => this.emit('speechStarted'));
+    this.vad.on('speechEnd', (utterance) => {
+      this.queue = this.queue.then(() => this.transcribeUtterance(utterance));
+    });
+    setImmediate(() => this.emit('open'));
+  }
+
+  async transcribeUtterance(utterance) {
+    try {
+      if (this.closed) return;
+      const signal = AbortSignal.any([this.controller.signal, AbortSignal.timeout(UTTERANCE_TIMEOUT_MS)]);
+      const result = await this.transcribe(utterance.audio, signal);
+      if (this.closed) return;
+      this.emit('transcript', {
+        text: result.text || '',
+        isFinal: true,
+        start: utterance.start,
+        duration: utterance.duration,
+        confidence: result.confidence ?? null,
+        language: result.language || null,
+      });
+    } catch (error) {
+      if (!this.closed) this.fail(error);
+    }
+    if (!this.closed) this.emit('utteranceEnd');
+  }
+
+  send(audio) {
+    if (!this.closed) this.vad.push(audio);
+  }
+
+  finish() {
+    this.closed = true;
+    this.controller.abort();
+    this.vad.removeAllListeners();
+    this.emit('close');
+    super.finish();
+  }
+}
+
+/**
+ * Deepgram live transcription (interim results, server-side VAD and endpointing)
+ */
+class DeepgramSttProvider {
+  constructor({ apiKey }) {
+    if (!apiKey) throw new Error('Missing Deepgram API Key');
+    this.name = 'deepgram';
+    this.client = createClient(apiKey);
+  }
+
+  createStream(options = {}) {
+    return new DeepgramSttStream(this.client, options);
+  }
+}
+
+/**
+ * ElevenLabs Scribe: each utterance is sent to the speech-to-text API once
+ * the caller stops talking
+ */
+class ElevenLabsScribeSttProvider {
+  constructor({ apiKey, modelId = 'scribe_v1' }) {
+    if (!apiKey) throw new Error('Missing ElevenLabs API Key');
+    this.name = 'elevenlabs';
+    this.apiKey = apiKey;
+    this.modelId = modelId;
+  }
+
+  createStream(options = {}) {
+    return new UtteranceSttStream((audio, signal) => this.transcribe(audio, options, signal), options);
+  }
+
+  async transcribe(audio, options, signal) {
+    const form = new FormData();
+    form.append('model_id', this.modelId);
+    form.append('tag_audio_events', 'false');
+    // Without a language code Scribe detects the language itself
+    if (options.language && !options.detectLanguage) form.append('language_code', options.language);
+    const wav = encodeWav(decodeMulaw(audio), MULAW_SAMPLE_RATE);
+    form.append('file', new Blob([wav], { type: 'audio/wav' }), 'utterance.wav');
+
+    const response = await fetch(ELEVENLABS_STT_URL, {
+      method: 'POST',
+      headers: { 'xi-api-key': this.apiKey },
+      body: form,
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`ElevenLabs STT error: ${response.status} - ${await response.text()}`);
+    }
+    const data = await response.json();
+    return { text: (data.text || '').trim(), language: options.detectLanguage ? data.language_code : null };
+  }
+}
+
+/**
+ * Offline provider for local development: the voice activity detector finds
+ * the utterances and each one is "transcribed" as the next scripted line
+ */
+class MockSttProvider {
+  /**
+   * @param transcripts - The lines to return in turn (MOCK_STT_TRANSCRIPTS, separated by "|")
+   */
+  constructor({ transcripts }) {
+    this.name = 'mock';
+    this.transcripts = transcripts && transcripts.length > 0 ? transcripts : ['Hello?'];
+  }
+
+  createStream(options = {}) {
+    let next = 0;
+    return new UtteranceSttStream(async () => {
+      const text = this.transcripts[next % this.transcripts.length];
+      next++;
+      return { text, confidence: 1 };
+    }, options);
+  }
+}
+
+const STT_PROVIDER_NAMES = ['deepgram', 'elevenlabs', 'mock'];
+
+/**
+ * Create an STT provider by name; API keys default to the environment
+ * @param name - 'deepgram', 'elevenlabs' or 'mock'
+ * @param config - Provider options, e.g. { apiKey }
+ */
+const createSttProvider = (name, config = {}) => {
+  switch (name) {
+    case 'deepgram':
+      return new DeepgramSttProvider({ ...config, apiKey: config.apiKey || process.env.DEEPGRAM_API_KEY });
+    case 'elevenlabs':
+      return new ElevenLabsScribeSttProvider({
+        ...config,
+        apiKey: config.apiKey || process.env.ELEVEN_LABS_API_KEY || process.env.ELEVENLABS_API_KEY,
+      });
+    case 'mock':
+      return new MockSttProvider({
+        ...config,
+        transcripts: config.transcripts || process.env.MOCK_STT_TRANSCRIPTS?.split('|').map(line => line.trim()).filter(Boolean),
+      });
+    default:
+      throw new Error(`Unknown STT provider: ${name}`);
+  }
+};
+
+module.exports = {
+  STT_PROVIDER_NAMES,
+  createSttProvider,
+  SttStream,
+  UtteranceSttStream,
+  DeepgramSttProvider,
+  ElevenLabsScribeSttProvider,
+  MockSttProvider,
+};
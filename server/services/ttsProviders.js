@@ -0,0 +1,275 @@
+const nodeFetch = require('node-fetch');
+const { MULAW_SAMPLE_RATE, createPcm16ToMulawConverter, wavToMulaw } = require('../utils/audio.js');
+
+const ELEVENLABS_TTS_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+const SARVAM_TTS_URL = 'https://api.sarvam.ai/text-to-speech';
+const DEFAULT_ELEVENLABS_MODEL = 'eleven_turbo_v2_5';
+const DEFAULT_SARVAM_MODEL = 'bulbul:v1';
+// Sarvam speaks these languages, as "<code>-IN"
+const SARVAM_LANGUAGES = ['hi', 'en', 'bn', 'gu', 'kn', 'ml', 'mr', 'od', 'pa', 'ta', 'te'];
+const DEFAULT_SARVAM_LANGUAGE = 'hi';
+// ElevenLabs models that can be told which language to speak
+const ELEVENLABS_LANGUAGE_MODELS = /_v2_5$/;
+
+// How agents sound unless their voiceSettings say otherwise
+const DEFAULT_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarityBoost: 0.75,
+  style: 0,
+  speed: 1,
+  ttsModel: DEFAULT_ELEVENLABS_MODEL,
+  pronunciations: [],
+};
+// ElevenLabs accepts speeds in this range
+const MIN_SPEED = 0.7;
+const MAX_SPEED = 1.2;
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+/**
+ * An agent's voiceSettings with defaults filled in and values kept in range
+ */
+const resolveVoiceSettings = (settings) => {
+  const voice = settings || {};
+  return {
+    stability: clamp(voice.stability, 0, 1, DEFAULT_VOICE_SETTINGS.stability),
+    similarityBoost: clamp(voice.similarityBoost, 0, 1, DEFAULT_VOICE_SETTINGS.similarityBoost),
+    style: clamp(voice.style, 0, 1, DEFAULT_VOICE_SETTINGS.style),
+    speed: clamp(voice.speed, MIN_SPEED, MAX_SPEED, DEFAULT_VOICE_SETTINGS.speed),
+    ttsModel: voice.ttsModel || DEFAULT_VOICE_SETTINGS.ttsModel,
+    pronunciations: Array.isArray(voice.pronunciations)
+      ? voice.pronunciations.filter(rule => rule && String(rule.word || '').trim() && String(rule.say || '').trim())
+      : [],
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Apply an agent's pronunciation dictionary: each { word, say } rule replaces
+ * the whole word (any case) with how it should be spoken
+ */
+const applyPronunciations = (text, rules = []) => rules.reduce((spoken, rule) => {
+  const word = String(rule.word).trim();
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, 'giu');
+  return spoken.replace(pattern, (match, before) => `${before}${String(rule.say).trim()}`);
+}, text);
+
+/**
+ * Text-to-speech for the call handlers. Every provider hands back 8 kHz µ-law,
+ * the format calls are carried in, whatever its API returns: subclasses
+ * implement fetchAudio() and say what format the audio is in, and
+ * synthesize() converts it.
+ *
+ * Agents pick a provider through their voice id: "<provider>-<voice>" for
+ * every provider in TTS_PROVIDER_NAMES except ElevenLabs, whose voice ids are
+ * used as they are. A new provider is a subclass plus a case in
+ * createTtsProvider().
+ */
+class TtsProvider {
+  /**
+   * @param text - What to say, with the pronunciation dictionary applied
+   * @param options - { voiceId, signal, voiceSettings, language? } with language an ISO 639-1 code
+   * @returns { format: 'mulaw' | 'pcm16' | 'wav', sampleRate?, audio }
+   *   where audio is a Buffer or an async iterable of Buffers and sampleRate
+   *   is required for 'pcm16' and for 'mulaw' other than 8 kHz
+   */
+  async fetchAudio() {
+    throw new Error('fetchAudio() not implemented');
+  }
+
+  /**
+   * Start synthesizing. Resolves once the provider starts answering, with an
+   * async iterable of 8 kHz µ-law chunks.
+   * @param options - { voiceId, signal?, voiceSettings? (an agent's voiceSettings), language? }
+   */
+  async synthesize(text, options = {}) {
+    const voiceSettings = resolveVoiceSettings(options.voiceSettings);
+    const spoken = applyPronunciations(text, voiceSettings.pronunciations);
+    const result = await this.fetchAudio(spoken, { ...options, voiceSettings });
+    return toMulawStream(result);
+  }
+}
+
+const chunksOf = async function* (audio) {
+  if (Buffer.isBuffer(audio)) {
+    yield audio;
+    return;
+  }
+  for await (const chunk of audio) yield Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+};
+
+/**
+ * The one place provider audio is converted to what the transports expect
+ */
+const toMulawStream = async function* ({ format, sampleRate = MULAW_SAMPLE_RATE, audio }) {
+  if (format === 'mulaw' && sampleRate === MULAW_SAMPLE_RATE) {
+    yield* chunksOf(audio);
+  } else if (format === 'pcm16') {
+    const convert = createPcm16ToMulawConverter(sampleRate);
+    for await (const chunk of chunksOf(audio)) {
+      const mulaw = convert(chunk);
+      if (mulaw.length > 0) yield mulaw;
+    }
+  } else if (format === 'wav') {
+    // The header has to be read before any sample, so WAV is converted whole
+    const chunks = [];
+    for await (const chunk of chunksOf(audio)) chunks.push(chunk);
+    yield wavToMulaw(Buffer.concat(chunks));
+  } else {
+    throw new Error(`Unsupported TTS audio format: ${format} at ${sampleRate} Hz`);
+  }
+};
+
+class ElevenLabsTtsProvider extends TtsProvider {
+  constructor({ apiKey }) {
+    super();
+    if (!apiKey) throw new Error('Missing ElevenLabs API Key');
+    this.name = 'elevenlabs';
+    this.apiKey = apiKey;
+  }
+
+  async fetchAudio(text, { voiceId, signal, voiceSettings, language }) {
+    const response = await nodeFetch(`${ELEVENLABS_TTS_URL}/${voiceId}/stream?output_format=ulaw_8000`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'audio/basic',
+        'Content-Type': 'application/json',
+        'xi-api-key': this.apiKey,
+      },
+      body: JSON.stringify({
+        text,
+        model_id: voiceSettings.ttsModel,
+        // Otherwise the model guesses the language from the text
+        ...(language && ELEVENLABS_LANGUAGE_MODELS.test(voiceSettings.ttsModel) ? { language_code: language } : {}),
+        voice_settings: {
+          stability: voiceSettings.stability,
+          similarity_boost: voiceSettings.similarityBoost,
+          style: voiceSettings.style,
+          speed: voiceSettings.speed,
+          use_speaker_boost: true,
+        },
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`ElevenLabs API error: ${response.status} - ${await response.text()}`);
+    }
+    // Hand the body over while it is still downloading
+    return { format: 'mulaw', audio: response.body };
+  }
+}
+
+/**
+ * Sarvam AI (Indian languages). Answers with a base64 WAV per input text.
+ * Of the voice settings only the speed applies; the TTS model is ElevenLabs'.
+ */
+class SarvamTtsProvider extends TtsProvider {
+  constructor({ apiKey, model = DEFAULT_SARVAM_MODEL }) {
+    super();
+    if (!apiKey) throw new Error('Missing Sarvam API Key');
+    this.name = 'sarvam';
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  async fetchAudio(text, { voiceId, signal, language, voiceSettings }) {
+    const speaker = voiceId.split('-')[0];
+    const response = await nodeFetch(SARVAM_TTS_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'api-subscription-key': this.apiKey,
+      },
+      body: JSON.stringify({
+        inputs: [text],
+        target_language_code: `${SARVAM_LANGUAGES.includes(language) ? language : DEFAULT_SARVAM_LANGUAGE}-IN`,
+        speaker,
+        speech_sample_rate: MULAW_SAMPLE_RATE,
+        pace: voiceSettings.speed,
+        model: this.model,
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Sarvam API error: ${response.status} - ${await response.text()}`);
+    }
+    const data = await response.json();
+    if (!data.audios || data.audios.length === 0) throw new Error('Sarvam returned no audio');
+    return { format: 'wav', audio: Buffer.from(data.audios[0], 'base64') };
+  }
+}
+
+// ElevenLabs comes first: voice ids without a known provider prefix are ElevenLabs voices
+const TTS_PROVIDER_NAMES = ['elevenlabs', 'sarvam'];
+
+/**
+ * Create a TTS provider by name; API keys default to the environment
+ * @param name - 'elevenlabs' or 'sarvam'
+ * @param config - Provider options, e.g. { apiKey }
+ */
+const createTtsProvider = (name, config = {}) => {
+  switch (name) {
+    case 'elevenlabs':
+      return new ElevenLabsTtsProvider({
+        ...config,
+        apiKey: config.apiKey || process.env.ELEVEN_LABS_API_KEY || process.env.ELEVENLABS_API_KEY,
+      });
+    case 'sarvam':
+      return new SarvamTtsProvider({ ...config, apiKey: config.apiKey || process.env.SARVAM_API_KEY });
+    default:
+      throw new Error(`Unknown TTS provider: ${name}`);
+  }
+};
+
+/**
+ * Which provider speaks a voice id, and the provider's own id for the voice
+ * @returns { providerName, voiceId }
+ */
+const parseVoiceId = (voiceId) => {
+  const id = String(voiceId || '');
+  const providerName = TTS_PROVIDER_NAMES.slice(1).find(name => id.startsWith(`${name}-`));
+  return providerName
+    ? { providerName, voiceId: id.slice(providerName.length + 1) }
+    : { providerName: TTS_PROVIDER_NAMES[0], voiceId: id };
+};
+
+/**
+ * Providers by name, created on first use
+ */
+class TtsProviderRegistry {
+  constructor(create = createTtsProvider) {
+    this.create = create;
+    this.providers = new Map();
+  }
+
+  get(name) {
+    if (!this.providers.has(name)) this.providers.set(name, this.create(name));
+    return this.providers.get(name);
+  }
+
+  /**
+   * @returns { provider, voiceId } for an agent's voice id
+   */
+  resolve(agentVoiceId) {
+    const { providerName, voiceId } = parseVoiceId(agentVoiceId);
+    return { provider: this.get(providerName), voiceId };
+  }
+}
+
+module.exports = {
+  TTS_PROVIDER_NAMES,
+  DEFAULT_VOICE_SETTINGS,
+  resolveVoiceSettings,
+  applyPronunciations,
+  createTtsProvider,
+  parseVoiceId,
+  toMulawStream,
+  TtsProviderRegistry,
+  TtsProvider,
+  ElevenLabsTtsProvider,
+  SarvamTtsProvider,
+};
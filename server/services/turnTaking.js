@@ -0,0 +1,55 @@
+/**
+ * Turn-taking on top of a live STT stream (see sttProviders.js), shared by
+ * the call handlers so every transport reacts to the caller the same way:
+ * - the caller starting to talk (VAD or an interim transcript) while the
+ *   agent speaks is a barge-in
+ * - each final transcript is a caller turn for the agent to answer
+ *
+ * @param stream - An SttStream
+ * @param handlers - {
+ *   acceptsInput(): whether the caller should be listened to right now,
+ *   isAgentSpeaking(): whether an agent turn is being synthesized or played,
+ *   onVoiceActivity(): the caller spoke (resets inactivity timeouts),
+ *   onBargeIn(reason): stop the agent, the caller talked over it,
+ *   onCallerTurn(utterance): answer { text, start, duration, confidence, bargedIn },
+ *   screenTranscript?(utterance): return true to swallow a final transcript (e.g. voicemail),
+ *   onUtteranceEnd?(): the caller stopped talking, called even when input is not accepted
+ * }
+ */
+const bindTurnTaking = (stream, handlers) => {
+  stream.on('speechStarted', () => {
+    if (!handlers.acceptsInput()) return;
+    handlers.onVoiceActivity();
+    if (handlers.isAgentSpeaking()) handlers.onBargeIn('speech_started');
+  });
+
+  stream.on('utteranceEnd', () => {
+    if (handlers.onUtteranceEnd) handlers.onUtteranceEnd();
+  });
+
+  stream.on('transcript', async (result) => {
+    try {
+      const text = result.text?.trim();
+      if (!text || !handlers.acceptsInput()) return;
+      handlers.onVoiceActivity();
+
+      // Interim results are only used to detect the caller talking over the agent
+      if (!result.isFinal) {
+        if (handlers.isAgentSpeaking()) handlers.onBargeIn('interim_transcript');
+        return;
+      }
+
+      console.log(`🎤 "${text}"`);
+      const utterance = { ...result, text };
+      if (handlers.screenTranscript && handlers.screenTranscript(utterance)) return;
+
+      utterance.bargedIn = handlers.isAgentSpeaking();
+      if (utterance.bargedIn) handlers.onBargeIn('final_transcript');
+      await handlers.onCallerTurn(utterance);
+    } catch (err) {
+      console.error('❌ Transcript error:', err);
+    }
+  });
+};
+
+module.exports = { bindTurnTaking };
@@ -314,22 +314,37 @@ class TwilioService {
       const client = this.getClientForUser(twilioNumber.twilioAccountSid, twilioNumber.twilioAuthToken);
       
       // ✅ FIXED: Use correct webhook URLs that match server.js endpoints
-      const voiceUrl = `${params.appUrl}/api/twilio/voice?userId=${params.userId}&agentId=${params.agentId}&callId=${params.callId}`;
+      let voiceUrl = `${params.appUrl}/api/twilio/voice?userId=${params.userId}&agentId=${params.agentId}&callId=${params.callId}`;
+      // Campaign calls: the stream loads the campaign greeting and the lead's variables
+      if (params.campaignId) voiceUrl += `&campaignId=${params.campaignId}`;
+      if (params.recordId) voiceUrl += `&recordId=${params.recordId}`;
       const statusCallback = `${params.appUrl}/api/twilio/callback?userId=${params.userId}&callId=${params.callId}`;
       
       console.log('🔗 Creating Twilio call with webhooks:');
       console.log('   Voice URL:', voiceUrl);
       console.log('   Status Callback:', statusCallback);
       
-      const call = await client.calls.create({
+      const callOptions = {
         to: params.to,
         from: twilioNumber.phoneNumber,
         url: voiceUrl,
         statusCallback: statusCallback,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed', 'failed', 'busy', 'no-answer'],
         statusCallbackMethod: 'POST',
-        record: false // Set to true if you want call recording
-      });
+        // Calls are recorded from the media stream instead (settings.callRecording)
+        record: false
+      };
+
+      // Answering machine detection runs in the background while the agent is
+      // already connected; the result is posted to /api/twilio/amd
+      if (params.machineDetection) {
+        callOptions.machineDetection = 'DetectMessageEnd';
+        callOptions.asyncAmd = 'true';
+        callOptions.asyncAmdStatusCallback = `${params.appUrl}/api/twilio/amd?userId=${params.userId}&callId=${params.callId}`;
+        callOptions.asyncAmdStatusCallbackMethod = 'POST';
+      }
+
+      const call = await client.calls.create(callOptions);
       
       console.log('✅ Twilio call created:', call.sid);
       return call;
@@ -339,6 +354,53 @@ class TwilioService {
     }
   }
 
+  // Get the Twilio number (with its account credentials) a call was placed from
+  async getTwilioNumberForCall(callId) {
+    const [rows] = await database.execute(
+      'SELECT user_id, twilio_number_id FROM calls WHERE id = ?',
+      [callId]
+    );
+    if (!rows || rows.length === 0 || !rows[0].twilio_number_id) {
+      throw new Error(`No Twilio number recorded for call ${callId}`);
+    }
+
+    const twilioNumber = await this.getTwilioNumberById(rows[0].user_id, rows[0].twilio_number_id);
+    if (!twilioNumber) throw new Error('Twilio number not found');
+    return twilioNumber;
+  }
+
+  // Get a Twilio client for the account that placed a call
+  async getClientForCall(callId) {
+    const twilioNumber = await this.getTwilioNumberForCall(callId);
+    return this.getClientForUser(twilioNumber.twilioAccountSid, twilioNumber.twilioAuthToken);
+  }
+
+  // Hang up a live call
+  async endCall(callId, callSid) {
+    const client = await this.getClientForCall(callId);
+    await client.calls(callSid).update({ status: 'completed' });
+    console.log(`📴 Ended call ${callSid}`);
+  }
+
+  // Transfer a live call: the media stream ends and the caller is dialed
+  // through to the destination. With a whisperUrl (warm transfer) the human
+  // hears that TwiML before the two sides are bridged.
+  async transferCall(callId, callSid, { phoneNumber, actionUrl, whisperUrl }) {
+    const twilioNumber = await this.getTwilioNumberForCall(callId);
+    const client = this.getClientForUser(twilioNumber.twilioAccountSid, twilioNumber.twilioAuthToken);
+
+    const response = new twilio.twiml.VoiceResponse();
+    const dial = response.dial({ callerId: twilioNumber.phoneNumber, action: actionUrl, method: 'POST' });
+    if (whisperUrl) {
+      dial.number({ url: whisperUrl, method: 'POST' }, phoneNumber);
+    } else {
+      dial.number(phoneNumber);
+    }
+
+    await client.calls(callSid).update({ twiml: response.toString() });
+    console.log(`🔀 Transferred call ${callSid} to ${phoneNumber}`);
+  }
+
   async getUserTwilioAccounts(userId) {
     try {
       const [rows] = await database.execute(
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const AgentService = require('./agentService.js');
+const CallTranscriptService = require('./callTranscriptService.js');
+
+const CALL_ENDED_EVENT = 'call.ended';
+// Attempts per delivery; retries wait 5s, 10s, 20s, 40s
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5000;
+const DELIVERY_TIMEOUT_MS = 10000;
+// How long to wait for Twilio's final status (duration) before sending anyway
+const STATUS_GRACE_MS = 30000;
+// Kept in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+/**
+ * Sends the end-of-call webhooks of a finished call and keeps a log of
+ * every delivery.
+ *
+ * A call can have two: the agent's settings.endOfCallWebhook and the user's
+ * global end-of-call webhook (SettingsPage). Each request is signed with the
+ * user's signing secret:
+ *   X-Ziya-Timestamp: unix seconds
+ *   X-Ziya-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * Failed deliveries are retried with exponential backoff; retries are
+ * timers, so resumeDeliveries() picks up the unfinished ones after a restart.
+ */
+class WebhookService {
+  constructor(mysqlPool) {
+    this.mysqlPool = mysqlPool;
+    this.agentService = new AgentService(mysqlPool);
+    this.callTranscriptService = new CallTranscriptService(mysqlPool);
+    this.callsInProgress = new Set();
+  }
+
+  /**
+   * The user's global webhooks and signing secret; the secret is created on first use
+   * @returns { prefetchDataWebhook, endOfCallWebhook, signingSecret }
+   */
+  async getSettings(userId) {
+    const [rows] = await this.mysqlPool.execute(
+      'SELECT prefetch_data_webhook, end_of_call_webhook, signing_secret FROM user_webhook_settings WHERE user_id = ?',
+      [userId]
+    );
+    if (rows.length > 0) {
+      return {
+        prefetchDataWebhook: rows[0].prefetch_data_webhook || '',
+        endOfCallWebhook: rows[0].end_of_call_webhook || '',
+        signingSecret: rows[0].signing_secret,
+      };
+    }
+
+    const signingSecret = this.generateSecret();
+    await this.mysqlPool.execute(
+      'INSERT INTO user_webhook_settings (user_id, signing_secret) VALUES (?, ?)',
+      [userId, signingSecret]
+    );
+    return { prefetchDataWebhook: '', endOfCallWebhook: '', signingSecret };
+  }
+
+  async saveSettings(userId, { prefetchDataWebhook, endOfCallWebhook }) {
+    const current = await this.getSettings(userId);
+    await this.mysqlPool.execute(
+      'UPDATE user_webhook_settings SET prefetch_data_webhook = ?, end_of_call_webhook = ? WHERE user_id = ?',
+      [(prefetchDataWebhook || '').trim() || null, (endOfCallWebhook || '').trim() || null, userId]
+    );
+    return {
+      ...current,
+      prefetchDataWebhook: (prefetchDataWebhook || '').trim(),
+      endOfCallWebhook: (endOfCallWebhook || '').trim(),
+    };
+  }
+
+  async rotateSecret(userId) {
+    await this.getSettings(userId);
+    const signingSecret = this.generateSecret();
+    await this.mysqlPool.execute(
+      'UPDATE user_webhook_settings SET signing_secret = ? WHERE user_id = ?',
+      [signingSecret, userId]
+    );
+    return this.getSettings(userId);
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Send the end-of-call webhooks of a call, once per webhook.
+   *
+   * Called both when the media stream has stored the transcript and when
+   * Twilio reports the call completed (once the stream is gone); it waits for
+   * Twilio's final status unless STATUS_GRACE_MS has passed.
+   * @param options - { force: don't wait for Twilio's final status }
+   */
+  async deliverCallEnded(callId, { force = false } = {}) {
+    if (this.callsInProgress.has(callId)) return;
+    this.callsInProgress.add(callId);
+
+    try {
+      const [calls] = await this.mysqlPool.execute('SELECT * FROM calls WHERE id = ?', [callId]);
+      const call = calls[0];
+      if (!call) return;
+      if (!call.ended_at && !force) {
+        setTimeout(() => {
+          this.deliverCallEnded(callId, { force: true })
+            .catch(error => console.error('Error sending end-of-call webhooks:', error));
+        }, STATUS_GRACE_MS);
+        return;
+      }
+
+      const targets = await this.getCallEndedTargets(call);
+      if (targets.length === 0) return;
+
+      const [sent] = await this.mysqlPool.execute(
+        'SELECT webhook_url FROM webhook_deliveries WHERE call_id = ? AND event = ?',
+        [callId, CALL_ENDED_EVENT]
+      );
+      const pending = targets.filter(target => !sent.some(row => row.webhook_url === target.url));
+      if (pending.length === 0) return;
+
+      const payload = await this.buildCallEndedPayload(call);
+      for (const target of pending) {
+        const deliveryId = uuidv4();
+        await this.mysqlPool.execute(
+          `INSERT INTO webhook_deliveries
+           (id, user_id, call_id, agent_id, scope, webhook_url, event, payload, status, attempts)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0)`,
+          [deliveryId, call.user_id, callId, call.agent_id, target.scope, target.url, CALL_ENDED_EVENT, JSON.stringify(payload)]
+        );
+        this.attemptDelivery(deliveryId, call.user_id, target.url, payload)
+          .catch(error => console.error('Error delivering webhook:', error));
+      }
+    } finally {
+      this.callsInProgress.delete(callId);
+    }
+  }
+
+  /**
+   * The agent's end-of-call webhook and the user's global one (each URL once)
+   */
+  async getCallEndedTargets(call) {
+    const targets = [];
+    const agent = call.agent_id ? await this.agentService.getAgentById(call.user_id, call.agent_id) : null;
+    const agentUrl = agent?.settings?.endOfCallWebhook?.trim();
+    if (agentUrl) targets.push({ scope: 'agent', url: agentUrl });
+
+    const { endOfCallWebhook } = await this.getSettings(call.user_id);
+    if (endOfCallWebhook && endOfCallWebhook !== agentUrl) targets.push({ scope: 'global', url: endOfCallWebhook });
+    return targets;
+  }
+
+  async buildCallEndedPayload(call) {
+    const transcript = await this.callTranscriptService.getTranscript(call.id);
+
+    const [toolRuns] = await this.mysqlPool.execute(
+      'SELECT tool_id, tool_name, status, payload FROM call_tool_runs WHERE call_id = ? ORDER BY created_at ASC',
+      [call.id]
+    );
+
+    let cost = null;
+    try {
+      const [usage] = await this.mysqlPool.execute(
+        'SELECT SUM(total_cost) AS total FROM service_usage WHERE call_id = ?',
+        [call.id]
+      );
+      cost = usage[0]?.total !== null && usage[0]?.total !== undefined ? Number(usage[0].total) : null;
+    } catch (error) {
+      console.error('Error reading call cost:', error.message);
+    }
+
+    return {
+      event: CALL_ENDED_EVENT,
+      callId: call.id,
+      callSid: call.call_sid,
+      agentId: call.agent_id,
+      campaignId: call.campaign_id || null,
+      from: call.from_number,
+      to: call.to_number,
+      status: call.status,
+      answeredBy: call.answered_by || null,
+      startedAt: call.started_at,
+      endedAt: call.ended_at,
+      duration: call.duration || (call.started_at && call.ended_at
+        ? Math.round((new Date(call.ended_at) - new Date(call.started_at)) / 1000)
+        : 0),
+      disposition: call.disposition || null,
+      dispositionDetails: call.disposition_details || null,
+      transfer: transcript?.transfer || null,
+      recordingUrl: call.recording_url || null,
+      transcript: {
+        text: call.transcript || '',
+        turns: (transcript?.turns || []).map(turn => ({
+          speaker: turn.speaker,
+          text: turn.text,
+          startedAt: turn.startedAt,
+          endedAt: turn.endedAt,
+          interrupted: turn.interrupted,
+        })),
+      },
+      // Parameters the post-call tools extracted from the conversation
+      extractedData: toolRuns.map(run => ({
+        toolId: run.tool_id,
+        toolName: run.tool_name,
+        status: run.status,
+        data: typeof run.payload === 'string' ? JSON.parse(run.payload) : run.payload,
+      })),
+      cost,
+    };
+  }
+
+  /**
+   * POST one delivery; schedules the next attempt if it fails
+   */
+  async attemptDelivery(deliveryId, userId, url, payload) {
+    const [rows] = await this.mysqlPool.execute('SELECT attempts FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    const attempts = (rows[0]?.attempts || 0) + 1;
+
+    const { signingSecret } = await this.getSettings(userId);
+    const body = JSON.stringify({ ...payload, deliveryId, sentAt: new Date().toISOString() });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Ziya-Event': payload.event,
+          'X-Ziya-Delivery': deliveryId,
+          'X-Ziya-Timestamp': String(timestamp),
+          'X-Ziya-Signature': this.sign(signingSecret, timestamp, body),
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        transformResponse: [data => data],
+        validateStatus: () => true,
+      });
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      if (response.status < 200 || response.status >= 300) error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const delivered = !error;
+    const retry = !delivered && attempts < MAX_ATTEMPTS;
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+    await this.mysqlPool.execute(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?,
+           next_attempt_at = ?, delivered_at = ?
+       WHERE id = ?`,
+      [
+        delivered ? 'success' : retry ? 'retrying' : 'failed',
+        attempts,
+        responseStatus,
+        responseBody ? responseBody.substring(0, MAX_RESPONSE_BODY_LENGTH) : null,
+        error,
+        retry ? new Date(Date.now() + delay) : null,
+        delivered ? new Date() : null,
+        deliveryId,
+      ]
+    );
+
+    if (delivered) {
+      console.log(`📤 Webhook ${payload.event} delivered to ${url}`);
+    } else if (retry) {
+      console.warn(`⚠️  Webhook ${payload.event} to ${url} failed (${error}), retrying in ${delay / 1000}s`);
+      setTimeout(() => {
+        this.attemptDelivery(deliveryId, userId, url, payload)
+          .catch(err => console.error('Error delivering webhook:', err));
+      }, delay);
+    } else {
+      console.error(`❌ Webhook ${payload.event} to ${url} failed after ${attempts} attempts: ${error}`);
+    }
+  }
+
+  /**
+   * Reschedule the deliveries a restart interrupted ('pending' or 'retrying'),
+   * each at its next_attempt_at or right away if that has passed
+   */
+  async resumeDeliveries() {
+    const [rows] = await this.mysqlPool.execute(
+      `SELECT id, user_id, webhook_url, payload, next_attempt_at
+       FROM webhook_deliveries WHERE status IN ('pending', 'retrying')`
+    );
+    for (const row of rows) {
+      const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+      const delay = row.next_attempt_at ? Math.max(0, new Date(row.next_attempt_at) - Date.now()) : 0;
+      setTimeout(() => {
+        this.attemptDelivery(row.id, row.user_id, row.webhook_url, payload)
+          .catch(err => console.error('Error delivering webhook:', err));
+      }, delay);
+    }
+    if (rows.length > 0) console.log(`📤 Resuming ${rows.length} unfinished webhook deliveries`);
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param filters - { webhookUrl?, callId?, limit? }
+   */
+  async getDeliveries(userId, { webhookUrl, callId, limit = 50 } = {}) {
+    const conditions = ['user_id = ?'];
+    const values = [userId];
+    if (webhookUrl) {
+      conditions.push('webhook_url = ?');
+      values.push(webhookUrl);
+    }
+    if (callId) {
+      conditions.push('call_id = ?');
+      values.push(callId);
+    }
+    const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [rows] = await this.mysqlPool.execute(
+      `SELECT id, call_id, agent_id, scope, webhook_url, event, status, attempts, response_status,
+              response_body, error, next_attempt_at, delivered_at, created_at, updated_at
+       FROM webhook_deliveries WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC LIMIT ${rowLimit}`,
+      values
+    );
+    return rows.map(row => ({
+      id: row.id,
+      callId: row.call_id,
+      agentId: row.agent_id,
+      scope: row.scope,
+      webhookUrl: row.webhook_url,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      responseBody: row.response_body,
+      error: row.error,
+      nextAttemptAt: row.next_attempt_at,
+      deliveredAt: row.delivered_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
+  }
+}
+
+module.exports = WebhookService;
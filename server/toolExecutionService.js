@@ -51,6 +51,9 @@ exports.ToolExecutionService = void 0;
 var types_js_1 = require("./types.js");
 var axios_1 = require("axios");
 var googleSheetsService_js_1 = require("./googleSheetsService.js");
+// Webhooks that take the tool's data as a JSON body; GET sends it as query parameters
+var BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+var WEBHOOK_TIMEOUT_MS = 10000;
 var ToolExecutionService = /** @class */ (function () {
     function ToolExecutionService() {
         this.googleSheetsService = new googleSheetsService_js_1.default();
@@ -69,7 +72,7 @@ var ToolExecutionService = /** @class */ (function () {
                         case types_js_1.ToolType.GoogleSheets:
                             return [2 /*return*/, this.executeGoogleSheetsTool(tool, collectedData)];
                         case types_js_1.ToolType.Webhook:
-                            return [2 /*return*/, this.executeWebhookTool(tool, collectedData)];
+                            return [2 /*return*/, this.executeWebhookTool(tool, collectedData).then(function (result) { return result.success; })];
                         case types_js_1.ToolType.WebForm:
                             // WebForm tools are handled in the UI, not executed server-side
                             return [2 /*return*/, true];
@@ -142,7 +145,7 @@ var ToolExecutionService = /** @class */ (function () {
      * Execute a webhook tool
      * @param tool The webhook tool to execute
      * @param collectedData The data collected from the user
-     * @returns Promise<boolean> indicating success
+     * @returns Promise<{ success: boolean, data?: any, error?: string }> with the webhook's response body
      */
     ToolExecutionService.prototype.executeWebhookTool = function (tool, collectedData) {
         return __awaiter(this, void 0, void 0, function () {
@@ -154,7 +157,7 @@ var ToolExecutionService = /** @class */ (function () {
                         if (!tool.webhookUrl) {
                             throw new Error('Webhook URL is missing');
                         }
-                        method = tool.method || 'POST';
+                        method = (tool.method || 'POST').toUpperCase();
                         headers = __assign({ 'Content-Type': 'application/json' }, ((tool.headers || []).reduce(function (acc, header) {
                             acc[header.key] = header.value;
                             return acc;
@@ -163,20 +166,45 @@ var ToolExecutionService = /** @class */ (function () {
                                 method: method,
                                 url: tool.webhookUrl,
                                 headers: headers,
-                                data: method === 'POST' ? collectedData : undefined
+                                params: method === 'GET' ? collectedData : undefined,
+                                data: BODY_METHODS.includes(method) ? collectedData : undefined,
+                                timeout: WEBHOOK_TIMEOUT_MS
                             })];
                     case 1:
                         response = _a.sent();
-                        return [2 /*return*/, response.status >= 200 && response.status < 300];
+                        return [2 /*return*/, { success: response.status >= 200 && response.status < 300, data: response.data }];
                     case 2:
                         error_2 = _a.sent();
-                        console.error('Error executing webhook tool:', error_2);
-                        return [2 /*return*/, false];
+                        console.error("Error executing webhook tool ".concat(tool.name, ":"), error_2.message);
+                        return [2 /*return*/, { success: false, error: error_2.message }];
                     case 3: return [2 /*return*/];
                 }
             });
         });
     };
+    /**
+     * Execute a tool on behalf of the model during a live call
+     * @param tool The tool to execute
+     * @param args The arguments the model extracted for the tool's parameters
+     * @returns Promise<{ success: boolean, data?: any, error?: string }> to feed back to the model
+     */
+    ToolExecutionService.prototype.runTool = function (tool, args) {
+        return __awaiter(this, void 0, void 0, function () {
+            var _a;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        // Webhook responses are returned so the model can use them (e.g. order lookups)
+                        if (tool.type === types_js_1.ToolType.Webhook) {
+                            return [2 /*return*/, this.executeWebhookTool(tool, args)];
+                        }
+                        _a = {};
+                        return [4 /*yield*/, this.executeTool(tool, args)];
+                    case 1: return [2 /*return*/, (_a.success = _b.sent(), _a)];
+                }
+            });
+        });
+    };
     return ToolExecutionService;
 }());
 exports.ToolExecutionService = ToolExecutionService;
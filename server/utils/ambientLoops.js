@@ -0,0 +1,161 @@
+const { MULAW_SAMPLE_RATE } = require('./audio.js');
+
+// Bundled loops are generated on first use rather than shipped as recordings
+const LOOP_SECONDS = 12;
+// The end of each loop is faded into its start so it repeats without a click
+const CROSSFADE_SECONDS = 0.5;
+// Loops are normalized to this RMS (16-bit PCM), about -24 dBFS, before the agent's level applies
+const TARGET_RMS = 2000;
+
+/**
+ * Bundled ambient loops: each is a mix of generated layers, [layer, gain]
+ */
+const AMBIENT_PRESETS = {
+  office: { name: 'Office', layers: [['pink', 0.3], ['murmur', 0.2], ['typing', 0.35]] },
+  'call-center': { name: 'Call Centre', layers: [['pink', 0.2], ['murmur', 0.6], ['typing', 0.2]] },
+  cafe: { name: 'Cafe', layers: [['brown', 0.3], ['murmur', 0.45], ['clinks', 0.25]] },
+  restaurant: { name: 'Restaurant', layers: [['brown', 0.25], ['murmur', 0.65], ['clinks', 0.3]] },
+  park: { name: 'Park', layers: [['wind', 0.5], ['birds', 0.3]] },
+  home: { name: 'Home', layers: [['brown', 0.5], ['pink', 0.1]] },
+};
+
+// Small seeded PRNG so every process generates the same loops
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Generators fill a Float32Array of roughly unit loudness
+ */
+const LAYERS = {
+  pink: (out, random) => {
+    // Paul Kellet's economy filter
+    let b0 = 0, b1 = 0, b2 = 0;
+    for (let i = 0; i < out.length; i++) {
+      const white = random() * 2 - 1;
+      b0 = 0.99765 * b0 + white * 0.099046;
+      b1 = 0.963 * b1 + white * 0.2965164;
+      b2 = 0.57 * b2 + white * 1.0526913;
+      out[i] = (b0 + b1 + b2 + white * 0.1848) * 0.25;
+    }
+  },
+  brown: (out, random) => {
+    let last = 0;
+    for (let i = 0; i < out.length; i++) {
+      last = (last + 0.02 * (random() * 2 - 1)) / 1.02;
+      out[i] = last * 3.5;
+    }
+  },
+  // Distant voices: speech-band noise switched on and off at syllable rate by a few talkers
+  murmur: (out, random) => {
+    const talkers = Array.from({ length: 5 }, () => ({ level: 0, target: 0, next: 0 }));
+    let low = 0, high = 0;
+    for (let i = 0; i < out.length; i++) {
+      let envelope = 0;
+      for (const talker of talkers) {
+        if (i >= talker.next) {
+          talker.target = random() < 0.6 ? 0.3 + random() * 0.7 : 0;
+          talker.next = i + Math.floor(MULAW_SAMPLE_RATE * (0.12 + random() * 0.25));
+        }
+        talker.level += (talker.target - talker.level) * 0.002;
+        envelope += talker.level;
+      }
+      const white = random() * 2 - 1;
+      low += (white - low) * 0.3;
+      high += (low - high) * 0.05;
+      out[i] = (low - high) * envelope;
+    }
+  },
+  typing: (out, random) => {
+    let i = 0;
+    while (i < out.length) {
+      // Bursts of keystrokes with pauses in between
+      const keys = random() < 0.3 ? 0 : 3 + Math.floor(random() * 12);
+      for (let key = 0; key < keys && i < out.length; key++) {
+        const length = Math.floor(MULAW_SAMPLE_RATE * (0.004 + random() * 0.006));
+        const loudness = 0.5 + random() * 0.5;
+        for (let j = 0; j < length && i + j < out.length; j++) {
+          out[i + j] += (random() * 2 - 1) * loudness * Math.exp(-j / (length / 4));
+        }
+        i += Math.floor(MULAW_SAMPLE_RATE * (0.08 + random() * 0.15));
+      }
+      i += Math.floor(MULAW_SAMPLE_RATE * (0.5 + random() * 2));
+    }
+  },
+  // Cups and cutlery
+  clinks: (out, random) => {
+    for (let i = Math.floor(random() * MULAW_SAMPLE_RATE); i < out.length; i += Math.floor(MULAW_SAMPLE_RATE * (0.7 + random() * 2.5))) {
+      const frequency = 1500 + random() * 1900;
+      const length = Math.floor(MULAW_SAMPLE_RATE * 0.25);
+      for (let j = 0; j < length && i + j < out.length; j++) {
+        out[i + j] += Math.sin(2 * Math.PI * frequency * j / MULAW_SAMPLE_RATE) * Math.exp(-j / (length / 6)) * 2;
+      }
+    }
+  },
+  wind: (out, random) => {
+    let level = 0.5, target = 0.5, smooth = 0;
+    for (let i = 0; i < out.length; i++) {
+      if (i % MULAW_SAMPLE_RATE === 0) target = 0.2 + random() * 0.8;
+      level += (target - level) * 0.0002;
+      smooth += ((random() * 2 - 1) - smooth) * 0.05;
+      out[i] = smooth * level * 3;
+    }
+  },
+  // Short upward chirps
+  birds: (out, random) => {
+    for (let i = Math.floor(random() * MULAW_SAMPLE_RATE); i < out.length; i += Math.floor(MULAW_SAMPLE_RATE * (0.4 + random() * 2))) {
+      const start = 2000 + random() * 1000;
+      const sweep = 500 + random() * 800;
+      const length = Math.floor(MULAW_SAMPLE_RATE * (0.05 + random() * 0.1));
+      let phase = 0;
+      for (let j = 0; j < length && i + j < out.length; j++) {
+        phase += 2 * Math.PI * (start + sweep * j / length) / MULAW_SAMPLE_RATE;
+        out[i + j] += Math.sin(phase) * Math.sin(Math.PI * j / length);
+      }
+    }
+  },
+};
+
+/**
+ * Scale a loop to TARGET_RMS so every loop sounds as loud at the same level
+ * @param samples - Float32Array or Int16Array of 8 kHz audio
+ * @returns Int16Array
+ */
+const normalizeLoop = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const gain = TARGET_RMS / (Math.sqrt(sum / samples.length) || 1);
+  return Int16Array.from(samples, value => Math.max(-32768, Math.min(32767, Math.round(value * gain))));
+};
+
+/**
+ * Generate a bundled ambient loop
+ * @param presetId - A key of AMBIENT_PRESETS
+ * @returns 8 kHz 16-bit PCM samples, or null for an unknown preset
+ */
+const generateAmbientLoop = (presetId) => {
+  const preset = AMBIENT_PRESETS[presetId];
+  if (!preset) return null;
+
+  const loopLength = LOOP_SECONDS * MULAW_SAMPLE_RATE;
+  const mix = new Float32Array(loopLength + CROSSFADE_SECONDS * MULAW_SAMPLE_RATE);
+  preset.layers.forEach(([layer, gain], index) => {
+    const samples = new Float32Array(mix.length);
+    LAYERS[layer](samples, createRandom(index + 1));
+    for (let i = 0; i < mix.length; i++) mix[i] += samples[i] * gain;
+  });
+
+  const fade = mix.length - loopLength;
+  const loop = mix.subarray(0, loopLength);
+  for (let i = 0; i < fade; i++) loop[i] = loop[i] * (i / fade) + mix[loopLength + i] * (1 - i / fade);
+  return normalizeLoop(loop);
+};
+
+module.exports = {
+  AMBIENT_PRESETS,
+  generateAmbientLoop,
+  normalizeLoop,
+};
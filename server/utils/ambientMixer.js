@@ -0,0 +1,102 @@
+const { MULAW_SAMPLE_RATE, decodeMulaw, encodeMulaw } = require('./audio.js');
+
+// Twilio plays µ-law 8kHz audio in 20ms frames
+const FRAME_MS = 20;
+const FRAME_SAMPLES = (MULAW_SAMPLE_RATE / 1000) * FRAME_MS;
+// Frames sent ahead of real time so timer jitter never starves the line
+const LEAD_FRAMES = 3;
+
+/**
+ * Paces a call's outbound audio in real time and mixes an ambient loop
+ * under it, so the background keeps playing while the agent speaks and in
+ * the silences between turns. Agent audio and marks are queued in order;
+ * each mark is sent once the audio before it has gone out.
+ */
+class AmbientMixer {
+  /**
+   * @param options - {
+   *   loop: Int16Array of 8 kHz PCM played over and over,
+   *   level: 0-1 volume of the loop,
+   *   sendFrame(mulaw): send one 20ms frame,
+   *   sendMark(name): send a mark
+   * }
+   */
+  constructor({ loop, level, sendFrame, sendMark }) {
+    this.loop = loop;
+    this.level = Math.min(1, Math.max(0, Number(level) || 0));
+    this.sendFrame = sendFrame;
+    this.sendMark = sendMark;
+    // Agent audio (µ-law Buffers) and { mark } entries, in the order they were queued
+    this.queue = [];
+    this.loopPosition = 0;
+    this.framesSent = 0;
+    this.startedAt = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.timer = setInterval(() => this.tick(), FRAME_MS);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.queue = [];
+  }
+
+  enqueue(audio) {
+    if (audio.length > 0) this.queue.push(audio);
+  }
+
+  mark(name) {
+    this.queue.push({ mark: name });
+  }
+
+  /**
+   * Drop the agent audio that hasn't been sent (barge-in). Its marks are
+   * still sent, after the caller's clear, as Twilio does for audio it drops.
+   */
+  clear() {
+    const marks = this.queue.filter(entry => !Buffer.isBuffer(entry));
+    this.queue = [];
+    marks.forEach(entry => this.sendMark(entry.mark));
+  }
+
+  tick() {
+    const due = Math.floor((Date.now() - this.startedAt) / FRAME_MS) + LEAD_FRAMES;
+    while (this.framesSent < due) {
+      this.sendFrame(this.nextFrame());
+      this.framesSent++;
+    }
+  }
+
+  nextFrame() {
+    const frame = new Int16Array(FRAME_SAMPLES);
+    let filled = 0;
+    while (filled < FRAME_SAMPLES && this.queue.length > 0) {
+      const head = this.queue[0];
+      if (!Buffer.isBuffer(head)) {
+        // Audio already in this frame goes out first; the mark follows in the next one
+        if (filled > 0) break;
+        this.queue.shift();
+        this.sendMark(head.mark);
+        continue;
+      }
+      const take = Math.min(FRAME_SAMPLES - filled, head.length);
+      frame.set(decodeMulaw(head.subarray(0, take)), filled);
+      filled += take;
+      if (take === head.length) this.queue.shift();
+      else this.queue[0] = head.subarray(take);
+    }
+
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      frame[i] = Math.max(-32768, Math.min(32767, frame[i] + this.loop[this.loopPosition] * this.level));
+      this.loopPosition = (this.loopPosition + 1) % this.loop.length;
+    }
+    return encodeMulaw(frame);
+  }
+}
+
+module.exports = { AmbientMixer };
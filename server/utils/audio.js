@@ -0,0 +1,228 @@
+// Twilio media streams carry 8 kHz µ-law audio
+const MULAW_SAMPLE_RATE = 8000;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// DTMF keypad: [low group Hz, high group Hz]
+const DTMF_FREQUENCIES = {
+  '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+  '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+  '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+  '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633],
+};
+const DTMF_TONE_MS = 120;
+const DTMF_GAP_MS = 80;
+// "w" in a digit string waits this long (e.g. for an IVR menu to load)
+const DTMF_PAUSE_MS = 500;
+// Amplitude of each of the two tones, well below clipping when summed
+const DTMF_AMPLITUDE = 0.35 * 32767;
+
+/**
+ * Encode one signed 16-bit PCM sample as G.711 µ-law
+ */
+const linearToMulaw = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+/**
+ * Decode one G.711 µ-law byte to a signed 16-bit PCM sample
+ */
+const mulawToLinear = (byte) => {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+};
+
+/**
+ * Decode a µ-law buffer to signed 16-bit PCM samples
+ */
+const decodeMulaw = (buffer) => {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) samples[i] = mulawToLinear(buffer[i]);
+  return samples;
+};
+
+/**
+ * Wrap signed 16-bit mono PCM samples in a WAV container
+ */
+const encodeWav = (samples, sampleRate = MULAW_SAMPLE_RATE) => {
+  const header = Buffer.alloc(44);
+  const dataBytes = samples.length * 2;
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataBytes)]);
+};
+
+/**
+ * Encode signed 16-bit PCM samples as a µ-law buffer
+ * @param samples - Int16Array (or any array of numbers in the 16-bit range)
+ */
+const encodeMulaw = (samples) => {
+  const output = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) output[i] = linearToMulaw(samples[i]);
+  return output;
+};
+
+/**
+ * Convert signed 16-bit little-endian PCM (e.g. browser microphone audio) to
+ * 8 kHz µ-law, averaging the samples that fall into each output sample
+ * @param buffer - PCM16 mono audio
+ * @param sampleRate - Sample rate of the input; lower rates are upsampled by repeating samples
+ */
+const pcm16ToMulaw = (buffer, sampleRate) => {
+  const inputSamples = Math.floor(buffer.length / 2);
+  const ratio = sampleRate / MULAW_SAMPLE_RATE;
+  const output = new Int16Array(Math.floor(inputSamples / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const from = Math.floor(i * ratio);
+    const to = Math.max(from + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += buffer.readInt16LE(j * 2);
+    output[i] = sum / (to - from);
+  }
+  return encodeMulaw(output);
+};
+
+/**
+ * Streaming version of pcm16ToMulaw for audio that arrives in chunks: bytes
+ * that don't make up a whole output sample are kept for the next chunk
+ * @param sampleRate - Sample rate of the PCM16 mono input
+ * @returns A function taking the next PCM16 chunk and returning its µ-law audio
+ */
+const createPcm16ToMulawConverter = (sampleRate) => {
+  const ratio = sampleRate / MULAW_SAMPLE_RATE;
+  let leftover = Buffer.alloc(0);
+  return (chunk) => {
+    const buffer = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+    const outputSamples = Math.floor(Math.floor(buffer.length / 2) / ratio);
+    const consumedBytes = Math.round(outputSamples * ratio) * 2;
+    leftover = buffer.subarray(consumedBytes);
+    return pcm16ToMulaw(buffer.subarray(0, consumedBytes), sampleRate);
+  };
+};
+
+/**
+ * Read a WAV file's format and sample data, walking its chunks rather than
+ * assuming a 44-byte header
+ * @returns { audioFormat, channels, sampleRate, bitsPerSample, data }
+ */
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk before fmt chunk');
+      // Streamed WAVs may leave the size unset
+      return { ...format, data: buffer.subarray(body, Math.min(buffer.length, body + size)) };
+    }
+    // Chunks are padded to an even size
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+};
+
+/**
+ * Convert a 16-bit PCM or µ-law WAV file of any sample rate to 8 kHz µ-law.
+ * Only the first channel of multi-channel files is kept.
+ */
+const wavToMulaw = (buffer) => {
+  const { audioFormat, channels, sampleRate, bitsPerSample, data } = parseWav(buffer);
+  // 0xFFFE (WAVE_FORMAT_EXTENSIBLE) is used by some encoders for plain PCM
+  const isPcm16 = (audioFormat === 1 || audioFormat === 0xfffe) && bitsPerSample === 16;
+  const isMulaw = audioFormat === 7 && bitsPerSample === 8;
+  if (!isPcm16 && !isMulaw) {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample} bit)`);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  let samples = data;
+  if (channels > 1) {
+    const frames = Math.floor(data.length / (bytesPerSample * channels));
+    samples = Buffer.alloc(frames * bytesPerSample);
+    for (let i = 0; i < frames; i++) {
+      data.copy(samples, i * bytesPerSample, i * bytesPerSample * channels, (i * channels + 1) * bytesPerSample);
+    }
+  }
+
+  if (isMulaw && sampleRate === MULAW_SAMPLE_RATE) return samples;
+  const pcm = isMulaw ? Buffer.from(decodeMulaw(samples).buffer) : samples;
+  return pcm16ToMulaw(pcm, sampleRate);
+};
+
+const isDtmfDigit = (digit) => Object.prototype.hasOwnProperty.call(DTMF_FREQUENCIES, String(digit).toUpperCase());
+
+/**
+ * Render a string of keypad digits as in-band DTMF tones
+ * @param digits - 0-9, *, #, A-D; "w" inserts a half-second pause, other characters are ignored
+ * @returns 8 kHz µ-law audio ready to send to Twilio
+ */
+const generateDtmfTones = (digits) => {
+  const samplesPerMs = MULAW_SAMPLE_RATE / 1000;
+  const samples = [];
+  const silence = (ms) => {
+    for (let i = 0; i < ms * samplesPerMs; i++) samples.push(0);
+  };
+
+  for (const char of String(digits || '')) {
+    if (char.toLowerCase() === 'w') {
+      silence(DTMF_PAUSE_MS);
+      continue;
+    }
+    const frequencies = DTMF_FREQUENCIES[char.toUpperCase()];
+    if (!frequencies) continue;
+
+    const [low, high] = frequencies;
+    for (let i = 0; i < DTMF_TONE_MS * samplesPerMs; i++) {
+      const t = i / MULAW_SAMPLE_RATE;
+      samples.push(DTMF_AMPLITUDE * (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t)));
+    }
+    silence(DTMF_GAP_MS);
+  }
+  return encodeMulaw(samples);
+};
+
+module.exports = {
+  MULAW_SAMPLE_RATE,
+  linearToMulaw,
+  mulawToLinear,
+  encodeMulaw,
+  decodeMulaw,
+  encodeWav,
+  pcm16ToMulaw,
+  createPcm16ToMulawConverter,
+  parseWav,
+  wavToMulaw,
+  isDtmfDigit,
+  generateDtmfTones,
+};
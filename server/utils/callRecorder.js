@@ -0,0 +1,143 @@
+const { MULAW_SAMPLE_RATE, mulawToLinear } = require('./audio.js');
+
+const SAMPLES_PER_MS = MULAW_SAMPLE_RATE / 1000;
+const CHANNELS = 2;
+const WAV_HEADER_BYTES = 44;
+// Audio older than this is final (late caller frames, barge-in cuts) and is written out
+const SETTLE_MS = 2000;
+const FLUSH_INTERVAL_MS = 1000;
+
+/**
+ * Header of a 16-bit PCM, 8 kHz, two-channel WAV
+ */
+const wavHeader = (dataBytes) => {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(CHANNELS, 22); // caller, agent
+  header.writeUInt32LE(MULAW_SAMPLE_RATE, 24);
+  header.writeUInt32LE(MULAW_SAMPLE_RATE * CHANNELS * 2, 28);
+  header.writeUInt16LE(CHANNELS * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+};
+
+/**
+ * Records both sides of a media stream call into a two-channel WAV: the
+ * caller on the left, the agent (as sent to the caller, ambience included)
+ * on the right. Audio is placed on the call's timeline as it is heard:
+ * caller audio at its stream timestamp, agent audio when the audio queued
+ * before it has played out, and a clear (barge-in) cuts the agent's audio
+ * that hadn't been heard yet.
+ *
+ * Only the last few seconds are held: once a second the settled part of the
+ * timeline is converted to PCM and handed to the storage writer, and the
+ * WAV header is written when the recording finishes.
+ */
+class CallRecorder {
+  /**
+   * @param options - {
+   *   startedAt: when the stream started (ms), what caller timestamps count from,
+   *   writer: RecordingStorage writer for WAV_HEADER_BYTES of header, { write(chunk), finish(header) }
+   * }
+   */
+  constructor({ startedAt = Date.now(), writer }) {
+    this.startedAt = startedAt;
+    this.writer = writer;
+    // { position (samples from the start), audio (µ-law Buffer) } per channel, not yet written
+    this.caller = [];
+    this.agent = [];
+    this.callerEnd = 0;
+    this.agentEnd = 0;
+    // Samples written to the writer so far
+    this.written = 0;
+    this.timer = setInterval(() => this.flush(this.now() - SETTLE_MS * SAMPLES_PER_MS), FLUSH_INTERVAL_MS);
+  }
+
+  now() {
+    return Math.round((Date.now() - this.startedAt) * SAMPLES_PER_MS);
+  }
+
+  /**
+   * @param timestamp - The media event's timestamp (ms since the stream started), if any
+   */
+  addCallerAudio(audio, timestamp) {
+    const ms = Number(timestamp);
+    const position = Number.isFinite(ms) ? Math.round(ms * SAMPLES_PER_MS) : this.callerEnd;
+    this.caller.push({ position, audio });
+    this.callerEnd = Math.max(this.callerEnd, position + audio.length);
+  }
+
+  addAgentAudio(audio) {
+    const position = Math.max(this.now(), this.agentEnd);
+    this.agent.push({ position, audio });
+    this.agentEnd = position + audio.length;
+  }
+
+  /**
+   * Drop the agent audio that would have played after now
+   */
+  clearAgentAudio() {
+    const cut = this.now();
+    if (this.agentEnd <= cut) return;
+    this.agent = this.agent
+      .filter(segment => segment.position < cut)
+      .map(segment => (segment.position + segment.audio.length > cut
+        ? { position: segment.position, audio: segment.audio.subarray(0, cut - segment.position) }
+        : segment));
+    this.agentEnd = cut;
+  }
+
+  get durationMs() {
+    return Math.round(Math.max(this.callerEnd, this.agentEnd) / SAMPLES_PER_MS);
+  }
+
+  /**
+   * Write the timeline up to a sample position as interleaved PCM
+   */
+  flush(end) {
+    if (end <= this.written) return;
+    const pcm = Buffer.alloc((end - this.written) * CHANNELS * 2);
+    const samples = new Int16Array(pcm.buffer, pcm.byteOffset, (end - this.written) * CHANNELS);
+
+    [this.caller, this.agent].forEach((segments, channel) => {
+      const remaining = [];
+      for (const { position, audio } of segments) {
+        const from = Math.max(position, this.written);
+        const to = Math.min(position + audio.length, end);
+        for (let i = from; i < to; i++) {
+          samples[(i - this.written) * CHANNELS + channel] = mulawToLinear(audio[i - position]);
+        }
+        // Audio arriving after its place was written (very late caller frames) is lost
+        if (position + audio.length > end) {
+          remaining.push(position >= end ? { position, audio } : { position: end, audio: audio.subarray(end - position) });
+        }
+      }
+      if (channel === 0) this.caller = remaining;
+      else this.agent = remaining;
+    });
+
+    this.writer.write(pcm);
+    this.written = end;
+  }
+
+  /**
+   * Write out the rest of the recording and its header
+   * @returns The size of the WAV in bytes
+   */
+  async finish() {
+    clearInterval(this.timer);
+    this.flush(Math.max(this.callerEnd, this.agentEnd));
+    const dataBytes = this.written * CHANNELS * 2;
+    await this.writer.finish(wavHeader(dataBytes));
+    return WAV_HEADER_BYTES + dataBytes;
+  }
+}
+
+module.exports = { CallRecorder, WAV_HEADER_BYTES };
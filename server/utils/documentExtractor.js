@@ -0,0 +1,282 @@
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+// File extension -> document type
+const FILE_TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.csv': 'csv',
+  '.txt': 'text',
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const HTML_BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'table', 'tr',
+  'ul', 'ol', 'li', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr', 'dt', 'dd',
+]);
+
+const getFileType = (name) => FILE_TYPES[path.extname(String(name || '')).toLowerCase()] || null;
+
+const decodeHtmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const value = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+    return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+  }
+  return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Collapse runs of spaces and blank lines left over from markup
+ */
+const tidyText = (text) => text
+  .replace(/[ \t\u00a0]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Builds the extracted text section by section and records where each
+ * section starts and ends in the final text
+ */
+class SectionBuilder {
+  constructor() {
+    this.content = '';
+    this.sections = [];
+  }
+
+  add(title, text, extra = {}) {
+    const body = tidyText(text);
+    if (!body) return;
+    if (this.content) this.content += '\n\n';
+    const start = this.content.length;
+    this.content += body;
+    this.sections.push({ title, ...extra, start, end: this.content.length });
+  }
+
+  result(fileType) {
+    return { fileType, content: this.content, sections: this.sections };
+  }
+}
+
+/**
+ * Convert HTML to plain text, starting a new section at every heading
+ */
+const extractHtml = (html, fileType = 'html', defaultTitle = 'Introduction') => {
+  const builder = new SectionBuilder();
+  const cleaned = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|head|template)\b[\s\S]*?<\/\1>/gi, '');
+
+  let title = defaultTitle;
+  let text = '';
+  let heading = null;
+  for (const token of cleaned.match(/<[^>]*>|[^<]+/g) || []) {
+    const tag = token.match(/^<\s*(\/)?\s*([a-z0-9]+)/i);
+    if (!tag) {
+      if (heading !== null) heading += token;
+      else text += decodeHtmlEntities(token);
+      continue;
+    }
+
+    const [, closing, rawName] = tag;
+    const name = rawName.toLowerCase();
+    if (/^h[1-6]$/.test(name)) {
+      if (!closing) {
+        builder.add(title, text);
+        text = '';
+        heading = '';
+      } else if (heading !== null) {
+        title = tidyText(decodeHtmlEntities(heading.replace(/\s+/g, ' '))) || title;
+        heading = null;
+      }
+    } else if (name === 'li') {
+      if (!closing) text += '\n- ';
+    } else if (name === 'td' || name === 'th') {
+      if (closing) text += ' | ';
+    } else if (HTML_BLOCK_TAGS.has(name)) {
+      text += '\n';
+    }
+  }
+  builder.add(title, text);
+  return builder.result(fileType);
+};
+
+/**
+ * Extract the text of each PDF page; every page becomes a section
+ */
+const extractPdf = async (buffer) => {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY !== undefined && lastY !== item.transform[5]) text += '\n';
+        text += item.str;
+        lastY = item.transform[5];
+      }
+      pages.push({ pageNumber: pageData.pageNumber || pages.length + 1, text });
+      return text;
+    },
+  });
+
+  const builder = new SectionBuilder();
+  pages
+    .sort((a, b) => a.pageNumber - b.pageNumber)
+    .forEach(page => builder.add(`Page ${page.pageNumber}`, page.text, { page: page.pageNumber }));
+  return builder.result('pdf');
+};
+
+const extractDocx = async (buffer) => {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  return extractHtml(html, 'docx');
+};
+
+/**
+ * Strip Markdown syntax, starting a new section at every heading
+ */
+const extractMarkdown = (markdown) => {
+  const builder = new SectionBuilder();
+  let title = 'Introduction';
+  let lines = [];
+  let inCodeBlock = false;
+
+  for (const line of String(markdown).split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    const heading = !inCodeBlock && line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      builder.add(title, lines.join('\n'));
+      title = heading[1] || title;
+      lines = [];
+      continue;
+    }
+    lines.push(inCodeBlock ? line : line
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^\s*[-*+]\s+/, '- ')
+      .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2'));
+  }
+  builder.add(title, lines.join('\n'));
+  return builder.result('markdown');
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim()));
+};
+
+/**
+ * Turn each CSV row into a "column: value" line so it reads well on its own
+ */
+const extractCsv = (csv) => {
+  const [header = [], ...rows] = parseCsvRows(String(csv).replace(/^\uFEFF/, ''));
+  const columns = header.map((column, i) => column.trim() || `Column ${i + 1}`);
+
+  const builder = new SectionBuilder();
+  rows.forEach((row, i) => {
+    const text = row
+      .map((value, col) => (value.trim() ? `${columns[col] || `Column ${col + 1}`}: ${value.trim()}` : null))
+      .filter(Boolean)
+      .join('; ');
+    builder.add(`Row ${i + 2}`, text, { row: i + 2 });
+  });
+  return builder.result('csv');
+};
+
+/**
+ * Extract the plain text of an uploaded file along with a map of its
+ * pages/sections ({ title, page?, row?, start, end } offsets into the text)
+ * @param name - The file name; its extension selects the extractor
+ * @param buffer - The file contents
+ * @returns { fileType, content, sections }
+ */
+const extractDocument = async (name, buffer) => {
+  const fileType = getFileType(name);
+  if (!fileType) {
+    throw new Error(`Unsupported file type "${path.extname(String(name || '')) || name}". Supported types: ${Object.keys(FILE_TYPES).join(', ')}`);
+  }
+
+  let result;
+  try {
+    switch (fileType) {
+      case 'pdf':
+        result = await extractPdf(buffer);
+        break;
+      case 'docx':
+        result = await extractDocx(buffer);
+        break;
+      case 'html':
+        result = extractHtml(buffer.toString('utf8'));
+        break;
+      case 'markdown':
+        result = extractMarkdown(buffer.toString('utf8'));
+        break;
+      case 'csv':
+        result = extractCsv(buffer.toString('utf8'));
+        break;
+      default: {
+        const builder = new SectionBuilder();
+        builder.add(name, buffer.toString('utf8'));
+        result = builder.result('text');
+      }
+    }
+  } catch (error) {
+    throw new Error(`Could not read ${fileType.toUpperCase()} file "${name}": ${error.message}`);
+  }
+
+  if (!result.content) {
+    throw new Error(fileType === 'pdf'
+      ? `No text found in "${name}". Scanned PDFs need to be converted with OCR first.`
+      : `No text found in "${name}".`);
+  }
+  return result;
+};
+
+module.exports = { extractDocument, getFileType, parseCsvRows };
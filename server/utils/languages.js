@@ -0,0 +1,56 @@
+// Agent languages by VoiceAgent.language id. code is ISO 639-1 (what Deepgram,
+// ElevenLabs and Sarvam take), iso3 is ISO 639-3 (what some STT APIs report),
+// script is the writing system transcripts come back in.
+const LANGUAGES = {
+  ENGLISH: { name: 'English', code: 'en', iso3: 'eng', script: 'latin' },
+  HINDI: { name: 'Hindi', code: 'hi', iso3: 'hin', script: 'devanagari' },
+  MARATHI: { name: 'Marathi', code: 'mr', iso3: 'mar', script: 'devanagari' },
+  TAMIL: { name: 'Tamil', code: 'ta', iso3: 'tam', script: 'tamil' },
+  SPANISH: { name: 'Spanish', code: 'es', iso3: 'spa', script: 'latin' },
+  FRENCH: { name: 'French', code: 'fr', iso3: 'fra', script: 'latin' },
+  GERMAN: { name: 'German', code: 'de', iso3: 'deu', script: 'latin' },
+  ITALIAN: { name: 'Italian', code: 'it', iso3: 'ita', script: 'latin' },
+  PORTUGUESE: { name: 'Portuguese', code: 'pt', iso3: 'por', script: 'latin' },
+};
+const DEFAULT_LANGUAGE = 'ENGLISH';
+
+const SCRIPTS = {
+  devanagari: /[\u0900-\u097F]/,
+  tamil: /[\u0B80-\u0BFF]/,
+};
+
+/**
+ * The LANGUAGES id for an agent language or a code reported by an STT
+ * provider: "HINDI", "hindi", "hi", "hi-IN" and "hin" are all HINDI
+ * @returns The id, or null if the language isn't supported
+ */
+const resolveLanguage = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (LANGUAGES[text.toUpperCase()]) return text.toUpperCase();
+  const code = text.toLowerCase().split(/[-_]/)[0];
+  return Object.keys(LANGUAGES).find(id => LANGUAGES[id].code === code || LANGUAGES[id].iso3 === code) || null;
+};
+
+/**
+ * What language a caller utterance is in, for switching languages mid-call
+ * @param text - The transcript
+ * @param reportedLanguage - The language the STT provider detected, if any
+ * @param currentLanguage - The language the call is in now; kept when the utterance doesn't tell
+ */
+const detectLanguage = (text, reportedLanguage, currentLanguage) => {
+  const reported = resolveLanguage(reportedLanguage);
+  if (reported) return reported;
+
+  // No report: go by the script, e.g. Devanagari is Hindi unless the call is in Marathi
+  const script = Object.keys(SCRIPTS).find(name => SCRIPTS[name].test(text)) || (/[a-z]/i.test(text) ? 'latin' : null);
+  if (!script || LANGUAGES[currentLanguage]?.script === script) return currentLanguage;
+  return Object.keys(LANGUAGES).find(id => LANGUAGES[id].script === script);
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  detectLanguage,
+};
@@ -0,0 +1,66 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses a URL from an agent's settings must not reach: this machine, the
+// private network and the cloud metadata endpoint (link-local)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check a URL the server is asked to call on a user's behalf: it must be
+ * http(s), and unless allowPrivate is set every address its host resolves
+ * to must be public
+ * @param options - { allowPrivate }
+ * @returns The parsed URL; throws if it isn't allowed
+ */
+const assertPublicUrl = async (value, { allowPrivate = false } = {}) => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (err) {
+    throw new Error(`Invalid URL: ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Only http and https URLs are allowed: ${value}`);
+  }
+  if (allowPrivate) return url;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new Error(`URL points to a private or loopback address: ${value}`);
+  }
+  return url;
+};
+
+module.exports = { assertPublicUrl, isPrivateAddress };
@@ -0,0 +1,52 @@
+// Sentence end: terminal punctuation, optional closing quote/bracket, then whitespace
+const SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+/g;
+
+/**
+ * Incrementally splits streamed LLM text into sentences so each one can be
+ * sent to TTS as soon as it is complete.
+ */
+class SentenceSplitter {
+  /**
+   * @param minLength - Sentences shorter than this are merged with the next one
+   *                    (avoids synthesizing fragments like "Hi." on their own)
+   */
+  constructor(minLength = 20) {
+    this.minLength = minLength;
+    this.buffer = '';
+  }
+
+  /**
+   * Add a chunk of streamed text
+   * @returns The sentences completed by this chunk (possibly none)
+   */
+  push(text) {
+    this.buffer += text;
+    const sentences = [];
+
+    let start = 0;
+    let match;
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    while ((match = SENTENCE_BOUNDARY.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = this.buffer.substring(start, end).trim();
+      if (sentence.length >= this.minLength) {
+        sentences.push(sentence);
+        start = end;
+      }
+    }
+
+    this.buffer = this.buffer.substring(start);
+    return sentences;
+  }
+
+  /**
+   * Return whatever text is left once the stream has ended
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest;
+  }
+}
+
+module.exports = { SentenceSplitter };
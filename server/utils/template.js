@@ -0,0 +1,25 @@
+// {{name}} placeholders; whitespace inside the braces is ignored
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Normalise a variable name so "First Name", "first-name" and "first_name"
+ * all refer to the same value
+ */
+const normalizeVariableName = (name) => String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Fill {{variable}} placeholders in an agent prompt or greeting
+ * @param text - The template
+ * @param variables - Values by name; names are matched case-insensitively
+ * @returns The text with known placeholders replaced and unknown ones removed
+ */
+const renderTemplate = (text, variables = {}) => {
+  if (!text) return text;
+  const values = {};
+  Object.entries(variables || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) values[normalizeVariableName(name)] = String(value);
+  });
+  return String(text).replace(PLACEHOLDER, (match, name) => values[normalizeVariableName(name)] ?? '');
+};
+
+module.exports = { renderTemplate, normalizeVariableName };
@@ -0,0 +1,180 @@
+const { Type } = require('@google/genai');
+const { ToolType, PreActionPhraseMode } = require('../types.js');
+
+const PARAMETER_TYPES = {
+  string: Type.STRING,
+  number: Type.NUMBER,
+  boolean: Type.BOOLEAN,
+};
+
+/**
+ * Turn a tool name into a valid Gemini function name
+ * (letters, digits and underscores, not starting with a digit, max 64 chars)
+ */
+const toFunctionName = (name) => {
+  const cleaned = String(name || 'tool')
+    .trim()
+    .replace(/[^a-zA-Z0-9_]+/g, '_')
+    .replace(/^([^a-zA-Z_])/, '_$1');
+  return cleaned.substring(0, 64) || 'tool';
+};
+
+/**
+ * Build an OBJECT schema from a tool's declared parameters
+ * @returns The schema, or null if the tool declares no parameters
+ */
+const buildParametersSchema = (parameters) => {
+  const properties = {};
+  const required = [];
+  for (const param of parameters || []) {
+    if (!param.name) continue;
+    properties[param.name] = { type: PARAMETER_TYPES[param.type] || Type.STRING };
+    if (param.required) required.push(param.name);
+  }
+  if (Object.keys(properties).length === 0) return null;
+  return { type: Type.OBJECT, properties, required };
+};
+
+/**
+ * Describe a tool for the model, including how to handle pre-action phrases
+ */
+const describeTool = (tool) => {
+  let description = tool.description || `Run the "${tool.name}" action`;
+  const phrases = (tool.preActionPhrases || []).filter(Boolean);
+
+  if (tool.preActionPhrasesMode === PreActionPhraseMode.Flexible && phrases.length > 0) {
+    description += `. Before calling this, briefly tell the caller what you are doing, in the style of: ${phrases.map(p => `"${p}"`).join(', ')}`;
+  } else if (tool.preActionPhrasesMode !== PreActionPhraseMode.Flexible) {
+    description += '. Call this without saying anything first.';
+  }
+  return description;
+};
+
+/**
+ * Build Gemini function declarations for the tools an agent can use during a
+ * live call. Tools that run after the call and UI-only web forms are skipped.
+ * @param tools - The agent's configured tools (settings.tools)
+ * @returns { declarations, toolsByFunctionName }
+ */
+const buildFunctionDeclarations = (tools) => {
+  const declarations = [];
+  const toolsByFunctionName = {};
+
+  for (const tool of tools || []) {
+    if (tool.runAfterCall || tool.type === ToolType.WebForm) continue;
+
+    let functionName = toFunctionName(tool.name);
+    for (let i = 2; toolsByFunctionName[functionName]; i++) {
+      functionName = `${toFunctionName(tool.name).substring(0, 60)}_${i}`;
+    }
+
+    const declaration = { name: functionName, description: describeTool(tool) };
+    const parameters = buildParametersSchema(tool.parameters);
+    if (parameters) declaration.parameters = parameters;
+
+    declarations.push(declaration);
+    toolsByFunctionName[functionName] = tool;
+  }
+
+  return { declarations, toolsByFunctionName };
+};
+
+// Built-in function the model calls to hand the caller over to a human
+const TRANSFER_FUNCTION_NAME = 'transfer_call';
+
+/**
+ * Build the declaration of the built-in call transfer function
+ * @param destinations - The agent's settings.transferDestinations
+ * @returns The declaration, or null if there is nowhere to transfer to
+ */
+const buildTransferDeclaration = (destinations) => {
+  const usable = (destinations || []).filter(destination => destination.name && destination.phoneNumber);
+  if (usable.length === 0) return null;
+
+  const options = usable
+    .map(destination => `"${destination.name}"${destination.description ? ` (${destination.description})` : ''}`)
+    .join(', ');
+  return {
+    name: TRANSFER_FUNCTION_NAME,
+    description: `Transfer the caller to a human when they ask for one or when you cannot help them further. Destinations: ${options}`,
+    parameters: {
+      type: Type.OBJECT,
+      properties: {
+        destination: { type: Type.STRING, format: 'enum', enum: usable.map(destination => destination.name) },
+        reason: { type: Type.STRING, description: 'Why the caller is being transferred' },
+      },
+      required: ['destination'],
+    },
+  };
+};
+
+// Built-in function the model calls to press keys on the far end's keypad
+const DTMF_FUNCTION_NAME = 'send_dtmf';
+
+/**
+ * Build the declaration of the built-in DTMF dialing function
+ */
+const buildDtmfDeclaration = () => ({
+  name: DTMF_FUNCTION_NAME,
+  description: 'Press keys on the phone keypad, e.g. to choose an option in an automated phone menu (IVR). ' +
+    'Only use this when talking to an automated system, not to a person.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      digits: {
+        type: Type.STRING,
+        description: 'Keys to press in order: 0-9, * and #. Use "w" for a half-second pause between keys.',
+      },
+    },
+    required: ['digits'],
+  },
+});
+
+// Built-in function the model calls to hang up
+const END_CALL_FUNCTION_NAME = 'end_call';
+const END_CALL_REASONS = ['goal_completed', 'caller_requested', 'not_interested', 'wrong_number', 'other'];
+
+/**
+ * Build the declaration of the built-in end call function
+ */
+const buildEndCallDeclaration = () => ({
+  name: END_CALL_FUNCTION_NAME,
+  description: 'Hang up the call once its goal is met, the caller asks to end it or there is nothing left to discuss. ' +
+    'Say a short goodbye in the same response before calling this.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      reason: { type: Type.STRING, format: 'enum', enum: END_CALL_REASONS },
+      details: { type: Type.STRING, description: 'One sentence on how the call ended' },
+    },
+    required: ['reason'],
+  },
+});
+
+/**
+ * Pick the phrase to say while a tool runs, or null to stay silent.
+ * Strict mode always says one of the configured phrases verbatim; flexible
+ * mode only falls back to one if the model didn't say anything itself.
+ */
+const pickPreActionPhrase = (tool, modelAlreadySpoke) => {
+  const phrases = (tool.preActionPhrases || []).filter(Boolean);
+  if (phrases.length === 0) return null;
+
+  const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+  if (tool.preActionPhrasesMode === PreActionPhraseMode.Strict) return phrase;
+  if (tool.preActionPhrasesMode === PreActionPhraseMode.Flexible && !modelAlreadySpoke) return phrase;
+  return null;
+};
+
+module.exports = {
+  toFunctionName,
+  buildParametersSchema,
+  buildFunctionDeclarations,
+  pickPreActionPhrase,
+  buildTransferDeclaration,
+  TRANSFER_FUNCTION_NAME,
+  buildDtmfDeclaration,
+  DTMF_FUNCTION_NAME,
+  buildEndCallDeclaration,
+  END_CALL_FUNCTION_NAME,
+};
@@ -0,0 +1,115 @@
+const { EventEmitter } = require('events');
+const { MULAW_SAMPLE_RATE, mulawToLinear } = require('./audio.js');
+
+// Twilio sends 20ms frames
+const FRAME_MS = 20;
+const FRAME_BYTES = (MULAW_SAMPLE_RATE / 1000) * FRAME_MS;
+// RMS level (16-bit PCM) a frame needs to count as speech, however quiet the line
+const MIN_SPEECH_LEVEL = 600;
+// Speech must be this much louder than the background noise
+const NOISE_RATIO = 3;
+// Consecutive speech frames before the caller counts as talking (ignores clicks and pops)
+const SPEECH_START_FRAMES = 4;
+// Audio kept from before speech was detected so the first syllable isn't cut off
+const PRE_ROLL_FRAMES = 10;
+// Longer utterances are cut so a single transcription request stays small
+const MAX_UTTERANCE_MS = 30000;
+const DEFAULT_END_SILENCE_MS = 1000;
+
+const frameLevel = (frame) => {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    const sample = mulawToLinear(frame[i]);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / frame.length);
+};
+
+/**
+ * Energy-based voice activity detection on 8 kHz µ-law audio, for STT
+ * providers that don't report speech themselves. Emits:
+ * - 'speechStart' once the caller starts talking
+ * - 'speechEnd' with { audio, start, duration } (µ-law, seconds from the
+ *   first byte pushed) after endSilenceMs of silence
+ */
+class VoiceActivityDetector extends EventEmitter {
+  /**
+   * @param options - { endSilenceMs? } silence that ends an utterance
+   */
+  constructor(options = {}) {
+    super();
+    this.endSilenceMs = options.endSilenceMs || DEFAULT_END_SILENCE_MS;
+    this.noiseLevel = MIN_SPEECH_LEVEL / NOISE_RATIO;
+    // Bytes short of a whole frame, kept for the next push
+    this.remainder = Buffer.alloc(0);
+    // The pre-roll while waiting for speech, the utterance while speaking
+    this.frames = [];
+    this.speaking = false;
+    this.speechFrames = 0;
+    this.silenceFrames = 0;
+    this.elapsedMs = 0;
+    this.utteranceStartMs = 0;
+  }
+
+  push(audio) {
+    const buffer = this.remainder.length > 0 ? Buffer.concat([this.remainder, audio]) : audio;
+    let offset = 0;
+    for (; offset + FRAME_BYTES <= buffer.length; offset += FRAME_BYTES) {
+      this.processFrame(buffer.subarray(offset, offset + FRAME_BYTES));
+    }
+    this.remainder = Buffer.from(buffer.subarray(offset));
+  }
+
+  processFrame(frame) {
+    const level = frameLevel(frame);
+    const isSpeech = level >= Math.max(MIN_SPEECH_LEVEL, this.noiseLevel * NOISE_RATIO);
+    this.elapsedMs += FRAME_MS;
+    this.frames.push(frame);
+
+    if (!this.speaking) {
+      if (isSpeech) {
+        this.speechFrames++;
+      } else {
+        this.speechFrames = 0;
+        // Follow the line noise slowly so a loud line doesn't read as speech
+        this.noiseLevel = this.noiseLevel * 0.95 + level * 0.05;
+      }
+      if (this.speechFrames >= SPEECH_START_FRAMES) {
+        this.speaking = true;
+        this.silenceFrames = 0;
+        this.utteranceStartMs = this.elapsedMs - this.frames.length * FRAME_MS;
+        this.emit('speechStart');
+      } else if (this.frames.length > PRE_ROLL_FRAMES + SPEECH_START_FRAMES) {
+        this.frames.shift();
+      }
+      return;
+    }
+
+    this.silenceFrames = isSpeech ? 0 : this.silenceFrames + 1;
+    if (this.silenceFrames * FRAME_MS >= this.endSilenceMs || this.frames.length * FRAME_MS >= MAX_UTTERANCE_MS) {
+      this.endUtterance();
+    }
+  }
+
+  endUtterance() {
+    const utterance = {
+      audio: Buffer.concat(this.frames),
+      start: this.utteranceStartMs / 1000,
+      duration: ((this.frames.length - this.silenceFrames) * FRAME_MS) / 1000,
+    };
+    this.frames = [];
+    this.speaking = false;
+    this.speechFrames = 0;
+    this.silenceFrames = 0;
+    this.emit('speechEnd', utterance);
+  }
+
+  /**
+   * End the utterance in progress, if any (e.g. the stream is closing)
+   */
+  flush() {
+    if (this.speaking) this.endUtterance();
+  }
+}
+
+module.exports = { VoiceActivityDetector };
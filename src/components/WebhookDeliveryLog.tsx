@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from 'react';
+import Modal from './Modal';
+import { WebhookDelivery } from '../types';
+import { webhookService } from '../services/webhookService';
+
+interface WebhookDeliveryLogProps {
+    isOpen: boolean;
+    onClose: () => void;
+    userId: string;
+    webhookUrl: string;
+}
+
+const STATUS_CLASSES: Record<WebhookDelivery['status'], string> = {
+    success: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+    failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+    retrying: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300',
+    pending: 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-300',
+};
+
+const WebhookDeliveryLog: React.FC<WebhookDeliveryLogProps> = ({ isOpen, onClose, userId, webhookUrl }) => {
+    const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const loadDeliveries = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            setDeliveries(await webhookService.getDeliveries(userId, webhookUrl));
+        } catch (err: any) {
+            setError(err.message || 'Failed to load deliveries');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen && userId && webhookUrl) loadDeliveries();
+    }, [isOpen, userId, webhookUrl]);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Webhook Deliveries">
+            <div className="flex items-center justify-between gap-3 mb-4">
+                <p className="text-sm text-slate-500 dark:text-slate-400 truncate" title={webhookUrl}>{webhookUrl}</p>
+                <button onClick={loadDeliveries} className="text-sm font-semibold text-primary hover:text-primary-dark flex-shrink-0">Refresh</button>
+            </div>
+            <div className="max-h-96 overflow-y-auto space-y-2">
+                {loading && <p className="text-sm text-slate-500">Loading deliveries...</p>}
+                {error && <p className="text-sm text-red-500">{error}</p>}
+                {!loading && !error && deliveries.length === 0 && (
+                    <p className="text-sm text-slate-500 dark:text-slate-400">No deliveries yet. One is sent after each call ends.</p>
+                )}
+                {!loading && deliveries.map(delivery => (
+                    <div key={delivery.id} className="p-3 rounded-md border border-slate-200 dark:border-slate-700 text-sm">
+                        <div className="flex items-center justify-between gap-2">
+                            <span className="font-medium">{delivery.event}</span>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_CLASSES[delivery.status]}`}>
+                                {delivery.status}
+                            </span>
+                        </div>
+                        <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                            {new Date(delivery.createdAt).toLocaleString()}
+                            {` · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                            {delivery.responseStatus !== null && ` · HTTP ${delivery.responseStatus}`}
+                            {delivery.callId && ` · Call ${delivery.callId}`}
+                        </p>
+                        {delivery.error && <p className="text-xs text-red-500 mt-1">{delivery.error}</p>}
+                        {delivery.status === 'retrying' && delivery.nextAttemptAt && (
+                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Next attempt at {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </Modal>
+    );
+};
+
+export default WebhookDeliveryLog;
@@ -25,7 +25,7 @@ import {
 } from '@heroicons/react/24/outline';
 // FIX: Add missing icon import
 import { PhoneIcon as SolidPhoneIcon, MicrophoneIcon } from '@heroicons/react/24/solid';
-import { Page, Campaign, CampaignStatus, VoiceAgent, VoiceAgentStatus, PhoneNumber, PhoneProvider, PreActionPhraseMode, ToolType } from './types';
+import { Page, Campaign, CampaignStatus, VoiceAgent, VoiceAgentStatus, PhoneNumber, PhoneProvider, PreActionPhraseMode, ToolType, VoiceSettings } from './types';
 
 // FIX: Add missing icon exports required by other pages
 // Icon re-exports for consistent usage
@@ -93,11 +93,14 @@ export const INITIAL_AGENTS: VoiceAgent[] = [
         settings: {
             userStartsFirst: false,
             greetingLine: "Welcome! How can I help you?",
+            greetingDelayMs: 500,
             responseDelay: false,
             inactivityHandling: true,
             agentCanTerminateCall: false,
             voicemailDetection: true,
+            voicemailMessage: "",
             callTransfer: true,
+            transferDestinations: [],
             dtmfDial: false,
             agentTimezone: 'America/New_York',
             voiceDetectionConfidenceThreshold: 0.5,
@@ -129,16 +132,19 @@ export const INITIAL_AGENTS: VoiceAgent[] = [
         settings: {
             userStartsFirst: true,
             greetingLine: "Thanks for calling Aspirentech, you're speaking with Zara.",
+            greetingDelayMs: 500,
             responseDelay: true,
             inactivityHandling: true,
             agentCanTerminateCall: true,
             voicemailDetection: false,
+            voicemailMessage: "",
             callTransfer: false,
+            transferDestinations: [],
             dtmfDial: true,
             agentTimezone: 'Europe/London',
             voiceDetectionConfidenceThreshold: 0.6,
             overrideVAD: true,
-            backgroundAmbientSound: 'Office',
+            backgroundAmbientSound: 'office',
             callRecording: false,
             sessionTimeoutFixedDuration: 1800,
             sessionTimeoutNoVoiceActivity: 600,
@@ -185,6 +191,22 @@ export const AVAILABLE_VOICE_PROVIDERS = [
     { id: 'eleven-labs', name: 'ElevenLabs' },
 ];
 
+// Matches the server's defaults for agents without voiceSettings
+export const DEFAULT_VOICE_SETTINGS: VoiceSettings = {
+    stability: 0.5,
+    similarityBoost: 0.75,
+    style: 0,
+    speed: 1,
+    ttsModel: 'eleven_turbo_v2_5',
+    pronunciations: [],
+};
+
+export const ELEVENLABS_TTS_MODELS = [
+    { id: 'eleven_turbo_v2_5', name: 'Turbo v2.5 (low latency)' },
+    { id: 'eleven_flash_v2_5', name: 'Flash v2.5 (lowest latency)' },
+    { id: 'eleven_multilingual_v2', name: 'Multilingual v2 (highest quality)' },
+];
+
 // Updated to use dynamic voices
 export const AVAILABLE_VOICES: { [key: string]: { id: string, name: string }[] } = {
     'eleven-labs': [
@@ -254,12 +276,21 @@ export const OpenAIIcon = (props: React.SVGProps<SVGSVGElement>) => (
 );
 
 // FIX: Add missing data exports required by AgentDetailPage
+// Ids are the agent's model field: "<provider>:<model>", or a bare Gemini model name
 export const AVAILABLE_MODELS = [
     { id: 'gemini-2.5-flash', name: 'Google Gemini 2.5 Flash', description: 'Fast and cost-effective for high-frequency tasks.', icon: GoogleIcon },
+    { id: 'openai:gpt-4o-mini', name: 'OpenAI GPT-4o mini', description: 'Quick replies at low cost. Uses your OpenAI key from the API page.', icon: OpenAIIcon },
+    { id: 'openai:gpt-4o', name: 'OpenAI GPT-4o', description: 'Stronger reasoning for complex calls. Uses your OpenAI key from the API page.', icon: OpenAIIcon },
+    { id: 'anthropic:claude-3-5-haiku-latest', name: 'Anthropic Claude 3.5 Haiku', description: 'Fast Claude model. Uses your Anthropic key from the API page.', icon: ModelIcon },
 ];
 
+// Prefix of models served by an OpenAI-compatible endpoint at settings.llmBaseUrl
+export const CUSTOM_MODEL_PREFIX = 'custom:';
+
 export const AVAILABLE_LANGUAGES = [
     { id: 'ENGLISH', name: 'English' },
+    { id: 'HINDI', name: 'Hindi' },
+    { id: 'TAMIL', name: 'Tamil' },
     { id: 'SPANISH', name: 'Spanish' },
     { id: 'FRENCH', name: 'French' },
     { id: 'GERMAN', name: 'German' },
@@ -265,4 +265,115 @@ CREATE INDEX idx_user_twilio_numbers_verified ON user_twilio_numbers(verified);
 CREATE INDEX idx_calls_campaign_id ON calls(campaign_id);
 CREATE INDEX idx_calls_twilio_number_id ON calls(twilio_number_id);
 CREATE INDEX idx_call_segments_call_id ON call_segments(call_id);
-CREATE INDEX idx_call_segments_timestamp ON call_segments(timestamp);
\ No newline at end of file
+CREATE INDEX idx_call_segments_timestamp ON call_segments(timestamp);
+
+-- Create call_tool_runs table to store "run after call" tool executions
+CREATE TABLE IF NOT EXISTS call_tool_runs (
+  id VARCHAR(36) PRIMARY KEY,
+  call_id VARCHAR(36) NOT NULL,
+  agent_id VARCHAR(36),
+  tool_id VARCHAR(100) NOT NULL,
+  tool_name VARCHAR(255),
+  status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'success', 'failed'
+  payload JSON, -- Parameters extracted from the transcript
+  response JSON, -- What the tool returned
+  error TEXT,
+  attempts INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (call_id) REFERENCES calls(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_call_tool_runs_call_id ON call_tool_runs(call_id);
+CREATE INDEX idx_call_tool_runs_status ON call_tool_runs(status);
+
+-- Extracted file type and page/section map of knowledge base documents
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS file_type VARCHAR(20) NULL;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS sections JSON NULL;
+
+-- Turn timeline: one call_segments row per caller or agent turn
+ALTER TABLE call_segments ADD COLUMN IF NOT EXISTS speaker VARCHAR(10) NULL; -- 'user' or 'agent'
+ALTER TABLE call_segments ADD COLUMN IF NOT EXISTS started_at TIMESTAMP(3) NULL;
+ALTER TABLE call_segments ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP(3) NULL;
+ALTER TABLE call_segments ADD COLUMN IF NOT EXISTS confidence FLOAT NULL; -- STT confidence of caller turns
+ALTER TABLE call_segments ADD COLUMN IF NOT EXISTS interrupted BOOLEAN DEFAULT FALSE; -- Agent turn cut off by the caller
+ALTER TABLE call_segments ADD COLUMN IF NOT EXISTS metadata JSON NULL;
+
+-- Answering machine detection result (Twilio AnsweredBy, or machine_heuristic)
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS answered_by VARCHAR(30) NULL;
+
+-- Call transfer to a human (settings.callTransfer)
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_destination VARCHAR(255) NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_number VARCHAR(50) NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_type VARCHAR(10) NULL; -- 'warm' or 'cold'
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_status VARCHAR(20) NULL; -- 'initiated', 'failed' or the Twilio DialCallStatus
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_reason TEXT NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_summary TEXT NULL; -- Read to the human on warm transfers
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_duration INT NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMP NULL;
+
+-- Why the agent side ended the call (end_call reason or session timeout)
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition VARCHAR(50) NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition_details TEXT NULL;
+
+-- Campaign agent and the greeting that replaces the agent's greeting line on campaign calls
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS agent_id VARCHAR(36) NULL;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS greeting_override TEXT NULL; -- {{variables}} come from the lead
+
+-- Every other CSV column of a lead, used to fill {{variables}} on its call
+ALTER TABLE campaign_records ADD COLUMN IF NOT EXISTS metadata JSON NULL;
+
+-- Global webhooks (SettingsPage) and the secret webhook payloads are signed with
+CREATE TABLE IF NOT EXISTS user_webhook_settings (
+  user_id VARCHAR(36) PRIMARY KEY,
+  prefetch_data_webhook TEXT NULL,
+  end_of_call_webhook TEXT NULL,
+  signing_secret VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- One row per webhook delivery (end-of-call webhooks), with its latest attempt
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  call_id VARCHAR(36),
+  agent_id VARCHAR(36),
+  scope VARCHAR(10) NOT NULL, -- 'agent' or 'global'
+  webhook_url TEXT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  payload JSON,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'retrying', 'success', 'failed'
+  attempts INT DEFAULT 0,
+  response_status INT NULL,
+  response_body TEXT NULL,
+  error TEXT NULL,
+  next_attempt_at TIMESTAMP NULL,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_webhook_deliveries_user_id ON webhook_deliveries(user_id, created_at);
+CREATE INDEX idx_webhook_deliveries_call_id ON webhook_deliveries(call_id);
+
+-- Per-agent voice tuning: stability, similarity, style, speed, TTS model and pronunciation dictionary
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS voice_settings JSON NULL;
+
+-- Ambient background loops uploaded by users (8 kHz µ-law), see settings.backgroundAmbientSound
+CREATE TABLE IF NOT EXISTS ambient_sounds (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  audio MEDIUMBLOB NOT NULL,
+  duration_ms INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_ambient_sounds_user_id ON ambient_sounds(user_id);
+
+-- Call recordings captured from the media stream: the RecordingStorage key (e.g. "<callId>.wav")
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_key VARCHAR(255) NULL;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { VoiceAgent, ToolType, PreActionPhraseMode, Tool, VoiceAgentSettings, ToolHeader, ToolParameter } from '../types';
+import { VoiceAgent, ToolType, PreActionPhraseMode, Tool, VoiceAgentSettings, ToolHeader, ToolParameter, TransferDestination, VoiceSettings, AmbientSound } from '../types';
 import {
     DocumentDuplicateIcon,
     EditIcon,
@@ -11,6 +11,7 @@ import {
     AVAILABLE_VOICES,
     getVoiceNameById,
     AVAILABLE_MODELS,
+    CUSTOM_MODEL_PREFIX,
     AVAILABLE_LANGUAGES,
     TrashIcon,
     EmbedIcon,
@@ -22,15 +23,17 @@ import {
     CheckIcon,
     MicrophoneIcon,
     getVoiceProviderById,
-    AVAILABLE_LANGUAGES_BY_PROVIDER
+    AVAILABLE_LANGUAGES_BY_PROVIDER,
+    DEFAULT_VOICE_SETTINGS,
+    ELEVENLABS_TTS_MODELS
 } from '../constants';
-import { PlusIcon, ArrowUpTrayIcon, DocumentTextIcon, XMarkIcon, StopIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, ArrowUpTrayIcon, DocumentTextIcon, XMarkIcon, StopIcon, EyeIcon } from '@heroicons/react/24/outline';
 import Modal from '../components/Modal';
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog';
 import { GoogleGenAI, Chat, Modality, LiveServerMessage, type Blob } from '@google/genai';
-import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
-import { LLMService } from '../services/llmService';
-import { DocumentService } from '../services/documentService';
+import { DocumentService, ExtractedDocument } from '../services/documentService';
 import { ToolExecutionService } from '../services/toolExecutionService';
+import { ambientSoundService } from '../services/ambientSoundService';
 import { useAuth } from '../contexts/AuthContext';
 import { encode, decode } from './audioHelpers';
 
@@ -83,6 +86,27 @@ const SettingsToggle: React.FC<SettingsToggleProps> = ({ label, description, che
 );
 
 
+// Legacy voice IDs still stored on some agents, and the ElevenLabs voices they stand for
+const ELEVENLABS_VOICE_ALIASES: Record<string, string> = {
+    'eleven-rachel': '21m00Tcm4TlvDq8ikWAM',
+    'eleven-drew': '29vD33N1CtxCmqQRPOHJ',
+    'eleven-clyde': '2EiwWnXFnvU5JabPnv8n',
+    'eleven-zara': 'D38z5RcWu1voky8WS1ja',
+    'eleven-indian-monika': '1qEiC6qsybMkmnNdVMbK',
+    'eleven-indian-sagar': 'Qc0h5B5Mqs8oaH4sFZ9X',
+};
+
+// Shown until the server's list (bundled loops plus the user's uploads) loads
+const BUNDLED_AMBIENT_SOUNDS: AmbientSound[] = [
+    { id: 'office', name: 'Office', builtIn: true },
+    { id: 'call-center', name: 'Call Centre', builtIn: true },
+    { id: 'cafe', name: 'Cafe', builtIn: true },
+    { id: 'restaurant', name: 'Restaurant', builtIn: true },
+    { id: 'park', name: 'Park', builtIn: true },
+    { id: 'home', name: 'Home', builtIn: true },
+];
+const DEFAULT_AMBIENT_LEVEL = 0.5;
+
 const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent, onBack, updateAgent, onDuplicate, onDelete, userId }) => {
     const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
     const [agent, setAgent] = useState<VoiceAgent>(initialAgent);
@@ -95,12 +119,16 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     const [isLanguageModalOpen, setLanguageModalOpen] = useState(false);
 
     const [isToolsModalOpen, setToolsModalOpen] = useState(false);
+    const [isWebhookLogOpen, setWebhookLogOpen] = useState(false);
     const [editingTool, setEditingTool] = useState<Tool | null>(null);
 
     const [isKnowledgeModalOpen, setKnowledgeModalOpen] = useState(false);
     
     // Voice preview state
     const [isPlayingPreview, setIsPlayingPreview] = useState(false);
+    const [ambientSounds, setAmbientSounds] = useState<AmbientSound[]>(BUNDLED_AMBIENT_SOUNDS);
+    const [isUploadingAmbientSound, setIsUploadingAmbientSound] = useState(false);
+    const [ambientSoundError, setAmbientSoundError] = useState<string | null>(null);
     const [previewAudio, setPreviewAudio] = useState<HTMLAudioElement | null>(null);
     
     // Call Agent State
@@ -119,9 +147,8 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     const [geminiChatSession, setGeminiChatSession] = useState<Chat | null>(null);
     const chatContainerRef = useRef<HTMLDivElement>(null);
     
-    // Conversation history for voice calls
-    const conversationHistoryRef = useRef<{ role: string; text: string }[]>([]);
-    const greetingSentRef = useRef<boolean>(false);
+    // What was said in the current (or last) test call, as reported by the server
+    const [callTranscript, setCallTranscript] = useState<{ sender: 'user' | 'agent', text: string }[]>([]);
     const sessionTimeoutRef = useRef<NodeJS.Timeout | null>(null);
     const callActiveDebugRef = useRef<boolean>(false);
     const webSocketRef = useRef<WebSocket | null>(null);  // Add this line for WebSocket connection
@@ -134,6 +161,10 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     const audioWorkletNodeRef = useRef<AudioWorkletNode | null>(null);
     const audioSourcesRef = useRef<Set<AudioBufferSourceNode>>(new Set());
     const nextStartTimeRef = useRef<number>(0);
+    // Agent clips are decoded one after another so they play in the order they were sent
+    const audioDecodeChainRef = useRef<Promise<void>>(Promise.resolve());
+    // Bumped when agent audio is stopped; clips received before that are dropped
+    const audioGenerationRef = useRef<number>(0);
 
     const initialNewToolState: Omit<Tool, 'id' | 'preActionPhrases'> & { preActionPhrases: string } = {
         name: '', description: '', type: ToolType.Webhook, webhookUrl: '', method: 'POST',
@@ -181,11 +212,16 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
             // For other models or when identity is missing
             setGeminiChatSession(null);
             setChatMessages([]);
-            // Clear conversation history
-            conversationHistoryRef.current = [];
         }
     }, [editedAgent.id, editedAgent.identity, editedAgent.model, API_KEY]);
 
+    useEffect(() => {
+        if (!userId) return;
+        ambientSoundService.getSounds(userId)
+            .then(setAmbientSounds)
+            .catch(error => console.error('Failed to load ambient sounds:', error));
+    }, [userId]);
+
     useEffect(() => {
         const handleClickOutside = (event: MouseEvent) => {
             if (actionsDropdownRef.current && !actionsDropdownRef.current.contains(event.target as Node)) {
@@ -229,119 +265,6 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
         };
     };
     
-    // Helper functions to pause and resume speech recognition
-    const pauseRecognition = () => {
-      try { speechRecognitionRef.current?.stop(); } catch {}
-    };
-
-    const resumeRecognition = () => {
-      // Add a small delay before resuming to ensure TTS has fully ended
-      setTimeout(() => {
-        const isCallActuallyActive = isCallActive || callActiveDebugRef.current;
-        if (isCallActuallyActive) {
-          try { 
-            if (speechRecognitionRef.current) {
-              speechRecognitionRef.current.start();
-              console.log('Speech recognition resumed successfully');
-            }
-          } catch (error) {
-            console.error('Error resuming speech recognition:', error);
-            // If we can't resume due to invalid state, try to reinitialize
-            if (error.name === 'InvalidStateError') {
-              try {
-                if (speechRecognitionRef.current) {
-                  try {
-                    speechRecognitionRef.current.stop();
-                  } catch (stopError) {
-                    // Ignore stop errors
-                  }
-                }
-                speechRecognitionRef.current = initializeSpeechRecognition();
-                if (speechRecognitionRef.current) {
-                  speechRecognitionRef.current.start();
-                  console.log('Speech recognition reinitialized and started after resume error');
-                }
-              } catch (reinitError) {
-                console.error('Failed to reinitialize speech recognition after resume error:', reinitError);
-              }
-            }
-          }
-        } else {
-          console.log('Skipping speech recognition resume - call is no longer active');
-        }
-      }, 150); // Small delay to ensure TTS has fully ended
-    };
-
-    // Function to convert text to speech using Eleven Labs
-    const convertTextToSpeech = async (text: string) => {
-        try {
-            // Get Eleven Labs API key from environment variables
-            const elevenLabsApiKey = import.meta.env.VITE_ELEVEN_LABS_API_KEY;
-            if (!elevenLabsApiKey) {
-                throw new Error('Eleven Labs API key is not configured');
-            }
-            
-            // Create Eleven Labs client
-            // @ts-ignore
-            const elevenLabsClient = new ElevenLabsClient({
-                apiKey: elevenLabsApiKey
-            });
-            
-            // Map voice IDs to Eleven Labs voice IDs
-            const elevenLabsVoiceMap: { [key: string]: string } = {
-                'eleven-rachel': '21m00Tcm4TlvDq8ikWAM',
-                'eleven-drew': '29vD33N1CtxCmqQRPOHJ',
-                'eleven-clyde': '2EiwWnXFnvU5JabPnv8n',
-                'eleven-zara': 'D38z5RcWu1voky8WS1ja',
-                'eleven-indian-monika': '1qEiC6qsybMkmnNdVMbK',
-                'eleven-indian-sagar': 'Qc0h5B5Mqs8oaH4sFZ9X'
-            };
-            
-            const elevenLabsVoiceId = elevenLabsVoiceMap[editedAgent.voiceId] || editedAgent.voiceId;
-            
-            // Convert text to speech using Eleven Labs
-            // @ts-ignore
-            const audioStream = await elevenLabsClient.textToSpeech.convert(
-                elevenLabsVoiceId,
-                {
-                    text: text,
-                    modelId: 'eleven_multilingual_v2',
-                    voiceSettings: {
-                        stability: 0.5,
-                        similarityBoost: 0.5
-                    }
-                }
-            );
-            
-            // Play the audio
-            const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-            const arrayBuffer = await new Response(audioStream).arrayBuffer();
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-            const source = audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(audioContext.destination);
-            
-            // Ensure playback happens only once by using a flag
-            let playbackStarted = false;
-            return new Promise<void>((resolve) => {
-                source.onended = () => {
-                    if (!playbackStarted) {
-                        playbackStarted = true;
-                        resolve();
-                    }
-                };
-                // Additional safety to prevent multiple starts
-                if (!playbackStarted) {
-                    playbackStarted = true;
-                    source.start();
-                }
-            });
-        } catch (error) {
-            console.error('Error converting text to speech:', error);
-            throw error;
-        }
-    };
-    
     // Helper function to convert Float32Array to WAV format
     const convertFloat32ToWav = async (float32Array: Float32Array, sampleRate: number): Promise<ArrayBuffer> => {
         const buffer = new ArrayBuffer(44 + float32Array.length * 2);
@@ -380,7 +303,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     };
     
     // Voice preview functions
-    const playVoicePreview = async (voiceId: string) => {
+    const playVoicePreview = async (voiceId: string, voiceSettings?: VoiceSettings) => {
         try {
             setIsPlayingPreview(true);
             
@@ -399,7 +322,9 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                 },
                 body: JSON.stringify({
                     text: "Hello, this is a preview of the selected voice.",
-                    voiceId: voiceId
+                    voiceId: voiceId,
+                    voiceSettings,
+                    language: editedAgent.language
                 })
             });
             
@@ -407,7 +332,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
             
             if (result.success) {
                 // Create audio from base64 data
-                const audio = new Audio(`data:audio/mpeg;base64,${result.audioData}`);
+                const audio = new Audio(`data:${result.mimeType || 'audio/mpeg'};base64,${result.audioData}`);
                 audio.play();
                 
                 // Set up event listeners
@@ -440,39 +365,44 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
         setIsPlayingPreview(false);
     };
     
-    // Speech recognition reference
-    const speechRecognitionRef = useRef<any>(null);
     // Speech recognition retry count for exponential backoff
     const speechRecognitionRetryCountRef = useRef<number>(0);
     const speechRecognitionMaxRetries = 5;
 
-    // Function to initialize speech recognition
-    // NOTE: We're removing browser-based speech recognition and will use ElevenLabs STT through backend
-    const initializeSpeechRecognition = useCallback(() => {
-        // For ElevenLabs STT, we don't initialize browser speech recognition
-        // Instead, we'll handle audio streaming through WebSocket to backend
-        console.log('Using ElevenLabs STT through backend WebSocket connection');
-        return null;
-    }, [editedAgent]);
+    // The test call's /voice-stream URL. The saved agent is loaded on the server;
+    // identity and voice are sent along so unsaved edits can be tried out.
+    const buildVoiceStreamUrl = () => {
+        const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const apiHostUrl = import.meta.env.VITE_API_BASE_URL?.split('/api')[0] || 'http://localhost:5000';
+        const wsHost = new URL(apiHostUrl).host;
+        const params = new URLSearchParams({
+            voiceId: ELEVENLABS_VOICE_ALIASES[editedAgent.voiceId] || editedAgent.voiceId || 'default',
+            agentId: editedAgent.id,
+            identity: editedAgent.identity || '',
+        });
+        if (userId) params.set('userId', userId);
+        return `${wsProtocol}//${wsHost}/voice-stream?${params.toString()}`;
+    };
+
+    // Stop whatever agent audio is playing or scheduled
+    const stopAgentAudio = () => {
+        audioSourcesRef.current.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                console.error('Error stopping agent audio:', error);
+            }
+        });
+        audioSourcesRef.current.clear();
+        nextStartTimeRef.current = 0;
+        audioGenerationRef.current++;
+    };
 
-    // Enhanced startCall function with ElevenLabs STT and TTS through WebSocket
+    // Test call: the server runs the conversation exactly as it would on a phone call
+    // (history, endpointing, barge-in, tools, timeouts); the browser only streams the
+    // microphone and plays the agent's audio
     const startCall = async () => {
-        console.log('API_KEY:', API_KEY);
-        console.log('Eleven Labs API Key:', import.meta.env.VITE_ELEVEN_LABS_API_KEY);
-        
-        // Only require API_KEY for Gemini models
-        if (!API_KEY) {
-            alert("Voice call feature is disabled because the API_KEY is not configured.");
-            return;
-        }
-        
-        // Get Eleven Labs API key from environment variables
-        const elevenLabsApiKey = import.meta.env.VITE_ELEVEN_LABS_API_KEY;
-        if (!elevenLabsApiKey) {
-            alert('Eleven Labs API key is not configured. Please add VITE_ELEVEN_LABS_API_KEY to your .env.local file.');
-            return;
-        }
-        
+        setCallTranscript([]);
         console.log('Setting isCallActive to true');
         console.log('Call stack for setting isCallActive to true:', new Error().stack);
         // Set a flag to prevent immediate false setting
@@ -485,29 +415,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
             sessionTimeoutRef.current = null;
         }
         
-        // Set up session timeout if enabled
-        console.log('Setting up session timeout. Duration:', editedAgent.settings.sessionTimeoutFixedDuration);
-        if (editedAgent.settings.sessionTimeoutFixedDuration > 0) {
-            const timeoutMs = editedAgent.settings.sessionTimeoutFixedDuration * 1000;
-            console.log('Session timeout will trigger in', editedAgent.settings.sessionTimeoutFixedDuration, 'seconds (', timeoutMs, 'ms)');
-            // Make sure the timeout is reasonable (at least 1 second)
-            if (timeoutMs >= 1000) {
-                sessionTimeoutRef.current = setTimeout(() => {
-                    console.log('Session timeout triggered');
-                    const isCallActuallyActive = isCallActive || callActiveDebugRef.current;
-                    if (isCallActuallyActive) {
-                        alert(editedAgent.settings.sessionTimeoutEndMessage || "Your session has ended.");
-                        // Don't automatically stop the call
-                        // The user should explicitly click the stop button
-                        // stopCall();
-                    }
-                }, timeoutMs);
-            } else {
-                console.log('Skipping session timeout setup because duration is too short:', timeoutMs, 'ms');
-            }
-        } else {
-            console.log('No session timeout set or duration is 0');
-        }
+        // Inactivity prompts and session timeouts are enforced by the server (see 'session-ended')
         
         try {
             // Set up audio processing for the live session
@@ -561,16 +469,8 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                 const isCallStillActive = isCallActive || callActiveDebugRef.current;
                                 if (isCallStillActive) {
                                     // Establish WebSocket connection to backend
-                                    const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                                    const apiHostUrl = import.meta.env.VITE_API_BASE_URL?.split('/api')[0] || 'http://localhost:5000';
-                                    const wsHost = new URL(apiHostUrl).host;
-                                    // Pass the agent's voice ID and identity as query parameters
-                                    const voiceId = editedAgent.voiceId || 'default';
-                                    const agentId = editedAgent.id;
-                                    const agentIdentity = encodeURIComponent(editedAgent.identity || '');
-                                    const wsUrl = `${wsProtocol}//${wsHost}/voice-stream?voiceId=${encodeURIComponent(voiceId)}&agentId=${agentId}&identity=${agentIdentity}`;
-                                    console.log('Connecting to WebSocket with voiceId:', voiceId, 'agentId:', agentId);
-                                    webSocketRef.current = new WebSocket(wsUrl);
+                                    console.log('Connecting to WebSocket with voiceId:', editedAgent.voiceId, 'agentId:', editedAgent.id);
+                                    webSocketRef.current = new WebSocket(buildVoiceStreamUrl());
                                     
                                     webSocketRef.current.onopen = () => {
                                         console.log('WebSocket connection established successfully for voice stream');
@@ -608,7 +508,8 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                                     const base64Data = btoa(String.fromCharCode(...new Uint8Array(int16Data.buffer)));
                                                     webSocketRef.current.send(JSON.stringify({
                                                         event: 'audio',
-                                                        data: base64Data
+                                                        data: base64Data,
+                                                        sampleRate: audioProcessingEvent.inputBuffer.sampleRate
                                                     }));
                                                 } else {
                                                     console.log('WebSocket not ready for audio. State:', webSocketRef.current?.readyState);
@@ -651,54 +552,86 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                             console.log('Received pong from server');
                                             return;
                                         }
-                                        
-                                        if (data.event === 'transcript' && data.text) {
-                                            // Process the transcript through the conversation flow
-                                            try {
-                                                const agentResponse = await processConversationTurn(data.text);
-                                                console.log('Agent response:', agentResponse);
-                                            } catch (error) {
-                                                console.error('Error processing conversation turn:', error);
+
+                                        // The server ended the session (timeout): play the final message, then hang up
+                                        if (data.event === 'session-ended') {
+                                            console.log('Session ended by server:', data.reason);
+                                            const audioContext = outputAudioContextRef.current;
+                                            if (!data.audio || !audioContext) {
+                                                stopCall();
+                                                return;
                                             }
-                                        } else if (data.event === 'audio' && data.audio) {
-                                            // Play audio response from backend
                                             try {
-                                                console.log('Playing agent response audio');
-                                                
-                                                // Use the output audio context we already have
-                                                if (!outputAudioContextRef.current) {
-                                                    outputAudioContextRef.current = new (window.AudioContext || (window as any).webkitAudioContext)();
-                                                }
-                                                
-                                                const audioContext = outputAudioContextRef.current;
-                                                const binary = atob(data.audio);
-                                                const array = new Uint8Array(binary.length);
-                                                for (let i = 0; i < binary.length; i++) {
-                                                    array[i] = binary.charCodeAt(i);
-                                                }
-                                                
-                                                const audioBuffer = await audioContext.decodeAudioData(array.buffer);
+                                                const bytes = Uint8Array.from(atob(data.audio), char => char.charCodeAt(0));
+                                                const audioBuffer = await audioContext.decodeAudioData(bytes.buffer);
                                                 const source = audioContext.createBufferSource();
                                                 source.buffer = audioBuffer;
                                                 source.connect(audioContext.destination);
-                                                
-                                                // Store reference to stop previous audio if needed
-                                                audioSourcesRef.current.forEach(prevSource => {
-                                                    try {
-                                                        prevSource.stop();
-                                                    } catch (error) {
-                                                        console.error('Error stopping previous audio:', error);
-                                                    }
-                                                });
-                                                audioSourcesRef.current.clear();
-                                                
-                                                // Store this source and play it
-                                                audioSourcesRef.current.add(source);
+                                                source.onended = () => stopCall();
                                                 source.start();
-                                                console.log('Agent audio started playing');
                                             } catch (error) {
-                                                console.error('Error playing audio response:', error);
+                                                console.error('Error playing session end message:', error);
+                                                stopCall();
                                             }
+                                            return;
+                                        }
+                                        
+                                        if (data.event === 'transcript' && data.text) {
+                                            // The server answers the caller itself, with the whole conversation as context
+                                            setCallTranscript(prev => [...prev, { sender: 'user', text: data.text }]);
+                                        } else if (data.event === 'agent-response' && data.text) {
+                                            setCallTranscript(prev => [...prev, { sender: 'agent', text: data.text }]);
+                                        } else if (data.event === 'clear') {
+                                            // The caller talked over the agent
+                                            stopAgentAudio();
+                                        } else if (data.event === 'audio' && data.audio) {
+                                            // One clip per sentence, as soon as it is synthesized; the server
+                                            // hears back when each starts and ends (barge-in, end of turn)
+                                            const clipId = data.id;
+                                            const generation = audioGenerationRef.current;
+                                            const report = (event: string) => {
+                                                if (webSocketRef.current && webSocketRef.current.readyState === WebSocket.OPEN) {
+                                                    webSocketRef.current.send(JSON.stringify({ event, id: clipId }));
+                                                }
+                                            };
+                                            audioDecodeChainRef.current = audioDecodeChainRef.current.then(async () => {
+                                                if (generation !== audioGenerationRef.current) return;
+                                                try {
+                                                    // Use the output audio context we already have
+                                                    if (!outputAudioContextRef.current) {
+                                                        outputAudioContextRef.current = new (window.AudioContext || (window as any).webkitAudioContext)();
+                                                    }
+                                                    
+                                                    const audioContext = outputAudioContextRef.current;
+                                                    const binary = atob(data.audio);
+                                                    const array = new Uint8Array(binary.length);
+                                                    for (let i = 0; i < binary.length; i++) {
+                                                        array[i] = binary.charCodeAt(i);
+                                                    }
+                                                    
+                                                    const audioBuffer = await audioContext.decodeAudioData(array.buffer);
+                                                    if (generation !== audioGenerationRef.current) return;
+                                                    const source = audioContext.createBufferSource();
+                                                    source.buffer = audioBuffer;
+                                                    source.connect(audioContext.destination);
+                                                    
+                                                    // Queue after what is still playing, like a phone line would
+                                                    const startAt = Math.max(audioContext.currentTime, nextStartTimeRef.current);
+                                                    nextStartTimeRef.current = startAt + audioBuffer.duration;
+                                                    audioSourcesRef.current.add(source);
+                                                    const startedTimer = setTimeout(() => report('audio-started'), (startAt - audioContext.currentTime) * 1000);
+                                                    source.onended = () => {
+                                                        clearTimeout(startedTimer);
+                                                        // A clip stopped by 'clear' was not played out
+                                                        if (audioSourcesRef.current.delete(source)) report('audio-ended');
+                                                    };
+                                                    source.start(startAt);
+                                                } catch (error) {
+                                                    console.error('Error playing audio response:', error);
+                                                    // Don't leave the server waiting for a clip that will never play
+                                                    report('audio-ended');
+                                                }
+                                            });
                                         }
                                     };
                                     
@@ -710,14 +643,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                             if (isCallStillActive && !webSocketRef.current) {
                                                 console.log('Attempting to reconnect WebSocket...');
                                                 // Re-establish WebSocket connection
-                                                const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                                                const apiHostUrl = import.meta.env.VITE_API_BASE_URL?.split('/api')[0] || 'http://localhost:5000';
-                                                const wsHost = new URL(apiHostUrl).host;
-                                                const voiceId = editedAgent.voiceId || 'default';
-                                                const agentId = editedAgent.id;
-                                                const agentIdentity = encodeURIComponent(editedAgent.identity || '');
-                                                const wsUrl = `${wsProtocol}//${wsHost}/voice-stream?voiceId=${encodeURIComponent(voiceId)}&agentId=${agentId}&identity=${agentIdentity}`;
-                                                webSocketRef.current = new WebSocket(wsUrl);
+                                                webSocketRef.current = new WebSocket(buildVoiceStreamUrl());
                                             }
                                         }, 1000);
                                     };
@@ -775,8 +701,6 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
         console.log('Setting isCallActive to false');
         console.log('Call stack for setting isCallActive to false:', new Error().stack);
         setIsCallActive(false);
-        // Reset the greeting sent flag when stopping the call
-        greetingSentRef.current = false;
 
         // Stop audio processing
         if (scriptProcessorRef.current) {
@@ -812,9 +736,6 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
             }
         }
         outputAudioContextRef.current = null;
-        
-        // Clear conversation history when call ends
-        conversationHistoryRef.current = [];
     }, []);
 
     // Cleanup effect for voice call resources
@@ -864,251 +785,11 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                 }
             });
             
-            // Reset the greeting sent flag
-            greetingSentRef.current = false;
-            
             // Reset speech recognition retry count
             speechRecognitionRetryCountRef.current = 0;
         }
     }, []);
 
-    // Initialize the call with AI greeting if userStartsFirst is false
-    useEffect(() => {
-        const isCallActuallyActive = isCallActive || callActiveDebugRef.current;
-        if (isCallActuallyActive && !editedAgent.settings.userStartsFirst) {
-            // Use a ref to ensure the greeting is only sent once
-            if (!greetingSentRef.current) {
-                greetingSentRef.current = true;
-                
-                // Send initial greeting from the agent
-                const sendInitialGreeting = async () => {
-                    try {
-                        // Get Eleven Labs API key from environment variables
-                        const elevenLabsApiKey = import.meta.env.VITE_ELEVEN_LABS_API_KEY;
-                        if (!elevenLabsApiKey) {
-                            throw new Error('Eleven Labs API key is not configured');
-                        }
-                        
-                        // Create Eleven Labs client
-                        // @ts-ignore
-                        const elevenLabsClient = new ElevenLabsClient({
-                            apiKey: elevenLabsApiKey
-                        });
-                        
-                        // Map voice IDs to Eleven Labs voice IDs
-                        const elevenLabsVoiceMap: { [key: string]: string } = {
-                            'eleven-rachel': '21m00Tcm4TlvDq8ikWAM',
-                            'eleven-drew': '29vD33N1CtxCmqQRPOHJ',
-                            'eleven-clyde': '2EiwWnXFnvU5JabPnv8n',
-                            'eleven-zara': 'D38z5RcWu1voky8WS1ja',
-                            'eleven-indian-monika': '1qEiC6qsybMkmnNdVMbK',
-                            'eleven-indian-sagar': 'Qc0h5B5Mqs8oaH4sFZ9X'
-                        };
-                        
-                        const elevenLabsVoiceId = elevenLabsVoiceMap[editedAgent.voiceId] || editedAgent.voiceId;
-                        
-                        // Convert greeting to speech using Eleven Labs
-                        // @ts-ignore
-                        const audioStream = await elevenLabsClient.textToSpeech.convert(
-                            elevenLabsVoiceId,
-                            {
-                                text: editedAgent.settings.greetingLine,
-                                modelId: 'eleven_multilingual_v2',
-                                voiceSettings: {
-                                    stability: 0.5,
-                                    similarityBoost: 0.5
-                                }
-                            }
-                        );
-                        
-                        // Play the greeting
-                        const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-                        const arrayBuffer = await new Response(audioStream).arrayBuffer();
-                        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-                        const source = audioContext.createBufferSource();
-                        source.buffer = audioBuffer;
-                        source.connect(audioContext.destination);
-                        
-                        pauseRecognition();
-                        source.start();
-                        source.onended = () => resumeRecognition();
-                    } catch (error) {
-                        console.error('Error sending initial greeting:', error);
-                    }
-                };
-                
-                // Send the initial greeting when the call starts
-                sendInitialGreeting();
-            }
-        } else {
-            // Reset the greeting sent flag when call is not active
-            greetingSentRef.current = false;
-        }
-    }, [isCallActive, editedAgent.settings.userStartsFirst, editedAgent.voiceId, editedAgent.settings.greetingLine]);
-    
-    // Enhanced conversation processing with knowledge base integration
-    const processConversationTurn = async (userInput: string) => {
-        try {
-            // Add user input to conversation history
-            conversationHistoryRef.current.push({ role: 'user', text: userInput });
-            
-            // Fetch knowledge base documents if any are linked to this agent
-            let knowledgeBaseContent = '';
-            if (editedAgent.settings.knowledgeDocIds && editedAgent.settings.knowledgeDocIds.length > 0 && userId) {
-                try {
-                    const documentService = new DocumentService();
-                    const docContents = await Promise.all(
-                        editedAgent.settings.knowledgeDocIds.map(docId => 
-                            documentService.getDocumentContent(docId)
-                        )
-                    );
-                    knowledgeBaseContent = docContents.filter(content => content).join('\n\n');
-                } catch (error) {
-                    console.error('Error fetching knowledge base documents:', error);
-                }
-            }
-            
-            // Send text to LLM for response with full conversation history
-            const llmService = new LLMService(import.meta.env.VITE_GEMINI_API_KEY);
-            
-            // Prepare contents for API with complete conversation history
-            const contentsForApi = conversationHistoryRef.current.map(msg => ({
-                role: msg.role === 'agent' ? 'model' : 'user',
-                parts: [{ text: msg.text }]
-            }));
-            
-            // Enhance system instruction with knowledge base content if available
-            let systemInstruction = editedAgent.identity;
-            if (knowledgeBaseContent) {
-                systemInstruction += `\n\nKnowledge Base:\n${knowledgeBaseContent}`;
-            }
-            
-            // Add tool information to system instruction if tools are configured
-            if (editedAgent.settings.tools && editedAgent.settings.tools.length > 0) {
-                const toolDescriptions = editedAgent.settings.tools.map(tool => 
-                    `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                ).join('\n');
-                
-                systemInstruction += `
-
-Available Tools:
-${toolDescriptions}
-
-When you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}`;
-            }
-            
-            // Generate response using LLM with conversation context
-            const result = await llmService.generateContent({
-                model: editedAgent.model,
-                contents: contentsForApi,
-                config: { systemInstruction }
-            });
-            
-            let agentResponse = result.text;
-            
-            // Check if the response contains tool execution instructions
-            try {
-                const jsonResponse = JSON.parse(agentResponse);
-                if (jsonResponse.tool && jsonResponse.data) {
-                    // Execute the tool
-                    const toolExecutionService = new ToolExecutionService();
-                    const tool = editedAgent.settings.tools.find(t => t.name === jsonResponse.tool);
-                    
-                    if (tool) {
-                        const success = await toolExecutionService.executeTool(tool, jsonResponse.data);
-                        
-                        if (success) {
-                            agentResponse = `I've successfully collected that information and saved it to ${tool.name}.`;
-                        } else {
-                            agentResponse = `I encountered an issue while saving your information to ${tool.name}. Let's try again.`;
-                        }
-                    } else {
-                        agentResponse = `I couldn't find the tool "${jsonResponse.tool}". Let's continue our conversation.`;
-                    }
-                }
-            } catch (e) {
-                // Not a JSON response, continue with normal response
-            }
-            
-            // Add agent response to conversation history
-            conversationHistoryRef.current.push({ role: 'agent', text: agentResponse });
-            
-            // Get Eleven Labs API key from environment variables
-            const elevenLabsApiKey = import.meta.env.VITE_ELEVEN_LABS_API_KEY;
-            if (!elevenLabsApiKey) {
-                throw new Error('Eleven Labs API key is not configured');
-            }
-            
-            // Create Eleven Labs client
-            // @ts-ignore
-            const elevenLabsClient = new ElevenLabsClient({
-                apiKey: elevenLabsApiKey
-            });
-            
-            // Map voice IDs to Eleven Labs voice IDs
-            const elevenLabsVoiceMap: { [key: string]: string } = {
-                'eleven-rachel': '21m00Tcm4TlvDq8ikWAM',
-                'eleven-drew': '29vD33N1CtxCmqQRPOHJ',
-                'eleven-clyde': '2EiwWnXFnvU5JabPnv8n',
-                'eleven-zara': 'D38z5RcWu1voky8WS1ja',
-                'eleven-indian-monika': '1qEiC6qsybMkmnNdVMbK',
-                'eleven-indian-sagar': 'Qc0h5B5Mqs8oaH4sFZ9X'
-            };
-            
-            const elevenLabsVoiceId = elevenLabsVoiceMap[editedAgent.voiceId] || editedAgent.voiceId;
-            
-            // Convert response to speech using Eleven Labs
-            // @ts-ignore
-            const audioStream = await elevenLabsClient.textToSpeech.convert(
-                elevenLabsVoiceId,
-                {
-                    text: agentResponse,
-                    modelId: 'eleven_multilingual_v2',
-                    voiceSettings: {
-                        stability: 0.5,
-                        similarityBoost: 0.5
-                    }
-                }
-            );
-            
-            // Play the response with race condition protection
-            const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-            const arrayBuffer = await new Response(audioStream).arrayBuffer();
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-            const source = audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(audioContext.destination);
-            
-            // Prevent race conditions by ensuring playback happens only once
-            let playbackStarted = false;
-            const startPlayback = () => {
-                if (!playbackStarted) {
-                    playbackStarted = true;
-                    pauseRecognition();
-                    source.start();
-                }
-            };
-            
-            // Set up completion handler
-            source.onended = () => {
-                if (playbackStarted) {
-                    resumeRecognition();
-                }
-            };
-            
-            // Start playback
-            startPlayback();
-            
-            console.log('Conversation turn processed:', { userInput, agentResponse });
-            return agentResponse;
-        } catch (error) {
-            console.error('Error processing conversation turn:', error);
-            // Still resume recognition even if there's an error
-            resumeRecognition();
-            throw error;
-        }
-    };
-    
     const handleSettingsChange = useCallback((e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
         const { name, value, type } = e.target;
         
@@ -1153,6 +834,42 @@ When you need to collect information from the user, ask for the required paramet
         });
     }, [updateAgent]);
 
+    const setAmbientSound = (soundId: string) => {
+        const newAgent = { ...editedAgent, settings: { ...editedAgent.settings, backgroundAmbientSound: soundId } };
+        setEditedAgent(newAgent);
+        updateAgent(newAgent);
+    };
+
+    const handleAmbientSoundUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !userId) return;
+
+        setIsUploadingAmbientSound(true);
+        setAmbientSoundError(null);
+        try {
+            const sound = await ambientSoundService.uploadSound(userId, file);
+            setAmbientSounds(prev => [...prev, sound]);
+            setAmbientSound(sound.id);
+        } catch (error) {
+            setAmbientSoundError(error instanceof Error ? error.message : 'Failed to upload ambient sound');
+        } finally {
+            setIsUploadingAmbientSound(false);
+        }
+    };
+
+    const handleAmbientSoundDelete = async (soundId: string) => {
+        if (!userId) return;
+        setAmbientSoundError(null);
+        try {
+            await ambientSoundService.deleteSound(userId, soundId);
+            setAmbientSounds(prev => prev.filter(sound => sound.id !== soundId));
+            if (editedAgent.settings.backgroundAmbientSound === soundId) setAmbientSound('');
+        } catch (error) {
+            setAmbientSoundError(error instanceof Error ? error.message : 'Failed to delete ambient sound');
+        }
+    };
+
     const updateDataCollectionTool = (sheetUrl: string) => {
         // Define the data collection parameters
         const dataCollectionParams = [
@@ -1202,6 +919,26 @@ When you need to collect information from the user, ask for the required paramet
         });
     };
     
+    const updateTransferDestinations = (update: (destinations: TransferDestination[]) => TransferDestination[]) => {
+        setEditedAgent(prev => {
+            const agent = { ...prev, settings: { ...prev.settings } };
+            agent.settings.transferDestinations = update(prev.settings.transferDestinations || []);
+            updateAgent(agent);
+            return agent;
+        });
+    };
+
+    const handleAddTransferDestination = () => updateTransferDestinations(destinations => [
+        ...destinations,
+        { id: `transfer-${Date.now()}`, name: '', phoneNumber: '', description: '', transferType: 'cold' },
+    ]);
+
+    const handleTransferDestinationChange = (id: string, field: keyof TransferDestination, value: string) =>
+        updateTransferDestinations(destinations => destinations.map(d => (d.id === id ? { ...d, [field]: value } : d)));
+
+    const handleRemoveTransferDestination = (id: string) =>
+        updateTransferDestinations(destinations => destinations.filter(d => d.id !== id));
+
     const copyToClipboard = (text: string, type: string) => navigator.clipboard.writeText(text).then(() => alert(`${type} copied to clipboard!`));
     
     const handleSavePrompt = () => {
@@ -1210,15 +947,15 @@ When you need to collect information from the user, ask for the required paramet
     };
     const handleCancelPrompt = () => { setEditedAgent(p => ({ ...p, identity: agent.identity })); setIsEditingPrompt(false); };
     
-    const handleSaveModel = (newModelId: string) => {
-        const updatedAgent = { ...editedAgent, model: newModelId };
+    const handleSaveModel = (newModelId: string, llmBaseUrl?: string) => {
+        const updatedAgent = { ...editedAgent, model: newModelId, settings: { ...editedAgent.settings, llmBaseUrl: llmBaseUrl || '' } };
         setEditedAgent(updatedAgent);
         updateAgent(updatedAgent);
         setModelModalOpen(false);
     };
 
-    const handleSaveVoice = (newVoiceId: string) => {
-        let updatedAgent = { ...editedAgent, voiceId: newVoiceId };
+    const handleSaveVoice = (newVoiceId: string, voiceSettings: VoiceSettings) => {
+        let updatedAgent = { ...editedAgent, voiceId: newVoiceId, voiceSettings };
     
         // Auto-update language if the current one is not supported by the new voice provider
         const newProviderId = getVoiceProviderById(newVoiceId);
@@ -1478,10 +1215,27 @@ When you need to collect information from the user, ask for the required paramet
 
     const ModelSelectionModal: React.FC<{
         onClose: () => void;
-        onSave: (modelId: string) => void;
+        onSave: (modelId: string, llmBaseUrl?: string) => void;
         currentModelId: string;
-    }> = ({ onClose, onSave, currentModelId }) => {
-        const [selectedModel, setSelectedModel] = useState(currentModelId);
+        currentBaseUrl: string;
+    }> = ({ onClose, onSave, currentModelId, currentBaseUrl }) => {
+        const isCustom = currentModelId.startsWith(CUSTOM_MODEL_PREFIX);
+        const [selectedModel, setSelectedModel] = useState(isCustom ? CUSTOM_MODEL_PREFIX : currentModelId);
+        const [customModelName, setCustomModelName] = useState(isCustom ? currentModelId.slice(CUSTOM_MODEL_PREFIX.length) : '');
+        const [customBaseUrl, setCustomBaseUrl] = useState(currentBaseUrl || '');
+        const customSelected = selectedModel === CUSTOM_MODEL_PREFIX;
+
+        const handleSave = () => {
+            if (!customSelected) {
+                onSave(selectedModel);
+                return;
+            }
+            if (!customModelName.trim() || !customBaseUrl.trim()) {
+                alert('Enter the model name and the base URL of your endpoint.');
+                return;
+            }
+            onSave(`${CUSTOM_MODEL_PREFIX}${customModelName.trim()}`, customBaseUrl.trim());
+        };
     
         return (
             <Modal isOpen={true} onClose={onClose} title="Select Language Model">
@@ -1508,13 +1262,31 @@ When you need to collect information from the user, ask for the required paramet
                             </div>
                         </div>
                     ))}
+                    <div
+                        onClick={() => setSelectedModel(CUSTOM_MODEL_PREFIX)}
+                        className={`p-4 border rounded-lg cursor-pointer transition-all ${customSelected ? 'border-primary ring-2 ring-primary bg-primary/5' : 'border-slate-300 dark:border-slate-700 hover:border-slate-400 dark:hover:border-slate-500'}`}
+                    >
+                        <div className="flex items-center">
+                            <CustomLlmIcon className="h-8 w-8 mr-4 text-slate-600 dark:text-slate-300 flex-shrink-0" />
+                            <div className="flex-grow">
+                                <h4 className="font-semibold text-slate-800 dark:text-slate-100">Custom LLM</h4>
+                                <p className="text-sm text-slate-500 dark:text-slate-400">Any OpenAI-compatible chat endpoint, including self-hosted ones. Uses your Custom LLM key from the API page, if it needs one.</p>
+                            </div>
+                        </div>
+                        {customSelected && (
+                            <div className="mt-4 space-y-3" onClick={e => e.stopPropagation()}>
+                                <input type="text" value={customModelName} onChange={e => setCustomModelName(e.target.value)} placeholder="Model name, e.g. llama3.1" className="w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                                <input type="url" value={customBaseUrl} onChange={e => setCustomBaseUrl(e.target.value)} placeholder="Base URL, e.g. https://llm.example.com/v1" className="w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                        )}
+                    </div>
                 </div>
                 <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
                     <button onClick={onClose} className="bg-slate-200 dark:bg-slate-600 px-4 py-2 rounded-md font-semibold text-slate-800 dark:text-slate-100 hover:bg-slate-300 dark:hover:bg-slate-500 transition-colors">
                         Cancel
                     </button>
                     <button
-                        onClick={() => onSave(selectedModel)}
+                        onClick={handleSave}
                         className="bg-primary text-white px-4 py-2 rounded-md font-semibold hover:bg-primary-dark transition-colors"
                     >
                         Save
@@ -1526,11 +1298,26 @@ When you need to collect information from the user, ask for the required paramet
     
     const VoiceSelectionModal: React.FC<{
         onClose: () => void;
-        onSave: (voiceId: string) => void;
+        onSave: (voiceId: string, voiceSettings: VoiceSettings) => void;
         currentVoiceId: string;
-    }> = ({ onClose, onSave, currentVoiceId }) => {
+        currentVoiceSettings?: VoiceSettings | null;
+    }> = ({ onClose, onSave, currentVoiceId, currentVoiceSettings }) => {
         const [selectedProvider, setSelectedProvider] = useState(() => getVoiceProviderById(currentVoiceId));
         const [selectedVoice, setSelectedVoice] = useState(currentVoiceId);
+        const [voiceSettings, setVoiceSettings] = useState<VoiceSettings>({ ...DEFAULT_VOICE_SETTINGS, ...currentVoiceSettings });
+
+        const updateVoiceSetting = <K extends keyof VoiceSettings>(key: K, value: VoiceSettings[K]) => {
+            setVoiceSettings(prev => ({ ...prev, [key]: value }));
+        };
+        const updatePronunciation = (index: number, field: 'word' | 'say', value: string) => {
+            updateVoiceSetting('pronunciations', voiceSettings.pronunciations.map((rule, i) => i === index ? { ...rule, [field]: value } : rule));
+        };
+        const sliders: { key: 'stability' | 'similarityBoost' | 'style' | 'speed'; label: string; min: number; max: number; step: number }[] = [
+            { key: 'stability', label: 'Stability', min: 0, max: 1, step: 0.05 },
+            { key: 'similarityBoost', label: 'Similarity', min: 0, max: 1, step: 0.05 },
+            { key: 'style', label: 'Style exaggeration', min: 0, max: 1, step: 0.05 },
+            { key: 'speed', label: 'Speed', min: 0.7, max: 1.2, step: 0.05 },
+        ];
     
         useEffect(() => {
             const voicesForProvider = AVAILABLE_VOICES[selectedProvider] || [];
@@ -1581,7 +1368,7 @@ When you need to collect information from the user, ask for the required paramet
                                                                                 if (isPlayingPreview) {
                                                                                     stopVoicePreview();
                                                                                 } else {
-                                                                                    playVoicePreview(voice.id);
+                                                                                    playVoicePreview(voice.id, voiceSettings);
                                                                                 }
                                                                             }} 
                                                                             className="p-1 text-slate-500 hover:text-primary-dark dark:hover:text-primary-light"
@@ -1597,13 +1384,58 @@ When you need to collect information from the user, ask for the required paramet
                             ))}
                         </div>
                     </div>
+                    <div>
+                        <h4 className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Voice Settings</h4>
+                        <p className="text-xs text-slate-500 dark:text-slate-400 mb-3">Preview a voice to hear these settings.</p>
+                        <div className="space-y-3">
+                            {sliders.map(slider => (
+                                <div key={slider.key}>
+                                    <div className="flex justify-between text-sm text-slate-600 dark:text-slate-300">
+                                        <label htmlFor={`voice-${slider.key}`}>{slider.label}</label>
+                                        <span>{voiceSettings[slider.key].toFixed(2)}</span>
+                                    </div>
+                                    <input id={`voice-${slider.key}`} type="range" min={slider.min} max={slider.max} step={slider.step} value={voiceSettings[slider.key]} onChange={e => updateVoiceSetting(slider.key, parseFloat(e.target.value))} className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer dark:bg-slate-700" />
+                                </div>
+                            ))}
+                            <div>
+                                <label htmlFor="voice-ttsModel" className="block text-sm text-slate-600 dark:text-slate-300">TTS Model</label>
+                                <select id="voice-ttsModel" value={voiceSettings.ttsModel} onChange={e => updateVoiceSetting('ttsModel', e.target.value)} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                    {ELEVENLABS_TTS_MODELS.map(model => <option key={model.id} value={model.id}>{model.name}</option>)}
+                                </select>
+                            </div>
+                        </div>
+                    </div>
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <h4 className="text-sm font-medium text-slate-700 dark:text-slate-300">Pronunciation Dictionary</h4>
+                            <button type="button" onClick={() => updateVoiceSetting('pronunciations', [...voiceSettings.pronunciations, { word: '', say: '' }])} className="text-primary font-semibold text-sm">Add Word</button>
+                        </div>
+                        {voiceSettings.pronunciations.length === 0 ? (
+                            <p className="text-xs text-slate-500 dark:text-slate-400">Words the agent should say differently, e.g. "SQL" as "sequel".</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {voiceSettings.pronunciations.map((rule, index) => (
+                                    <div key={index} className="grid grid-cols-[1fr_1fr_auto] gap-x-2 items-center">
+                                        <input type="text" value={rule.word} onChange={e => updatePronunciation(index, 'word', e.target.value)} placeholder="Word" className="w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                                        <input type="text" value={rule.say} onChange={e => updatePronunciation(index, 'say', e.target.value)} placeholder="Say it as" className="w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                                        <button type="button" onClick={() => updateVoiceSetting('pronunciations', voiceSettings.pronunciations.filter((_, i) => i !== index))} className="text-red-500 hover:text-red-400 p-1">
+                                            <TrashIcon className="w-5 h-5" />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
                 </div>
                 <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
                     <button onClick={onClose} className="bg-slate-200 dark:bg-slate-600 px-4 py-2 rounded-md font-semibold text-slate-800 dark:text-slate-100 hover:bg-slate-300 dark:hover:bg-slate-500 transition-colors">
                         Cancel
                     </button>
                     <button
-                        onClick={() => onSave(selectedVoice)}
+                        onClick={() => onSave(selectedVoice, {
+                            ...voiceSettings,
+                            pronunciations: voiceSettings.pronunciations.filter(rule => rule.word.trim() && rule.say.trim()),
+                        })}
                         className="bg-primary text-white px-4 py-2 rounded-md font-semibold hover:bg-primary-dark transition-colors"
                     >
                         Save
@@ -1672,6 +1504,9 @@ When you need to collect information from the user, ask for the required paramet
         const [availableDocs, setAvailableDocs] = useState<{id: string; name: string; size: string; uploadedDate: string}[]>([]);
         const [loading, setLoading] = useState(false);
         const [error, setError] = useState<string | null>(null);
+        const [uploadErrors, setUploadErrors] = useState<{ name: string; message: string }[]>([]);
+        const [previewDoc, setPreviewDoc] = useState<ExtractedDocument | null>(null);
+        const [previewLoadingId, setPreviewLoadingId] = useState<string | null>(null);
         const fileInputRef = useRef<HTMLInputElement>(null);
         
         const documentService = new DocumentService();
@@ -1686,6 +1521,8 @@ When you need to collect information from the user, ask for the required paramet
                 }
                 
                 setLocalSettings(JSON.parse(JSON.stringify(agent.settings)));
+                setUploadErrors([]);
+                setPreviewDoc(null);
                 loadDocuments();
             }
         }, [agent, isOpen, userId]);
@@ -1745,6 +1582,7 @@ When you need to collect information from the user, ask for the required paramet
                     
                     setLoading(true);
                     setError(null);
+                    setUploadErrors([]);
                     
                     const files = Array.from(event.target.files) as File[];
                     
@@ -1756,12 +1594,30 @@ When you need to collect information from the user, ask for the required paramet
                         }
                     }
                     
-                    // Upload each file
-                    const uploadPromises = files.map(file => 
+                    // Upload each file; the server extracts its text, and a file that
+                    // can't be read is reported on its own without failing the others
+                    const results = await Promise.allSettled(files.map(file => 
                         documentService.uploadDocument(userId, file, agent.id)
-                    );
+                    ));
                     
-                    const uploadedDocs = await Promise.all(uploadPromises);
+                    const uploadedDocs: ExtractedDocument[] = [];
+                    const failures: { name: string; message: string }[] = [];
+                    results.forEach((result, i) => {
+                        if (result.status === 'fulfilled') {
+                            uploadedDocs.push(result.value);
+                        } else {
+                            failures.push({
+                                name: files[i].name,
+                                message: result.reason instanceof Error ? result.reason.message : 'Unknown error'
+                            });
+                        }
+                    });
+                    setUploadErrors(failures);
+                    
+                    // Show the extracted text so it can be checked before adding the document
+                    if (uploadedDocs.length > 0) {
+                        setPreviewDoc(uploadedDocs[0]);
+                    }
                     
                     // Format uploaded documents for display
                     const newDocs = uploadedDocs.map(doc => ({
@@ -1791,6 +1647,18 @@ When you need to collect information from the user, ask for the required paramet
             fileInputRef.current?.click();
         };
 
+        const handlePreview = async (docId: string) => {
+            try {
+                setPreviewLoadingId(docId);
+                setPreviewDoc(await documentService.getDocument(docId, userId));
+            } catch (err) {
+                console.error('Error loading document preview:', err);
+                setError('Failed to load document preview: ' + (err instanceof Error ? err.message : 'Unknown error'));
+            } finally {
+                setPreviewLoadingId(null);
+            }
+        };
+
         const handleSave = async () => {
             try {
                 // First save the settings
@@ -1825,7 +1693,7 @@ When you need to collect information from the user, ask for the required paramet
                         onChange={handleFileChange}
                         className="hidden"
                         multiple
-                        accept=".pdf,.doc,.docx,.txt,.md,.csv"
+                        accept=".pdf,.docx,.html,.htm,.txt,.md,.markdown,.csv"
                     />
                     <div className="px-8 py-5">
                         <h2 className="text-2xl font-semibold">Update Agent Knowledge</h2>
@@ -1849,6 +1717,42 @@ When you need to collect information from the user, ask for the required paramet
                             </div>
                         )}
                         
+                        {uploadErrors.length > 0 && (
+                            <div className="bg-red-900 text-red-100 p-3 rounded-md space-y-1">
+                                <p className="font-semibold">Some documents could not be read:</p>
+                                {uploadErrors.map(failure => (
+                                    <p key={failure.name} className="text-sm"><span className="font-medium">{failure.name}:</span> {failure.message}</p>
+                                ))}
+                            </div>
+                        )}
+                        
+                        {activeTab === 'knowledge' && !loading && previewDoc && (
+                            <div className="bg-[#1E293B] p-6 rounded-lg">
+                                <div className="flex justify-between items-start gap-4">
+                                    <div>
+                                        <h3 className="font-semibold text-lg">{previewDoc.name}</h3>
+                                        <p className="text-sm text-slate-400 mt-1">
+                                            Extracted text{previewDoc.fileType ? ` (${previewDoc.fileType.toUpperCase()})` : ''} · {previewDoc.content.length.toLocaleString()} characters · {previewDoc.sections.length} {previewDoc.fileType === 'pdf' ? 'page(s)' : 'section(s)'}
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-3">
+                                        {!addedDocIds.has(previewDoc.id) && (
+                                            <button onClick={() => handleAddDoc(previewDoc.id)} className="bg-primary hover:bg-primary-dark text-white font-bold py-2 px-3 rounded-lg text-sm">Add to Agent</button>
+                                        )}
+                                        <button onClick={() => setPreviewDoc(null)} className="text-slate-400 hover:text-white"><XMarkIcon className="h-5 w-5"/></button>
+                                    </div>
+                                </div>
+                                <div className="mt-4 max-h-80 overflow-y-auto bg-[#0F172A] rounded-md p-4 space-y-4">
+                                    {(previewDoc.sections.length > 0 ? previewDoc.sections : [{ title: previewDoc.name, start: 0, end: previewDoc.content.length }]).map((section, i) => (
+                                        <div key={i}>
+                                            <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">{section.title}</p>
+                                            <p className="text-sm text-slate-200 whitespace-pre-wrap mt-1">{previewDoc.content.substring(section.start, section.end)}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                        
                         {activeTab === 'knowledge' && !loading && (
                             <>
                                 <div className="bg-[#1E293B] p-6 rounded-lg">
@@ -1865,7 +1769,10 @@ When you need to collect information from the user, ask for the required paramet
                                                             <DocumentTextIcon className="h-6 w-6 text-slate-400" />
                                                             <span className="font-medium">{doc.name}</span>
                                                         </div>
-                                                        <button onClick={() => handleRemoveDoc(doc.id)} className="text-slate-400 hover:text-white"><XMarkIcon className="h-5 w-5"/></button>
+                                                        <div className="flex items-center gap-3">
+                                                            <button onClick={() => handlePreview(doc.id)} disabled={previewLoadingId === doc.id} className="text-slate-400 hover:text-white disabled:opacity-50" title="Preview extracted text"><EyeIcon className="h-5 w-5"/></button>
+                                                            <button onClick={() => handleRemoveDoc(doc.id)} className="text-slate-400 hover:text-white"><XMarkIcon className="h-5 w-5"/></button>
+                                                        </div>
                                                     </div>
                                                 ))}
                                             </div>
@@ -1890,7 +1797,10 @@ When you need to collect information from the user, ask for the required paramet
                                                         <DocumentTextIcon className="h-6 w-6 text-slate-400" />
                                                         <span className="font-medium">{doc.name}</span>
                                                     </div>
-                                                    <button onClick={() => handleAddDoc(doc.id)} className="text-primary hover:text-emerald-400 font-semibold text-sm">Add</button>
+                                                    <div className="flex items-center gap-3">
+                                                        <button onClick={() => handlePreview(doc.id)} disabled={previewLoadingId === doc.id} className="text-slate-400 hover:text-white disabled:opacity-50" title="Preview extracted text"><EyeIcon className="h-5 w-5"/></button>
+                                                        <button onClick={() => handleAddDoc(doc.id)} className="text-primary hover:text-emerald-400 font-semibold text-sm">Add</button>
+                                                    </div>
                                                 </div>
                                             ))}
                                         </div>
@@ -2204,6 +2114,7 @@ When you need to collect information from the user, ask for the required paramet
                     onClose={() => setModelModalOpen(false)}
                     onSave={handleSaveModel}
                     currentModelId={editedAgent.model}
+                    currentBaseUrl={editedAgent.settings.llmBaseUrl || ''}
                 />
             )}
              {isVoiceModalOpen && (
@@ -2211,6 +2122,7 @@ When you need to collect information from the user, ask for the required paramet
                     onClose={() => setVoiceModalOpen(false)}
                     onSave={handleSaveVoice}
                     currentVoiceId={editedAgent.voiceId}
+                    currentVoiceSettings={editedAgent.voiceSettings}
                 />
             )}
             {isLanguageModalOpen && (
@@ -2331,15 +2243,72 @@ When you need to collect information from the user, ask for the required paramet
                             <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the first message the agent says to start the conversation. Leave blank to disable.</p>
                             <input type="text" id="greetingLine" name="settings.greetingLine" value={editedAgent.settings.greetingLine} onChange={handleSettingsChange} className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
                         </div>
+                        {!editedAgent.settings.userStartsFirst && (
+                            <div>
+                                <label htmlFor="greetingDelayMs" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Greeting Delay</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Milliseconds to wait after the call connects before the agent says the greeting.</p>
+                                <input type="number" id="greetingDelayMs" name="settings.greetingDelayMs" value={editedAgent.settings.greetingDelayMs ?? 500} onChange={handleSettingsChange} min="0" max="10000" step="100" className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                        )}
                         <SettingsToggle label="Response Delay" description="Set a fixed delay before the agent processes user input and responds." name="settings.responseDelay" checked={editedAgent.settings.responseDelay} onChange={handleSettingsChange} />
                         <SettingsToggle label="Inactivity Handling" description="Configure the agent to prompt the user after a period of inactivity, ensuring the user is still engaged." name="settings.inactivityHandling" checked={editedAgent.settings.inactivityHandling} onChange={handleSettingsChange} />
+                        {editedAgent.settings.inactivityHandling && (
+                            <div>
+                                <label htmlFor="inactivityPrompts" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Inactivity Prompts</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">One per line, spoken in order after each silence. Leave blank to use the built-in prompts in the agent's language.</p>
+                                <textarea id="inactivityPrompts" name="settings.inactivityPrompts" value={editedAgent.settings.inactivityPrompts || ''} onChange={handleSettingsChange} rows={2} className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                        )}
                         <SettingsToggle label="Agent can terminate call" description="Agent will be able to decide to terminate the call by itself." name="settings.agentCanTerminateCall" checked={editedAgent.settings.agentCanTerminateCall} onChange={handleSettingsChange} isBeta />
                         <SettingsToggle label="Voicemail Detection" description="Agent will be able to detect voicemail and handle it." name="settings.voicemailDetection" checked={editedAgent.settings.voicemailDetection} onChange={handleSettingsChange} isBeta warning="The feature only works with Twilio and Plivo providers." />
+                        {editedAgent.settings.voicemailDetection && (
+                            <div>
+                                <label htmlFor="voicemailMessage" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Voicemail Message</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Message left after the beep when an answering machine picks up. Leave blank to hang up without leaving one.</p>
+                                <input type="text" id="voicemailMessage" name="settings.voicemailMessage" value={editedAgent.settings.voicemailMessage || ''} onChange={handleSettingsChange} className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                        )}
                         <SettingsToggle label="Call Transfer" description="Agent will be able to transfer calls to human agents." name="settings.callTransfer" checked={editedAgent.settings.callTransfer} onChange={handleSettingsChange} isBeta />
+                        {editedAgent.settings.callTransfer && (
+                            <div className="space-y-2">
+                                <label className="block text-sm font-medium text-slate-700 dark:text-slate-200">Transfer Destinations</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400">The agent transfers the caller when they ask for one of these by name. Warm transfers read a summary of the call to the person answering before connecting the caller.</p>
+                                {(editedAgent.settings.transferDestinations || []).map(destination => (
+                                    <div key={destination.id} className="p-2 rounded-md border border-slate-200 dark:border-slate-700 space-y-2">
+                                        <div className="flex items-center gap-2">
+                                            <input type="text" placeholder="Name (e.g. Sales)" value={destination.name} onChange={(e) => handleTransferDestinationChange(destination.id, 'name', e.target.value)} className="flex-1 px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md sm:text-sm" />
+                                            <input type="tel" placeholder="+15551234567" value={destination.phoneNumber} onChange={(e) => handleTransferDestinationChange(destination.id, 'phoneNumber', e.target.value)} className="flex-1 px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md sm:text-sm" />
+                                            <select value={destination.transferType} onChange={(e) => handleTransferDestinationChange(destination.id, 'transferType', e.target.value)} className="px-2 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md sm:text-sm">
+                                                <option value="cold">Cold</option>
+                                                <option value="warm">Warm</option>
+                                            </select>
+                                            <button onClick={() => handleRemoveTransferDestination(destination.id)} className="p-1 rounded-md hover:bg-slate-100 dark:hover:bg-slate-600 text-red-500" title="Remove destination"><TrashIcon className="h-4 w-4" /></button>
+                                        </div>
+                                        <input type="text" placeholder="When to transfer here (optional)" value={destination.description || ''} onChange={(e) => handleTransferDestinationChange(destination.id, 'description', e.target.value)} className="w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md sm:text-sm" />
+                                    </div>
+                                ))}
+                                <button onClick={handleAddTransferDestination} className="text-sm text-primary hover:underline flex items-center"><PlusIcon className="h-4 w-4 mr-1" />Add destination</button>
+                            </div>
+                        )}
                         <SettingsToggle label="DTMF Dial" description="Agent will be able to dial dtmf tones to navigate through IVR, voicemail systems, etc." name="settings.dtmfDial" checked={editedAgent.settings.dtmfDial} onChange={handleSettingsChange} isBeta />
                     </SettingsCard>
 
                     <SettingsCard title="Advanced Settings">
+                        <div>
+                            <label htmlFor="sttProvider" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Speech-to-Text Provider</label>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Service that transcribes the caller. The mock provider returns scripted lines for local testing.</p>
+                            <select id="sttProvider" name="settings.sttProvider" value={editedAgent.settings.sttProvider || ''} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                {[
+                                    { value: '', label: 'Default' },
+                                    { value: 'deepgram', label: 'Deepgram' },
+                                    { value: 'elevenlabs', label: 'ElevenLabs Scribe' },
+                                    { value: 'mock', label: 'Mock (local testing)' }
+                                ].map((provider) => (
+                                    <option key={provider.value} value={provider.value}>{provider.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <SettingsToggle label="Auto-detect Language" description="Follow the caller when they switch languages mid-call, e.g. between Hindi and English. The agent starts in its own language." name="settings.autoDetectLanguage" checked={!!editedAgent.settings.autoDetectLanguage} onChange={handleSettingsChange} isBeta />
                         <div>
                             <label htmlFor="agentTimezone" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Agent Timezone</label>
                             <select id="agentTimezone" name="settings.agentTimezone" value={editedAgent.settings.agentTimezone} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
@@ -2373,18 +2342,33 @@ When you need to collect information from the user, ask for the required paramet
                          <div>
                             <label htmlFor="backgroundAmbientSound" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Background Ambient Sound</label>
                             <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Select background ambient sound to play during the call</p>
-                            <select id="backgroundAmbientSound" name="settings.backgroundAmbientSound" value={editedAgent.settings.backgroundAmbientSound} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
-                                {[
-                                    { value: '', label: 'None' },
-                                    { value: 'office', label: 'Office' },
-                                    { value: 'cafe', label: 'Cafe' },
-                                    { value: 'restaurant', label: 'Restaurant' },
-                                    { value: 'park', label: 'Park' },
-                                    { value: 'home', label: 'Home' }
-                                ].map((sound) => (
-                                    <option key={sound.value} value={sound.value}>{sound.label}</option>
+                            <select id="backgroundAmbientSound" name="settings.backgroundAmbientSound" value={(editedAgent.settings.backgroundAmbientSound || '').replace(/^none$/i, '')} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                <option value="">None</option>
+                                {ambientSounds.map((sound) => (
+                                    <option key={sound.id} value={sound.id}>{sound.builtIn ? sound.name : `${sound.name} (uploaded)`}</option>
                                 ))}
                             </select>
+                            <div className="flex items-center gap-4 mt-2">
+                                <label className={`inline-flex items-center text-sm font-medium text-primary ${isUploadingAmbientSound ? 'opacity-50' : 'cursor-pointer hover:underline'}`}>
+                                    <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+                                    {isUploadingAmbientSound ? 'Uploading...' : 'Upload WAV loop'}
+                                    <input type="file" accept=".wav,audio/wav" className="hidden" disabled={isUploadingAmbientSound} onChange={handleAmbientSoundUpload} />
+                                </label>
+                                {ambientSounds.some(sound => !sound.builtIn && sound.id === editedAgent.settings.backgroundAmbientSound) && (
+                                    <button type="button" onClick={() => handleAmbientSoundDelete(editedAgent.settings.backgroundAmbientSound)} className="inline-flex items-center text-sm font-medium text-red-600 hover:underline">
+                                        <TrashIcon className="h-4 w-4 mr-1" />
+                                        Delete upload
+                                    </button>
+                                )}
+                            </div>
+                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">1 to 60 seconds; it is looped for the length of the call.</p>
+                            {ambientSoundError && <p className="text-sm text-red-600 mt-1">{ambientSoundError}</p>}
+                            <div className="flex items-center gap-4 mt-2">
+                                <span>0</span>
+                                <input type="range" min="0" max="1" step="0.05" name="settings.backgroundAmbientLevel" value={editedAgent.settings.backgroundAmbientLevel ?? DEFAULT_AMBIENT_LEVEL} onChange={handleSettingsChange} data-type="number" className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer dark:bg-slate-700" />
+                                <span>1</span>
+                            </div>
+                            <div className="text-center text-sm text-slate-500 mt-1">Volume: {editedAgent.settings.backgroundAmbientLevel ?? DEFAULT_AMBIENT_LEVEL}</div>
                         </div>
                         <SettingsToggle label="Call Recording" description="Enable or disable recording of calls. Recording is disabled by default." name="settings.callRecording" checked={editedAgent.settings.callRecording} onChange={handleSettingsChange} />
                          <div>
@@ -2437,6 +2421,17 @@ When you need to collect information from the user, ask for the required paramet
                                             <MicrophoneIcon className="h-10 w-10 text-white" />
                                         </button>
                                         <p className="mt-4 font-semibold text-slate-700 dark:text-slate-200">{isCallActive ? 'Stop' : 'Start'}</p>
+                                        {callTranscript.length > 0 && (
+                                            <div className="mt-6 max-h-64 overflow-y-auto space-y-2 text-left">
+                                                {callTranscript.map((line, index) => (
+                                                    <div key={index} className={`flex ${line.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
+                                                        <div className={`max-w-xs lg:max-w-md px-3 py-2 rounded-lg text-sm ${line.sender === 'user' ? 'bg-primary text-white' : 'bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100'}`}>
+                                                            {line.text}
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
                                     </div>
                                 ) : (
                                     <div className="pt-4 flex flex-col h-96">
@@ -2547,16 +2542,24 @@ When you need to collect information from the user, ask for the required paramet
                             <div>
                                 <label htmlFor="prefetchDataWebhook" className="text-sm font-medium">Prefetch Data Webhook</label>
                                 <input type="text" id="prefetchDataWebhook" name="settings.prefetchDataWebhook" value={editedAgent.settings.prefetchDataWebhook} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Called with the caller's number, campaign and lead when a call starts. Fields of the JSON it returns (within 3 seconds) can be used as {'{{variables}}'} in the prompt and greeting.</p>
                             </div>
                             <div>
                                 <label htmlFor="endOfCallWebhook" className="text-sm font-medium">End-of-Call Webhook</label>
                                 <input type="text" id="endOfCallWebhook" name="settings.endOfCallWebhook" value={editedAgent.settings.endOfCallWebhook} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Receives the transcript, disposition, recording, extracted data and cost after each call, signed with the secret on the Settings page.</p>
+                                {userId && editedAgent.settings.endOfCallWebhook && (
+                                    <button type="button" onClick={() => setWebhookLogOpen(true)} className="mt-1 text-sm font-semibold text-primary hover:text-primary-dark">View deliveries</button>
+                                )}
                             </div>
                         </div>
                     </div>
                 </div>
             </div>
             {renderToolsModal()}
+            {userId && (
+                <WebhookDeliveryLog isOpen={isWebhookLogOpen} onClose={() => setWebhookLogOpen(false)} userId={userId} webhookUrl={editedAgent.settings.endOfCallWebhook} />
+            )}
         </div>
     );
 };
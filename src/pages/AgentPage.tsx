@@ -84,11 +84,14 @@ const AgentPage: React.FC = () => {
                 settings: {
                     userStartsFirst: false,
                     greetingLine: "Welcome! How can I help you?",
+                    greetingDelayMs: 500,
                     responseDelay: false,
                     inactivityHandling: true,
                     agentCanTerminateCall: false,
                     voicemailDetection: true,
+                    voicemailMessage: '',
                     callTransfer: true,
+                    transferDestinations: [],
                     dtmfDial: false,
                     agentTimezone: 'America/New_York',
                     voiceDetectionConfidenceThreshold: 0.5,
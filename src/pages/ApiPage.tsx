@@ -76,6 +76,21 @@ const ApiPage: React.FC = () => {
             id: '11labs', 
             name: 'ElevenLabs', 
             description: 'Required for both Speech-to-Text and Text-to-Speech services.' 
+        },
+        {
+            id: 'openai',
+            name: 'OpenAI',
+            description: 'Required for agents running an OpenAI model (GPT-4o, GPT-4o mini).'
+        },
+        {
+            id: 'anthropic',
+            name: 'Anthropic',
+            description: 'Required for agents running a Claude model.'
+        },
+        {
+            id: 'custom-llm',
+            name: 'Custom LLM',
+            description: 'Sent as a Bearer token to the OpenAI-compatible endpoint of agents using a custom model. Leave empty if it needs none.'
         }
     ];
     
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Campaign, CampaignRecord, CampaignStatus } from '../types';
+import { Campaign, CampaignRecord, CampaignStatus, CallTranscript } from '../types';
 import { useAuth } from '../contexts/AuthContext';
 import { parseCSV } from '../utils/csvParser';
 import * as campaignApi from '../utils/api';
@@ -15,12 +15,20 @@ const CampaignDetailPage: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [isCallerPhoneModalOpen, setIsCallerPhoneModalOpen] = useState(false);
   const [callerPhone, setCallerPhone] = useState('');
+  const [isGreetingModalOpen, setIsGreetingModalOpen] = useState(false);
+  const [greetingOverride, setGreetingOverride] = useState('');
   const [newRecordPhone, setNewRecordPhone] = useState('');
   const [isAddRecordModalOpen, setIsAddRecordModalOpen] = useState(false);
   const [includeMetadata, setIncludeMetadata] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalRecords, setTotalRecords] = useState(0);
   const recordsPerPage = 10;
+  const [transcriptRecord, setTranscriptRecord] = useState<CampaignRecord | null>(null);
+  const [transcript, setTranscript] = useState<CallTranscript | null>(null);
+  const [transcriptLoading, setTranscriptLoading] = useState(false);
+  const [transcriptError, setTranscriptError] = useState<string | null>(null);
+  const [playingRecording, setPlayingRecording] = useState<{ recordId: string; src: string } | null>(null);
+  const [recordingLoadingId, setRecordingLoadingId] = useState<string | null>(null);
 
   // Fetch campaign data
   useEffect(() => {
@@ -43,6 +51,7 @@ const CampaignDetailPage: React.FC = () => {
         setRecords(result.data.records);
         setTotalRecords(result.data.records.length);
         setCallerPhone(result.data.campaign.callerPhone || '');
+        setGreetingOverride(result.data.campaign.greetingOverride || '');
         setIncludeMetadata(result.data.campaign.includeMetadata !== false);
       } catch (err: any) {
         setError(err.message || 'Failed to load campaign data');
@@ -104,6 +113,47 @@ const CampaignDetailPage: React.FC = () => {
     }
   };
 
+  const handleSetGreeting = async () => {
+    try {
+      if (!id || !user?.id) {
+        throw new Error('Missing campaign ID or user ID');
+      }
+
+      const result = await campaignApi.setCampaignGreeting(id, user.id, greetingOverride);
+
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to set greeting');
+      }
+
+      setCampaign(result.data);
+      setIsGreetingModalOpen(false);
+    } catch (err: any) {
+      console.error('Failed to set greeting', err);
+      alert(`Failed to set greeting: ${err.message}`);
+    }
+  };
+
+  const handleIncludeMetadataChange = async (checked: boolean) => {
+    setIncludeMetadata(checked);
+    try {
+      if (!id || !user?.id) {
+        throw new Error('Missing campaign ID or user ID');
+      }
+
+      const result = await campaignApi.setIncludeMetadata(id, user.id, checked);
+
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to update campaign');
+      }
+
+      setCampaign(result.data);
+    } catch (err: any) {
+      console.error('Failed to update include metadata', err);
+      setIncludeMetadata(!checked);
+      alert(`Failed to update campaign: ${err.message}`);
+    }
+  };
+
   const handleImportCSV = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -238,10 +288,70 @@ const CampaignDetailPage: React.FC = () => {
     }
   };
 
+  const handleViewTranscript = async (record: CampaignRecord) => {
+    if (!record.callSid || !user?.id) return;
+
+    setTranscriptRecord(record);
+    setTranscript(null);
+    setTranscriptError(null);
+    setTranscriptLoading(true);
+    try {
+      const result = await campaignApi.fetchCallTranscript(record.callSid, user.id);
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to load transcript');
+      }
+      setTranscript(result.data);
+    } catch (err: any) {
+      console.error('Failed to load transcript', err);
+      setTranscriptError(err.message || 'Failed to load transcript');
+    } finally {
+      setTranscriptLoading(false);
+    }
+  };
+
+  const handlePlayRecording = async (record: CampaignRecord) => {
+    if (!record.callSid || !user?.id) return;
+
+    setRecordingLoadingId(record.id);
+    try {
+      const result = await campaignApi.fetchRecordingLink(record.callSid, user.id);
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to load recording');
+      }
+      // The link is a path on the API server
+      setPlayingRecording({ recordId: record.id, src: new URL(result.data.url, campaignApi.getApiBaseUrl()).toString() });
+    } catch (err: any) {
+      console.error('Failed to load recording', err);
+      alert(`Failed to load recording: ${err.message}`);
+    } finally {
+      setRecordingLoadingId(null);
+    }
+  };
+
+  const closeTranscript = () => {
+    setTranscriptRecord(null);
+    setTranscript(null);
+    setTranscriptError(null);
+  };
+
+  // Offset of a turn from the start of the call, e.g. "1:05"
+  const formatTurnOffset = (turnStartedAt: string) => {
+    const callStart = transcript?.turns[0]?.startedAt;
+    if (!callStart) return '';
+    const seconds = Math.max(0, Math.round((new Date(turnStartedAt).getTime() - new Date(callStart).getTime()) / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
   const handleFileUploadClick = () => {
     document.getElementById('csv-upload')?.click();
   };
 
+  // The lead's extra CSV columns as "column: value" pairs
+  const formatLeadDetails = (record: CampaignRecord) =>
+    Object.entries(record.metadata || {})
+      .map(([column, value]) => `${column}: ${value}`)
+      .join(' · ');
+
   const getStatusBadgeClass = (status: string) => {
     switch (status) {
       case 'completed':
@@ -250,6 +360,8 @@ const CampaignDetailPage: React.FC = () => {
         return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300';
       case 'failed':
         return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300';
+      case 'voicemail':
+        return 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-300';
       default:
         return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300';
     }
@@ -263,6 +375,8 @@ const CampaignDetailPage: React.FC = () => {
         return 'bg-blue-500';
       case 'failed':
         return 'bg-red-500';
+      case 'voicemail':
+        return 'bg-amber-500';
       default:
         return 'bg-gray-500';
     }
@@ -326,6 +440,16 @@ const CampaignDetailPage: React.FC = () => {
               </svg>
               Caller Phone
             </button>
+
+            <button
+              onClick={() => setIsGreetingModalOpen(true)}
+              className="btn-animate bg-[#0F172A] hover:bg-[#1A222C] border border-gray-700 text-white font-medium py-2 px-4 rounded-lg transition flex items-center"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+              </svg>
+              Greeting
+            </button>
             
             <div className="flex items-center">
               <span className="mr-2 text-gray-400">Status:</span>
@@ -411,7 +535,7 @@ const CampaignDetailPage: React.FC = () => {
                   type="checkbox"
                   className="sr-only"
                   checked={includeMetadata}
-                  onChange={(e) => setIncludeMetadata(e.target.checked)}
+                  onChange={(e) => handleIncludeMetadataChange(e.target.checked)}
                 />
                 <div className={`block w-10 h-6 rounded-full transition ${includeMetadata ? 'bg-emerald-600' : 'bg-gray-600'}`}></div>
                 <div className={`dot absolute left-1 top-1 bg-white w-4 h-4 rounded-full transition ${includeMetadata ? 'translate-x-full' : ''}`}></div>
@@ -419,6 +543,9 @@ const CampaignDetailPage: React.FC = () => {
               <span className="ml-3 text-sm font-medium">Include extra metadata in agent prompt</span>
             </label>
           </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Every CSV column is kept with the lead. Use placeholders such as {'{{first_name}}'} in the agent prompt or greeting to insert a lead's value; turn this on to also give the agent all of the lead's details.
+          </p>
         </div>
       </div>
 
@@ -431,6 +558,7 @@ const CampaignDetailPage: React.FC = () => {
                 <thead>
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Phone</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Details</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Call Status</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Retries</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Recording</th>
@@ -442,6 +570,9 @@ const CampaignDetailPage: React.FC = () => {
                   {records.map((record) => (
                     <tr key={record.id} className="hover:bg-[#2D3748]">
                       <td className="px-6 py-4 whitespace-nowrap text-sm">{record.phone}</td>
+                      <td className="px-6 py-4 text-sm text-gray-400 max-w-xs truncate" title={formatLeadDetails(record)}>
+                        {formatLeadDetails(record) || '—'}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(record.callStatus)}`}>
                           <span className={`h-2 w-2 rounded-full mr-2 ${getStatusDotClass(record.callStatus)}`}></span>
@@ -452,7 +583,17 @@ const CampaignDetailPage: React.FC = () => {
                         {record.retries || 0}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
-                        {record.recordingUrl ? (
+                        {playingRecording?.recordId === record.id ? (
+                          <audio controls autoPlay src={playingRecording.src} className="h-8 w-64" />
+                        ) : record.recordingUrl?.startsWith('/api/calls/') ? (
+                          <button
+                            onClick={() => handlePlayRecording(record)}
+                            disabled={recordingLoadingId === record.id}
+                            className="text-emerald-500 hover:text-emerald-400 font-medium transition disabled:opacity-50"
+                          >
+                            {recordingLoadingId === record.id ? 'Loading...' : 'Play'}
+                          </button>
+                        ) : record.recordingUrl ? (
                           <a 
                             href={record.recordingUrl} 
                             target="_blank" 
@@ -469,15 +610,28 @@ const CampaignDetailPage: React.FC = () => {
                         {new Date(record.createdDate).toLocaleDateString()}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm">
-                        <button
-                          onClick={() => handleDeleteRecord(record.id)}
-                          className="text-red-500 hover:text-red-400 font-medium transition"
-                          title="Delete record"
-                        >
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                          </svg>
-                        </button>
+                        <div className="flex items-center gap-3">
+                          {record.callSid && (
+                            <button
+                              onClick={() => handleViewTranscript(record)}
+                              className="text-emerald-500 hover:text-emerald-400 font-medium transition"
+                              title="View transcript"
+                            >
+                              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                              </svg>
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDeleteRecord(record.id)}
+                            className="text-red-500 hover:text-red-400 font-medium transition"
+                            title="Delete record"
+                          >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
                       </td>
                     </tr>
                   ))}
@@ -564,6 +718,125 @@ const CampaignDetailPage: React.FC = () => {
         </div>
       )}
 
+      {/* Greeting Modal */}
+      {isGreetingModalOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4 animate-fade-in">
+          <div className="bg-[#1E293B] rounded-lg max-w-md w-full p-6 card-animate animate-scale-in">
+            <h3 className="text-lg font-medium mb-4 animate-slide-down">Campaign Greeting</h3>
+            <div className="mb-4 stagger-children">
+              <label htmlFor="greetingOverride" className="block text-sm font-medium mb-2" style={{ animationDelay: '0.1s' }}>Greeting</label>
+              <textarea
+                id="greetingOverride"
+                value={greetingOverride}
+                onChange={(e) => setGreetingOverride(e.target.value)}
+                rows={3}
+                className="input-animate w-full bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2 focus:ring-emerald-500 focus:border-emerald-500"
+                placeholder="Hi, this is Zara calling about your enquiry. Is this {{phone}}?"
+                style={{ animationDelay: '0.2s' }}
+              />
+              <p className="text-xs text-gray-400 mt-2">
+                Replaces the agent's greeting line on this campaign's calls. Use {'{{column}}'} to insert a value from the lead. Leave blank to use the agent's greeting.
+              </p>
+            </div>
+            <div className="flex flex-col sm:flex-row justify-end gap-3 animate-slide-up">
+              <button
+                onClick={() => setIsGreetingModalOpen(false)}
+                className="btn-animate bg-gray-600 hover:bg-gray-700 text-white font-medium py-2 px-4 rounded-lg transition"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSetGreeting}
+                className="btn-animate bg-emerald-600 hover:bg-emerald-700 text-white font-medium py-2 px-4 rounded-lg transition"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Transcript Modal */}
+      {transcriptRecord && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4 animate-fade-in" onClick={closeTranscript}>
+          <div className="bg-[#1E293B] rounded-lg max-w-2xl w-full p-6 card-animate animate-scale-in flex flex-col max-h-[85vh]" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium">Call Transcript</h3>
+                <p className="text-sm text-gray-400">
+                  {transcriptRecord.phone}
+                  {transcript && ` · ${transcript.status} · ${transcript.duration || 0}s`}
+                </p>
+                {transcript?.disposition && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    Ended by agent: {transcript.disposition.replace(/_/g, ' ')}
+                    {transcript.dispositionDetails && ` · ${transcript.dispositionDetails}`}
+                  </p>
+                )}
+                {transcript?.transfer && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {transcript.transfer.type === 'warm' ? 'Warm' : 'Cold'} transfer to {transcript.transfer.destination} ({transcript.transfer.phoneNumber}): {transcript.transfer.status}
+                    {transcript.transfer.reason && ` · ${transcript.transfer.reason}`}
+                  </p>
+                )}
+              </div>
+              <button onClick={closeTranscript} className="text-gray-400 hover:text-white" title="Close">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="overflow-y-auto flex-1 space-y-3 pr-1">
+              {transcriptLoading && (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary"></div>
+                </div>
+              )}
+              {transcriptError && (
+                <div className="bg-red-900 text-red-100 p-3 rounded-md text-sm">{transcriptError}</div>
+              )}
+              {transcript && transcript.turns.length === 0 && (
+                transcript.transcript ? (
+                  <p className="text-sm whitespace-pre-wrap text-gray-300">{transcript.transcript}</p>
+                ) : (
+                  <p className="text-center py-8 text-gray-400">No transcript recorded for this call</p>
+                )
+              )}
+              {transcript?.turns.map(turn => (
+                <div key={turn.id} className={`flex ${turn.speaker === 'agent' ? 'justify-start' : 'justify-end'}`}>
+                  <div className={`max-w-[80%] rounded-lg px-4 py-2 ${turn.speaker === 'agent' ? 'bg-[#0F172A]' : 'bg-emerald-900'}`}>
+                    <div className="flex items-center gap-2 text-xs text-gray-400 mb-1">
+                      <span className="font-semibold">{turn.speaker === 'agent' ? 'Agent' : 'Caller'}</span>
+                      <span>{formatTurnOffset(turn.startedAt)}</span>
+                      {turn.confidence !== null && turn.confidence !== undefined && (
+                        <span title="Speech-to-text confidence">{Math.round(turn.confidence * 100)}%</span>
+                      )}
+                      {turn.interrupted && (
+                        <span className="px-1.5 rounded bg-yellow-900 text-yellow-200">Interrupted</span>
+                      )}
+                      {turn.metadata?.bargeIn && (
+                        <span className="px-1.5 rounded bg-blue-900 text-blue-200">Barge-in</span>
+                      )}
+                      {turn.metadata?.dtmf && (
+                        <span className="px-1.5 rounded bg-purple-900 text-purple-200">Keypad</span>
+                      )}
+                    </div>
+                    <p className="text-sm whitespace-pre-wrap">{turn.text || '…'}</p>
+                    {turn.interrupted && turn.metadata?.unspokenText && (
+                      <p className="text-xs text-gray-500 line-through mt-1">{turn.metadata.unspokenText}</p>
+                    )}
+                    {turn.metadata?.toolCalls && turn.metadata.toolCalls.length > 0 && (
+                      <p className="text-xs text-gray-400 mt-1">Tools: {turn.metadata.toolCalls.join(', ')}</p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Add Record Modal */}
       {isAddRecordModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4 animate-fade-in">
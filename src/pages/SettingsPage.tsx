@@ -1,7 +1,9 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import Header from '../components/Header';
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog';
 import { AppSettings } from '../types';
 import { useAuth } from '../contexts/AuthContext';
+import { webhookService } from '../services/webhookService';
 
 interface SettingsPageProps {
   theme: string;
@@ -36,6 +38,34 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
     });
     
     const [saveStatus, setSaveStatus] = useState('');
+    const [signingSecret, setSigningSecret] = useState('');
+    const [deliveryLogUrl, setDeliveryLogUrl] = useState<string | null>(null);
+
+    // The webhooks are called by the server, so it holds the saved values
+    useEffect(() => {
+        if (!user?.id) return;
+        webhookService.getSettings(user.id)
+            .then(saved => {
+                setSigningSecret(saved.signingSecret);
+                setSettings(prev => ({
+                    ...prev,
+                    prefetchDataWebhook: saved.prefetchDataWebhook,
+                    endOfCallWebhook: saved.endOfCallWebhook,
+                }));
+            })
+            .catch(error => console.error("Failed to load webhook settings", error));
+    }, [user?.id]);
+
+    const handleRotateSecret = async () => {
+        if (!user?.id || !window.confirm('Generate a new signing secret? Webhook receivers must be updated to verify with the new secret.')) return;
+        try {
+            const saved = await webhookService.rotateSecret(user.id);
+            setSigningSecret(saved.signingSecret);
+        } catch (error) {
+            console.error("Failed to rotate signing secret", error);
+            alert('Failed to rotate the signing secret.');
+        }
+    };
 
     const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
         const { name, value } = e.target;
@@ -46,14 +76,20 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
         setSettings(prev => ({ ...prev, voiceType: e.target.value }));
     }
 
-    const handleSaveSettings = (e: React.FormEvent<HTMLFormElement>) => {
+    const handleSaveSettings = async (e: React.FormEvent<HTMLFormElement>) => {
         e.preventDefault();
         try {
             localStorage.setItem('ziyaAgentSettings', JSON.stringify(settings));
+            if (user?.id) {
+                await webhookService.saveSettings(user.id, {
+                    prefetchDataWebhook: settings.prefetchDataWebhook,
+                    endOfCallWebhook: settings.endOfCallWebhook,
+                });
+            }
             setSaveStatus('✅ Settings saved successfully!');
             setTimeout(() => setSaveStatus(''), 3000); // Hide message after 3 seconds
         } catch (error) {
-            console.error("Failed to save settings to localStorage", error);
+            console.error("Failed to save settings", error);
             setSaveStatus('❌ Failed to save settings.');
             setTimeout(() => setSaveStatus(''), 3000);
         }
@@ -148,7 +184,7 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
                                         className="input-animate mt-1 block w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
                                     />
                                     <p className="mt-2 text-sm text-slate-500 dark:text-slate-400">
-                                        Set a webhook URL for prefetching data before the conversation starts. The webhook will be called with a GET request. <a href="#" className="text-blue-500 hover:underline">Learn more</a>
+                                        Set a webhook URL for prefetching data before the conversation starts. The webhook will be called with a POST request. Used for agents that don't set their own. <a href="#" className="text-blue-500 hover:underline">Learn more</a>
                                     </p>
                                 </div>
                                 <div style={{ animationDelay: '0.8s' }}>
@@ -164,6 +200,29 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
                                     <p className="mt-2 text-sm text-slate-500 dark:text-slate-400">
                                         Set a webhook URL to receive conversation data after each session. The webhook will be called with a POST request. <a href="#" className="text-blue-500 hover:underline">Learn more</a>
                                     </p>
+                                    {settings.endOfCallWebhook && (
+                                        <button type="button" onClick={() => setDeliveryLogUrl(settings.endOfCallWebhook)} className="mt-2 text-sm font-semibold text-primary hover:text-primary-dark">
+                                            View deliveries
+                                        </button>
+                                    )}
+                                </div>
+                                <div style={{ animationDelay: '0.9s' }}>
+                                    <label htmlFor="signingSecret" className="block text-sm font-medium text-slate-700 dark:text-slate-300">Signing Secret</label>
+                                    <div className="mt-1 flex gap-2">
+                                        <input
+                                            type="text"
+                                            id="signingSecret"
+                                            value={signingSecret}
+                                            readOnly
+                                            className="input-animate block w-full px-3 py-2 font-mono bg-slate-50 dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm sm:text-sm"
+                                        />
+                                        <button type="button" onClick={handleRotateSecret} className="btn-animate flex-shrink-0 px-3 py-2 text-sm font-semibold border border-slate-300 dark:border-slate-600 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">
+                                            Rotate
+                                        </button>
+                                    </div>
+                                    <p className="mt-2 text-sm text-slate-500 dark:text-slate-400">
+                                        End-of-call payloads carry an <code>X-Ziya-Signature</code> header: <code>sha256=</code> followed by the HMAC-SHA256 of <code>{'{X-Ziya-Timestamp}.{body}'}</code> with this secret. Failed deliveries are retried with exponential backoff.
+                                    </p>
                                 </div>
                             </div>
                         </div>
@@ -181,6 +240,9 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
                     </form>
                  </div>
             </div>
+            {user?.id && deliveryLogUrl && (
+                <WebhookDeliveryLog isOpen onClose={() => setDeliveryLogUrl(null)} userId={user.id} webhookUrl={deliveryLogUrl} />
+            )}
         </>
     );
 };
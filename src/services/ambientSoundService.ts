@@ -0,0 +1,50 @@
+import { getApiBaseUrl } from '../utils/api';
+import { AmbientSound } from '../types';
+
+export const ambientSoundService = {
+  // Get the bundled ambient loops and the user's uploads
+  async getSounds(userId: string): Promise<AmbientSound[]> {
+    const response = await fetch(`${getApiBaseUrl()}/ambient-sounds?userId=${encodeURIComponent(userId)}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to fetch ambient sounds');
+    }
+
+    return result.data;
+  },
+
+  // Upload a WAV loop (1 to 60 seconds)
+  async uploadSound(userId: string, file: File): Promise<AmbientSound> {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let binary = '';
+    // Convert in chunks to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    const response = await fetch(`${getApiBaseUrl()}/ambient-sounds`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId, name: file.name.replace(/\.wav$/i, ''), data: btoa(binary) }),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to upload ambient sound');
+    }
+
+    return result.data;
+  },
+
+  async deleteSound(userId: string, soundId: string): Promise<void> {
+    const response = await fetch(`${getApiBaseUrl()}/ambient-sounds/${encodeURIComponent(soundId)}?userId=${encodeURIComponent(userId)}`, {
+      method: 'DELETE',
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to delete ambient sound');
+    }
+  },
+};
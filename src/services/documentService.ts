@@ -7,10 +7,20 @@ interface Document {
   name: string;
   uploadedAt: string;
   agentId?: string;
+  fileType?: string;
 }
 
-interface DocumentContent {
+export interface DocumentSection {
+  title: string;
+  page?: number;
+  row?: number;
+  start: number;
+  end: number;
+}
+
+export interface ExtractedDocument extends Document {
   content: string;
+  sections: DocumentSection[];
 }
 
 export class DocumentService {
@@ -29,7 +39,7 @@ export class DocumentService {
    * @param agentId Optional agent ID to associate with the document
    * @returns The uploaded document
    */
-  async uploadDocument(userId: string, file: File, agentId?: string): Promise<Document> {
+  async uploadDocument(userId: string, file: File, agentId?: string): Promise<ExtractedDocument> {
     try {
       // Validate inputs
       if (!userId || userId.trim() === '') {
@@ -48,14 +58,8 @@ export class DocumentService {
       
       console.log('Uploading document with userId:', userId, 'fileName:', file.name, 'fileSize:', file.size, 'agentId:', agentId);
       
-      // Read file content as text
-      const content = await file.text();
-      
-      // Check content length (limit to 5MB of text)
-      const maxContentLength = 5 * 1024 * 1024; // 5MB in characters
-      if (content.length > maxContentLength) {
-        throw new Error(`File content exceeds limit of 5MB. Current content length: ${(content.length / (1024 * 1024)).toFixed(2)}MB`);
-      }
+      // Send the raw file; the server extracts the text (PDF, DOCX, HTML, Markdown, CSV, plain text)
+      const data = this.toBase64(await file.arrayBuffer());
       
       const response = await fetch(`${API_BASE_URL}/documents/upload`, {
         method: 'POST',
@@ -64,7 +68,7 @@ export class DocumentService {
           userId,
           agentId,
           name: file.name,
-          content
+          data
         })
       });
 
@@ -89,13 +93,17 @@ export class DocumentService {
         throw new Error(errorMessage);
       }
 
-      const data = await response.json();
-      console.log('Upload successful:', data);
+      const result = await response.json();
+      console.log('Upload successful:', result.data.id, result.data.name);
       
       return {
-        id: data.data.id,
-        name: data.data.name,
-        uploadedAt: new Date().toISOString()
+        id: result.data.id,
+        name: result.data.name,
+        uploadedAt: new Date().toISOString(),
+        agentId: result.data.agentId,
+        fileType: result.data.fileType,
+        content: result.data.content,
+        sections: result.data.sections || []
       };
     } catch (error) {
       console.error('Error uploading document:', error);
@@ -125,7 +133,7 @@ export class DocumentService {
         throw new Error('User ID is required');
       }
       
-      const url = new URL(`${API_BASE_URL}/documents/${userId}`);
+      const url = new URL(`${API_BASE_URL}/documents/${userId}`, window.location.origin);
       if (agentId) {
         url.searchParams.append('agentId', agentId);
       }
@@ -158,7 +166,8 @@ export class DocumentService {
         id: doc.id,
         name: doc.name,
         uploadedAt: doc.uploaded_at,
-        agentId: doc.agent_id
+        agentId: doc.agent_id,
+        fileType: doc.file_type
       }));
     } catch (error) {
       console.error('Error fetching documents:', error);
@@ -176,11 +185,23 @@ export class DocumentService {
   /**
    * Get document content by ID
    * @param documentId The ID of the document
+   * @param userId The ID of the user who owns it
    * @returns The document content
    */
-  async getDocumentContent(documentId: string): Promise<string> {
+  async getDocumentContent(documentId: string, userId: string): Promise<string> {
+    const document = await this.getDocument(documentId, userId);
+    return document.content;
+  }
+
+  /**
+   * Get a document with its extracted text and page/section map
+   * @param documentId The ID of the document
+   * @param userId The ID of the user who owns it
+   * @returns The document
+   */
+  async getDocument(documentId: string, userId: string): Promise<ExtractedDocument> {
     try {
-      const response = await fetch(`${API_BASE_URL}/documents/content/${documentId}`, {
+      const response = await fetch(`${API_BASE_URL}/documents/content/${documentId}?userId=${encodeURIComponent(userId)}`, {
         method: 'GET',
         headers: await this.getHeaders()
       });
@@ -204,7 +225,15 @@ export class DocumentService {
       }
 
       const data = await response.json();
-      return data.data.content;
+      return {
+        id: data.data.id,
+        name: data.data.name,
+        uploadedAt: data.data.uploadedAt,
+        agentId: data.data.agentId,
+        fileType: data.data.fileType,
+        content: data.data.content,
+        sections: data.data.sections || []
+      };
     } catch (error) {
       console.error('Error fetching document content:', error);
       // Provide a more user-friendly error message
@@ -218,13 +247,24 @@ export class DocumentService {
     }
   }
 
+  private toBase64(buffer: ArrayBuffer): string {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Convert in chunks to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
   /**
    * Delete a document
    * @param documentId The ID of the document to delete
+   * @param userId The ID of the user who owns it
    */
-  async deleteDocument(documentId: string): Promise<void> {
+  async deleteDocument(documentId: string, userId: string): Promise<void> {
     try {
-      const response = await fetch(`${API_BASE_URL}/documents/${documentId}`, {
+      const response = await fetch(`${API_BASE_URL}/documents/${documentId}?userId=${encodeURIComponent(userId)}`, {
         method: 'DELETE',
         headers: await this.getHeaders()
       });
@@ -1,6 +1,16 @@
 import { Tool, ToolType } from '../types';
 import { GoogleSheetsService } from './googleSheetsService';
 
+// Webhooks that take the tool's data as a JSON body; GET sends it as query parameters
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export interface ToolResult {
+  success: boolean;
+  data?: any;
+  error?: string;
+}
+
 export class ToolExecutionService {
   /**
    * Execute a tool based on its type
@@ -15,7 +25,7 @@ export class ToolExecutionService {
           return this.executeGoogleSheetsTool(tool, collectedData);
         
         case ToolType.Webhook:
-          return this.executeWebhookTool(tool, collectedData);
+          return this.executeWebhookTool(tool, collectedData).then(result => result.success);
           
         case ToolType.WebForm:
           // WebForm tools are handled in the UI, not executed server-side
@@ -63,16 +73,16 @@ export class ToolExecutionService {
    * Execute a webhook tool
    * @param tool The webhook tool to execute
    * @param collectedData The data collected from the user
-   * @returns Promise<boolean> indicating success
+   * @returns Promise<ToolResult> with the webhook's response body
    */
-  private async executeWebhookTool(tool: Tool, collectedData: Record<string, any>): Promise<boolean> {
+  private async executeWebhookTool(tool: Tool, collectedData: Record<string, any>): Promise<ToolResult> {
     try {
       if (!tool.webhookUrl) {
         throw new Error('Webhook URL is missing');
       }
       
       // Prepare the request
-      const method = tool.method || 'POST';
+      const method = (tool.method || 'POST').toUpperCase();
       const headers: Record<string, string> = {
         'Content-Type': 'application/json',
         ...((tool.headers || []).reduce((acc, header) => {
@@ -80,19 +90,40 @@ export class ToolExecutionService {
           return acc;
         }, {} as Record<string, string>))
       };
+      const url = new URL(tool.webhookUrl);
+      if (method === 'GET') {
+        Object.entries(collectedData).forEach(([key, value]) => url.searchParams.append(key, String(value)));
+      }
       
       // Execute the webhook
-      const response = await fetch(tool.webhookUrl, {
+      const response = await fetch(url.toString(), {
         method,
         headers,
-        body: method === 'POST' ? JSON.stringify(collectedData) : undefined
+        body: BODY_METHODS.includes(method) ? JSON.stringify(collectedData) : undefined,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
       });
+      const contentType = response.headers.get('content-type') || '';
+      const data = contentType.includes('application/json') ? await response.json() : await response.text();
       
-      return response.ok;
+      return response.ok ? { success: true, data } : { success: false, data, error: `Webhook returned ${response.status}` };
     } catch (error) {
-      console.error('Error executing webhook tool:', error);
-      return false;
+      console.error(`Error executing webhook tool ${tool.name}:`, error);
+      return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  /**
+   * Execute a tool on behalf of the model during a live call
+   * @param tool The tool to execute
+   * @param args The arguments the model extracted for the tool's parameters
+   * @returns Promise<ToolResult> to feed back to the model
+   */
+  async runTool(tool: Tool, args: Record<string, any>): Promise<ToolResult> {
+    // Webhook responses are returned so the model can use them (e.g. order lookups)
+    if (tool.type === ToolType.Webhook) {
+      return this.executeWebhookTool(tool, args);
     }
+    return { success: await this.executeTool(tool, args) };
   }
 }
 
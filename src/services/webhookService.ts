@@ -0,0 +1,61 @@
+import { getApiBaseUrl } from '../utils/api';
+import { WebhookDelivery, WebhookSettings } from '../types';
+
+export const webhookService = {
+  // Get the user's global webhooks and signing secret
+  async getSettings(userId: string): Promise<WebhookSettings> {
+    const response = await fetch(`${getApiBaseUrl()}/webhook-settings/${userId}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to fetch webhook settings');
+    }
+
+    return result.data;
+  },
+
+  // Save the user's global webhooks
+  async saveSettings(userId: string, settings: Pick<WebhookSettings, 'prefetchDataWebhook' | 'endOfCallWebhook'>): Promise<WebhookSettings> {
+    const response = await fetch(`${getApiBaseUrl()}/webhook-settings/${userId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to save webhook settings');
+    }
+
+    return result.data;
+  },
+
+  // Replace the signing secret; receivers must be updated with the new one
+  async rotateSecret(userId: string): Promise<WebhookSettings> {
+    const response = await fetch(`${getApiBaseUrl()}/webhook-settings/${userId}/rotate-secret`, {
+      method: 'POST',
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to rotate signing secret');
+    }
+
+    return result.data;
+  },
+
+  // Get the delivery log of one webhook URL (newest first)
+  async getDeliveries(userId: string, webhookUrl?: string): Promise<WebhookDelivery[]> {
+    const params = new URLSearchParams({ userId });
+    if (webhookUrl) params.append('webhookUrl', webhookUrl);
+
+    const response = await fetch(`${getApiBaseUrl()}/webhook-deliveries?${params.toString()}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to fetch webhook deliveries');
+    }
+
+    return result.data;
+  },
+};
@@ -23,6 +23,8 @@ export interface Campaign {
     userId: string;
     name: string;
     callerPhone?: string;
+    agentId?: string;
+    greetingOverride?: string; // Replaces the agent's greeting line; {{variables}} come from the lead
     includeMetadata: boolean;
     status: CampaignStatus;
     leads: number;
@@ -34,10 +36,61 @@ export interface CampaignRecord {
     id: string;
     campaignId: string;
     phone: string;
-    callStatus: 'pending' | 'in-progress' | 'completed' | 'failed';
+    callStatus: 'pending' | 'in-progress' | 'completed' | 'failed' | 'voicemail';
+    callSid?: string;
+    recordingUrl?: string; // "/api/calls/<callId>/recording" for calls recorded from the media stream
+    metadata?: Record<string, string>; // The lead's other CSV columns; fill {{variables}} on its call
     createdAt: string; // ISO string
 }
 
+export interface CallTurn {
+    id: string;
+    speaker: 'user' | 'agent';
+    text: string;
+    startedAt: string; // ISO string
+    endedAt: string; // ISO string
+    confidence: number | null; // STT confidence, caller turns only
+    interrupted: boolean; // Agent turn cut off by the caller
+    metadata: {
+        bargeIn?: boolean;
+        reason?: string;
+        unspokenText?: string;
+        toolCalls?: string[];
+        dtmf?: string; // Keypad digits typed by the caller
+    } | null;
+}
+
+export interface CallTranscript {
+    callId: string;
+    callSid?: string;
+    status: string;
+    startedAt: string;
+    endedAt?: string;
+    duration: number;
+    transcript?: string;
+    disposition?: string | null; // Why the agent side ended the call (end_call reason or session timeout)
+    dispositionDetails?: string | null;
+    transfer: CallTransfer | null;
+    turns: CallTurn[];
+}
+
+export interface CallTransfer {
+    destination: string;
+    phoneNumber: string;
+    type: 'warm' | 'cold';
+    status: string; // 'initiated', 'failed' or the Twilio dial status (completed, busy, no-answer, ...)
+    reason?: string;
+    transferredAt?: string;
+}
+
+export interface TransferDestination {
+    id: string;
+    name: string;
+    phoneNumber: string;
+    description?: string;
+    transferType: 'warm' | 'cold'; // Warm transfers brief the human with a call summary first
+}
+
 export enum VoiceAgentStatus {
     Active = 'Active',
     Inactive = 'Inactive',
@@ -84,16 +137,24 @@ export interface Tool {
 export interface VoiceAgentSettings {
     userStartsFirst: boolean;
     greetingLine: string;
+    greetingDelayMs?: number; // Pause before the greeting once the call connects
     responseDelay: boolean;
     inactivityHandling: boolean;
+    inactivityPrompts?: string; // One per line, spoken in order; empty uses the built-in prompts in the agent's language
     agentCanTerminateCall: boolean;
     voicemailDetection: boolean;
+    voicemailMessage: string;
     callTransfer: boolean;
+    transferDestinations?: TransferDestination[];
     dtmfDial: boolean;
     agentTimezone: string;
+    sttProvider?: 'deepgram' | 'elevenlabs' | 'mock' | ''; // Who transcribes the caller; empty uses the server default
+    autoDetectLanguage?: boolean; // Switch language mid-call when the caller does
+    llmBaseUrl?: string; // OpenAI-compatible endpoint for "custom:" models, e.g. https://llm.example.com/v1; private addresses need ALLOW_PRIVATE_LLM_URLS on the server
     voiceDetectionConfidenceThreshold: number;
     overrideVAD: boolean;
-    backgroundAmbientSound: string;
+    backgroundAmbientSound: string; // A bundled loop id (e.g. 'office') or 'upload:<id>'; 'None' or empty for silence
+    backgroundAmbientLevel?: number; // 0-1, defaults to 0.5
     callRecording: boolean;
     sessionTimeoutFixedDuration: number;
     sessionTimeoutNoVoiceActivity: number;
@@ -109,6 +170,21 @@ export interface VoiceAgentSettings {
 }
 
 
+// Spoken in place of a word, e.g. { word: 'SQL', say: 'sequel' }
+export interface PronunciationRule {
+    word: string;
+    say: string;
+}
+
+export interface VoiceSettings {
+    stability: number; // 0-1, lower sounds more expressive
+    similarityBoost: number; // 0-1, how closely to match the original voice
+    style: number; // 0-1, style exaggeration
+    speed: number; // 0.7-1.2
+    ttsModel: string; // ElevenLabs model, e.g. eleven_turbo_v2_5
+    pronunciations: PronunciationRule[];
+}
+
 export interface VoiceAgent {
     id: string;
     name: string;
@@ -117,6 +193,7 @@ export interface VoiceAgent {
     status: VoiceAgentStatus;
     model: string;
     voiceId: string;
+    voiceSettings?: VoiceSettings | null; // Server defaults when unset
     language: string;
     settings: VoiceAgentSettings;
 }
@@ -145,4 +222,34 @@ export interface AppSettings {
     voiceType: string;
     prefetchDataWebhook: string;
     endOfCallWebhook: string;
+}
+
+export interface WebhookSettings {
+    prefetchDataWebhook: string;
+    endOfCallWebhook: string;
+    signingSecret: string; // Signs the X-Ziya-Signature header of webhook payloads
+}
+
+export interface AmbientSound {
+    id: string; // The settings.backgroundAmbientSound value
+    name: string;
+    builtIn: boolean;
+    durationMs?: number; // Uploads only
+}
+
+export interface WebhookDelivery {
+    id: string;
+    callId: string | null;
+    agentId: string | null;
+    scope: 'agent' | 'global';
+    webhookUrl: string;
+    event: string;
+    status: 'pending' | 'retrying' | 'success' | 'failed';
+    attempts: number;
+    responseStatus: number | null;
+    responseBody: string | null;
+    error: string | null;
+    nextAttemptAt: string | null; // ISO string
+    deliveredAt: string | null; // ISO string
+    createdAt: string; // ISO string
 }
\ No newline at end of file
@@ -42,6 +42,30 @@ export const setCallerPhone = async (id: string, userId: string, callerPhone: st
   return response.json();
 };
 
+export const setCampaignGreeting = async (id: string, userId: string, greetingOverride: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/set-greeting`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, greetingOverride })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+export const setIncludeMetadata = async (id: string, userId: string, includeMetadata: boolean) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/set-include-metadata`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, includeMetadata })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
 export const importRecords = async (id: string, userId: string, csvData: any[]) => {
   const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/import`, {
     method: 'POST',
@@ -109,3 +133,20 @@ export const fetchRecords = async (id: string, page: number = 1, limit: number =
   }
   return response.json();
 };
+
+// A signed link to a call's recording, valid for an hour: { url, expiresAt }
+export const fetchRecordingLink = async (callId: string, userId: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/calls/${callId}/recording-link?userId=${userId}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+export const fetchCallTranscript = async (callId: string, userId: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/calls/${callId}/transcript?userId=${userId}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
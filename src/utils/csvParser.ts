@@ -1,19 +1,59 @@
+export interface ParsedLead {
+  phone: string;
+  metadata: Record<string, string>; // Every other column, by header name
+}
+
+/**
+ * Split one CSV line into fields, honouring quoted fields ("Smith, Jane")
+ * @param line One line of CSV
+ * @param delimiter Delimiter character
+ * @returns The trimmed field values
+ */
+function splitCSVLine(line: string, delimiter: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
 /**
  * Parse CSV string into array of objects
  * @param csvString CSV content as string
  * @param delimiter Delimiter character (default: ',')
- * @returns Array of objects with column names as keys
+ * @returns Array of leads: the phone number plus the other columns as metadata
  */
-export function parseCSV(csvString: string, delimiter: string = ','): { phone: string }[] {
+export function parseCSV(csvString: string, delimiter: string = ','): ParsedLead[] {
   // Split into lines
-  const lines = csvString.trim().split('\n');
+  const lines = csvString.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
   
   if (lines.length === 0) {
     return [];
   }
   
   // Parse header
-  const header = lines[0].split(delimiter).map(field => field.trim());
+  const header = splitCSVLine(lines[0], delimiter);
   
   // Find phone column index
   const phoneColumnIndex = header.findIndex(column => 
@@ -27,17 +67,23 @@ export function parseCSV(csvString: string, delimiter: string = ','): { phone: s
   }
   
   // Parse data rows
-  const records: { phone: string }[] = [];
+  const records: ParsedLead[] = [];
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     if (line) {
-      const values = line.split(delimiter).map(value => value.trim());
+      const values = splitCSVLine(line, delimiter);
       const phone = values[phoneColumnIndex];
       
       // Basic phone number validation
       if (phone && phone.length >= 10) {
-        records.push({ phone });
+        const metadata: Record<string, string> = {};
+        header.forEach((column, index) => {
+          if (index !== phoneColumnIndex && column && values[index]) {
+            metadata[column] = values[index];
+          }
+        });
+        records.push({ phone, metadata });
       }
     }
   }
@@ -45,4 +91,4 @@ export function parseCSV(csvString: string, delimiter: string = ','): { phone: s
   return records;
 }
 
-export default { parseCSV };
\ No newline at end of file
+export default { parseCSV };